@@ -0,0 +1,324 @@
+// --- COMMAND-LINE DIGEST ---
+//
+// Generates a digest from a script or notebook with the same pipeline as the app
+// (lib/digestPipeline.js) and prints it as a table, JSON, NDJSON, Markdown or an HTML email:
+//
+//   npx tsx cli/digest.js AAPL MSFT --offline --dry-run
+//   npx tsx cli/digest.js --portfolio holdings.csv --provider gemini --format markdown --user <userId>
+//   npx tsx cli/digest.js --user <userId> --list all --format ndjson > digest.ndjson
+//
+// With --user the run is stored under that user like a run from the app (their saved news
+// source and provider are the defaults); --dry-run stores nothing. Progress goes to stderr,
+// so stdout holds only the digest.
+//
+// Environment: APP_ID, GEMINI_API_KEY / OPENAI_API_KEY (when --api-key is not given) and, with
+// --user, FIRESTORE_EMULATOR_HOST or GOOGLE_APPLICATION_CREDENTIALS as for the worker.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runDigestPipeline } from '../lib/digestPipeline';
+import { formatDigest, OUTPUT_FORMATS } from '../lib/digestFormat';
+import { DEFAULT_NEWS_SOURCE, NEWS_SOURCE_ADAPTERS } from '../lib/newsSources';
+import { DEFAULT_LLM_CONFIG, LLM_PROVIDERS } from '../lib/llmProviders';
+import { DEFAULT_CONCURRENCY, JOB_STATUS } from '../lib/jobRunner';
+import { DEFAULT_CLUSTERING } from '../lib/storyClustering';
+import { ALL_LISTS, DEFAULT_LIST_ID } from '../lib/portfolioLists';
+import { parseImportFile } from '../lib/portfolioImport';
+import { createSummaryCache } from '../lib/summaryCache';
+import { SYMBOL_PATTERN, createSymbolMaster } from '../lib/symbolMaster';
+
+const APP_ID = process.env.APP_ID || 'default-fingen-app';
+const OFFLINE_PROVIDER = 'rule-based';
+const COMMAND_LINE_LIST = { id: 'cli', name: 'Command line' }; // Scope of runs on explicit tickers
+
+const USAGE = `Usage: npx tsx cli/digest.js [TICKER...] [options]
+
+Tickers (one of):
+  TICKER...                 Tickers to cover, e.g. AAPL MSFT (or --tickers AAPL,MSFT)
+  --portfolio <file>        Holdings file: CSV or OFX/QFX as imported by the app, or the app's JSON export
+  --list <listId|all>       A saved list of --user (default: "${DEFAULT_LIST_ID}")
+
+Analysis:
+  --provider <id>           ${Object.keys(LLM_PROVIDERS).join(' | ')}
+  --model <name>            Model of the provider (default: the provider's)
+  --base-url <url>          Endpoint of an OpenAI-compatible provider
+  --api-key <key>           Defaults to GEMINI_API_KEY or OPENAI_API_KEY
+  --source <type>           News source: ${Object.keys(NEWS_SOURCE_ADAPTERS).join(' | ')}
+  --source-url <url>        Feed or file URL of the rss and json sources
+  --concurrency <n>         Stories analyzed at once (default: ${DEFAULT_CONCURRENCY})
+  --offline                 Mock articles and the deterministic ${OFFLINE_PROVIDER} provider; no network
+
+Output:
+  --format <format>         ${OUTPUT_FORMATS.join(' | ')} (default: table)
+  --output <file>           Write to a file instead of stdout
+  --quiet                   No progress on stderr
+
+Persistence:
+  --user <userId>           Store the run under this user (their settings are the defaults)
+  --dry-run                 Store nothing
+`;
+
+const OPTIONS = {
+    tickers: { type: 'string' },
+    portfolio: { type: 'string' },
+    list: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    'base-url': { type: 'string' },
+    'api-key': { type: 'string' },
+    source: { type: 'string' },
+    'source-url': { type: 'string' },
+    concurrency: { type: 'string' },
+    offline: { type: 'boolean', default: false },
+    format: { type: 'string', default: 'table' },
+    output: { type: 'string' },
+    quiet: { type: 'boolean', default: false },
+    user: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Upper-cases and validates tickers, dropping duplicates.
+ * @param {string[]} symbols
+ * @returns {string[]}
+ * @throws {Error} If a ticker is not a valid symbol.
+ */
+const normalizeTickers = (symbols) => {
+    const tickers = [...new Set(symbols.map(symbol => String(symbol || '').trim().toUpperCase()).filter(Boolean))];
+    const invalid = tickers.filter(ticker => !SYMBOL_PATTERN.test(ticker));
+    if (invalid.length > 0) throw new Error(`Not a valid ticker: ${invalid.join(', ')}.`);
+    return tickers;
+};
+
+/**
+ * Tickers of a holdings file. Only the symbols are used, so rows without a quantity count too.
+ * @param {string} fileName - CSV, OFX/QFX, or JSON as exported by the app.
+ * @returns {string[]}
+ */
+const readPortfolioTickers = (fileName) => {
+    const text = readFileSync(fileName, 'utf8');
+    if (/\.json$/i.test(fileName)) {
+        const holdings = JSON.parse(text);
+        if (!Array.isArray(holdings)) throw new Error(`${fileName} is not a holdings export (expected a JSON array).`);
+        return normalizeTickers(holdings.map(holding => holding.ticker));
+    }
+    return normalizeTickers(parseImportFile(fileName, text).map(row => row.symbol));
+};
+
+/**
+ * Validates the options and resolves where the tickers come from.
+ * @param {object} values - parseArgs values.
+ * @param {string[]} positionals - Tickers given as arguments.
+ * @returns {object} { tickers (null for a saved list), listId }
+ * @throws {Error} On conflicting or invalid options.
+ */
+const resolveInput = (values, positionals) => {
+    const sources = [
+        (positionals.length > 0 || values.tickers) && 'tickers',
+        values.portfolio && '--portfolio',
+        values.list && '--list',
+    ].filter(Boolean);
+    if (sources.length > 1) throw new Error(`Use only one of tickers, --portfolio and --list (got ${sources.join(', ')}).`);
+    if (!OUTPUT_FORMATS.includes(values.format)) throw new Error(`Unknown format "${values.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    if (values.provider && !LLM_PROVIDERS[values.provider]) throw new Error(`Unknown provider "${values.provider}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+    if (values.source && !NEWS_SOURCE_ADAPTERS[values.source]) throw new Error(`Unknown news source "${values.source}". Use one of: ${Object.keys(NEWS_SOURCE_ADAPTERS).join(', ')}.`);
+    if (values.offline && ((values.provider && values.provider !== OFFLINE_PROVIDER) || (values.source && values.source !== 'mock'))) {
+        throw new Error(`--offline always uses mock articles and the ${OFFLINE_PROVIDER} provider.`);
+    }
+    if (values.concurrency !== undefined && !(Number.parseInt(values.concurrency, 10) >= 1)) throw new Error('--concurrency must be a positive whole number.');
+    if (!values.user && !values['dry-run']) throw new Error('Pass --user <userId> to store the run, or --dry-run to skip storing it.');
+
+    if (sources.length === 0 && !values.user) throw new Error('Give tickers, --portfolio <file>, or --user with a saved --list.');
+    if (values.list || sources.length === 0) {
+        if (!values.user) throw new Error('--list reads a saved list and needs --user.');
+        return { tickers: null, listId: values.list || DEFAULT_LIST_ID };
+    }
+    const tickers = values.portfolio
+        ? readPortfolioTickers(values.portfolio)
+        : normalizeTickers([...positionals, ...(values.tickers || '').split(',')]);
+    if (tickers.length === 0) throw new Error('No tickers to cover.');
+    return { tickers, listId: COMMAND_LINE_LIST.id };
+};
+
+/**
+ * Pipeline settings: the user's saved settings (if any), overridden by the options.
+ * @param {object} values - parseArgs values.
+ * @param {object} saved - The user's settings/preferences document data ({} without --user).
+ */
+const resolveSettings = (values, saved) => {
+    const newsSource = values.offline
+        ? { type: 'mock', url: '' }
+        : { ...DEFAULT_NEWS_SOURCE, ...saved.newsSource, ...(values.source && { type: values.source }), ...(values['source-url'] && { url: values['source-url'] }) };
+
+    // A different provider than the saved one starts from that provider's defaults
+    const provider = values.offline ? OFFLINE_PROVIDER : values.provider || saved.llm?.provider || DEFAULT_LLM_CONFIG.provider;
+    const savedLlm = saved.llm?.provider === provider ? saved.llm : {};
+    const envKey = provider === 'openai' ? process.env.OPENAI_API_KEY : process.env.GEMINI_API_KEY;
+    const llmConfig = {
+        ...DEFAULT_LLM_CONFIG,
+        ...savedLlm,
+        provider,
+        model: values.model || savedLlm.model || LLM_PROVIDERS[provider].defaultModel,
+        baseUrl: values['base-url'] || savedLlm.baseUrl || '',
+        apiKey: values['api-key'] || savedLlm.apiKey || envKey || '',
+    };
+
+    return {
+        newsSource,
+        llmConfig,
+        concurrency: values.concurrency ? Number.parseInt(values.concurrency, 10) : saved.pipeline?.concurrency || DEFAULT_CONCURRENCY,
+        clustering: { ...DEFAULT_CLUSTERING, ...saved.pipeline?.clustering },
+    };
+};
+
+// Digest store for runs without --user: the given tickers and no saved rules or channels
+const createMemoryDigestStore = (tickers) => ({
+    loadScope: async () => [{ list: COMMAND_LINE_LIST, tickers }],
+    allocateRunVersion: async () => 1,
+    loadAlertRules: async () => [],
+    loadDeliveryChannels: async () => [],
+});
+
+// Replaces a store's writes so a dry run keeps everything in memory
+const withoutWrites = (store) => {
+    let nextId = 1;
+    return {
+        ...store,
+        allocateRunVersion: async () => 0, // Nothing is stored, so the run gets no number
+        createRun: async () => 'dry-run',
+        updateRun: async () => {},
+        writeItems: async (items) => items.map(item => ({ id: `dry-run-${nextId++}`, ...item })),
+        addAlerts: async () => {},
+        queueDeliveries: async () => {},
+    };
+};
+
+// Keeps a copy of the run document as the pipeline writes it, for the output
+const recordRun = (store, run) => ({
+    ...store,
+    createRun: async (data) => {
+        const runId = await store.createRun(data);
+        Object.assign(run, { runId, ...data });
+        return runId;
+    },
+    updateRun: async (runId, fields) => {
+        await store.updateRun(runId, fields);
+        Object.assign(run, fields);
+    },
+});
+
+/**
+ * Opens the Admin SDK for --user. Loaded on demand so offline dry runs need no Firebase setup.
+ * @param {string} userId
+ * @returns {Promise<object>} { db, settings, store, summaryCache, lists }
+ */
+const openUserData = async (userId) => {
+    const [{ initializeApp }, { getFirestore }, firestoreStore] = await Promise.all([
+        import('firebase-admin/app'),
+        import('firebase-admin/firestore'),
+        import('../worker/firestoreStore'),
+    ]);
+    initializeApp(); // Project and credentials come from the environment (or FIRESTORE_EMULATOR_HOST)
+    const db = getFirestore();
+    const userPath = firestoreStore.getUserPath(APP_ID, userId);
+    return {
+        db,
+        settings: (await db.doc(`${userPath}/settings/preferences`).get()).data() || {},
+        store: firestoreStore.createFirestoreDigestStore(db, userPath),
+        summaryCache: firestoreStore.createFirestoreSummaryCache(db, userPath),
+        lists: await firestoreStore.loadLists(db, userPath),
+    };
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const { tickers, listId } = resolveInput(values, positionals);
+    const dryRun = values['dry-run'];
+    const progress = (message) => {
+        if (!values.quiet) process.stderr.write(`${message}\n`);
+    };
+
+    const userData = values.user ? await openUserData(values.user) : null;
+    try {
+        let store = userData ? userData.store : createMemoryDigestStore(tickers);
+        if (userData && tickers) store = { ...store, loadScope: async () => [{ list: COMMAND_LINE_LIST, tickers }] };
+        if (dryRun) store = withoutWrites(store);
+        const run = {};
+        store = recordRun(store, run);
+
+        let scopeName = COMMAND_LINE_LIST.name;
+        if (!tickers) {
+            scopeName = listId === ALL_LISTS ? 'All lists' : userData.lists.find(list => list.id === listId)?.name;
+            if (!scopeName) throw new Error(`User ${values.user} has no list "${listId}".`);
+        }
+
+        const settings = resolveSettings(values, userData?.settings || {});
+        const provider = LLM_PROVIDERS[settings.llmConfig.provider];
+        if (provider.needsApiKey && !settings.llmConfig.apiKey) throw new Error(`The ${provider.label} provider needs an API key (--api-key or GEMINI_API_KEY).`);
+        if (provider.needsBaseUrl && !settings.llmConfig.baseUrl) throw new Error(`The ${provider.label} provider needs --base-url.`);
+        const symbolMaster = createSymbolMaster(JSON.parse(readFileSync(new URL('../data/symbols.json', import.meta.url), 'utf8')));
+        const abortController = new AbortController();
+        process.once('SIGINT', () => {
+            progress('Cancelling; finished stories are kept');
+            abortController.abort();
+        });
+
+        let total = 0;
+        let finished = 0;
+        let jobs = [];
+        const result = await runDigestPipeline({
+            store,
+            scope: listId,
+            scopeName,
+            settings,
+            summaryCache: userData && !dryRun ? userData.summaryCache : createSummaryCache(),
+            directory: symbolMaster.entries,
+            trigger: 'cli',
+            signal: abortController.signal,
+            onRunCreated: (runId) => progress(dryRun ? 'Dry run: nothing is stored' : `Started run ${runId}`),
+            onJobsQueued: (queued) => {
+                jobs = queued;
+                total = queued.length;
+                progress(`Analyzing ${total} stor${total === 1 ? 'y' : 'ies'} with ${settings.llmConfig.provider} (${settings.llmConfig.model})`);
+            },
+            onJobUpdate: (index, { status, error }) => {
+                if (status !== JOB_STATUS.DONE && status !== JOB_STATUS.FAILED) return;
+                finished += 1;
+                progress(`[${finished}/${total}] ${jobs[index].symbol}: ${error ? `failed (${error.message})` : jobs[index].title}`);
+            },
+            onBriefing: (runId) => {
+                if (runId) progress('Writing the briefing');
+            },
+            onWarning: (message, error) => progress(`Warning: ${message}${error ? ` ${error.message}` : ''}`),
+        });
+
+        if (result.status === 'failed') throw new Error(result.error);
+        if (!result.runId) { // Cancelled before anything was analyzed
+            process.exitCode = 130;
+            return;
+        }
+
+        const output = formatDigest({ run, items: result.items }, values.format, {
+            getCompanyName: (symbol) => symbolMaster.lookup(symbol)?.name || null,
+        });
+        if (values.output) {
+            writeFileSync(values.output, output);
+            progress(`Wrote ${result.items.length} item(s) to ${values.output}`);
+        } else {
+            process.stdout.write(output);
+        }
+        if (result.status === 'cancelled') process.exitCode = 130;
+    } finally {
+        await userData?.db.terminate();
+    }
+};
+
+main().catch((e) => {
+    process.stderr.write(`Error: ${e.message}\n${e.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? `\n${USAGE}` : ''}`);
+    process.exitCode = 1;
+});
@@ -1,226 +1,2200 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, onSnapshot, setDoc, query, orderBy, deleteDoc, getDocs, where } from 'firebase/firestore';
-import { Loader2, Plus, Trash2, Zap, Search, ChevronRight, User, ChevronUp, ChevronDown } from 'lucide-react';
+import {
+    getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut, signInWithEmailAndPassword, createUserWithEmailAndPassword,
+    sendPasswordResetEmail, signInWithPopup, linkWithPopup, linkWithCredential, EmailAuthProvider, GoogleAuthProvider, GithubAuthProvider,
+} from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, doc, collection, onSnapshot, setDoc, getDoc, query, orderBy, deleteDoc, getDocs, where, limit, writeBatch, runTransaction } from 'firebase/firestore';
+import { Loader2, Plus, Trash2, Zap, Search, ChevronRight, User, ChevronUp, ChevronDown, Settings, History, RefreshCw, XCircle, AlertTriangle, Pencil, Upload, Download, MessageSquare, Send, Bell, FileText, Mail, Printer, LogOut } from 'lucide-react';
+import { DEFAULT_NEWS_SOURCE, NEWS_SOURCE_ADAPTERS } from './lib/newsSources';
+import { LEGACY_RUN_ID, RUN_COUNTER_PATH, buildLegacyRun, diffDigestRuns, getRunName, getStaleRunFields, isFailedItem, isStaleRun } from './lib/digestHistory';
+import { DEFAULT_LLM_CONFIG, LLM_PROVIDERS, summarizeNews } from './lib/llmProviders';
+import { IMPACTS, SENTIMENTS } from './lib/analysisValidation';
+import { createSummaryCache } from './lib/summaryCache';
+import { DEFAULT_CONCURRENCY, JOB_STATUS, MAX_CONCURRENCY } from './lib/jobRunner';
+import { CURRENCIES, DEFAULT_CURRENCY, buildHoldingDoc, computeWeights, formatMoney, getPositionValue, normalizeHolding, sanitizeLots, splitByBaseCurrency, summarizeLots } from './lib/holdings';
+import { classifyImportRows, exportHoldingsCsv, exportHoldingsJson, parseImportFile } from './lib/portfolioImport';
+import { ALL_LISTS, DEFAULT_LIST, DEFAULT_LIST_ID, LIST_TYPES, getHoldingsPath, validateListName, withDefaultList } from './lib/portfolioLists';
+import { CHART_RANGES, DEFAULT_PRICE_SOURCE, PRICE_SOURCES, buildValueSeries, computeReturns, createPriceProvider, shiftDate, sliceSeries } from './lib/priceData';
+import { checkTicker, createSymbolMaster } from './lib/symbolMaster';
+import { getArticleKey, mapArticleToTickers } from './lib/companyMentions';
+import { DEFAULT_CLUSTERING } from './lib/storyClustering';
+import { getAnalysisDetails, runDigestPipeline, writeRunBriefing } from './lib/digestPipeline';
+import { DEFAULT_SCHEDULE, SCHEDULE_PRESETS, getNextRun, resolveSchedule, validateSchedule } from './lib/digestSchedule';
+import { answerQuestion } from './lib/digestChat';
+import { ANY_SENTIMENT, DEFAULT_ALERT_RULE, SNOOZE_OPTIONS, isSnoozed, parseRuleList, validateAlertRule } from './lib/alertRules';
+import { CHANNEL_TYPES, DEFAULT_DELIVERY_CHANNEL, DEFAULT_DELIVERY_FILTERS, DELIVERY_STATUS, MAX_DELIVERY_ATTEMPTS, validateDeliveryChannel } from './lib/deliveryChannels';
+import { computeExposureSentiment, computeExposureWeights, getCellKey } from './lib/exposureSentiment';
+import { formatDigestHtml, formatDigestMarkdown } from './lib/digestFormat';
+import { SPARKLINE_DAYS, TREND_DAYS, TREND_RANGES, buildSentimentTrend, dedupeTrendItems, getItemDate, scoreItem, summarizeTrend } from './lib/sentimentTrend';
+import SYMBOL_MASTER_ROWS from './data/symbols.json';
 
 // --- CONFIGURATION & UTILITIES ---
 
 // Firebase Configuration (MUST use global variables provided by the environment)
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const firestoreEmulatorHost = typeof __firestore_emulator_host !== 'undefined' ? __firestore_emulator_host : null; // "host:port" to test against the emulator with the worker
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-fingen-app';
-const API_KEY = ""; // Placeholder for the actual API key provided by the environment
-
-// Mock News Data - In a real app, this would come from an external News API
-const MOCK_NEWS_ARTICLES = [
-  {
-    symbol: 'GOOG',
-    title: 'Google Cloud Unveils New AI-Powered Enterprise Search Features',
-    url: 'https://example.com/goog-ai-search',
-    source: 'TechCrunch',
-    content: "Google Cloud announced major updates to its Vertex AI platform, including new features for enterprise search and data handling. Analysts view this as a strategic move to capture more market share from competitors in the generative AI space. The stock saw a 1.5% bump on the news."
-  },
-  {
-    symbol: 'AAPL',
-    title: 'iPhone Sales Expected to Soar After Holiday Quarter',
-    url: 'https://example.com/aapl-sales-forecast',
-    source: 'Financial Times',
-    content: "Despite supply chain constraints easing, analysts are cautious about Q4 results but predict a strong rebound for Apple's iPhone and Services divisions in the following quarter, driven by aggressive pricing strategies in key Asian markets. The outlook remains mixed."
-  },
-  {
-    symbol: 'MSFT',
-    title: 'Microsoft Secures Multi-Billion Dollar Government Cloud Contract',
-    url: 'https://example.com/msft-contract-win',
-    source: 'Reuters',
-    content: "Microsoft has signed a massive contract with the Department of Defense to modernize its cloud infrastructure over the next five years. This is a significant win over Amazon and reinforces Microsoft's dominance in the public sector cloud space. This is a clear positive for long-term growth."
-  },
-];
+const API_KEY = ""; // Placeholder for the actual API key provided by the environment (used when no key is set in Settings)
 
-/**
- * Utility for performing fetch requests with exponential backoff.
- * @param {string} url - The URL to fetch.
- * @param {object} options - Fetch options (method, headers, body, etc.).
- * @param {number} retries - Number of retries remaining.
- */
-const exponentialBackoffFetch = async (url, options, retries = 5) => {
-    try {
-        const response = await fetch(url, options);
-        if (response.status === 429 && retries > 0) {
-            const delay = Math.pow(2, 5 - retries) * 1000 + Math.random() * 1000;
-            console.warn(`Rate limit encountered. Retrying in ${delay / 1000}s...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return exponentialBackoffFetch(url, options, retries - 1);
-        }
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.json();
-    } catch (error) {
-        if (retries > 0) {
-            const delay = Math.pow(2, 5 - retries) * 1000 + Math.random() * 1000;
-            console.error(`Fetch failed. Retrying in ${delay / 1000}s... Error: ${error.message}`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return exponentialBackoffFetch(url, options, retries - 1);
-        }
-        throw new Error(`Fetch failed after multiple retries: ${error.message}`);
+// Bundled symbol master used for autocomplete, validation and company names
+const symbolMaster = createSymbolMaster(SYMBOL_MASTER_ROWS);
+const getCompanyName = (symbol) => symbolMaster.lookup(symbol)?.name || null;
+
+// --- SETTINGS PANEL ---
+
+// Defined outside FingenApp so the draft inputs keep their state across parent re-renders.
+const NewsSourceSettings = ({ newsSource, onSave, disabled }) => {
+    const [draft, setDraft] = useState(newsSource);
+
+    useEffect(() => setDraft(newsSource), [newsSource]);
+
+    const adapter = NEWS_SOURCE_ADAPTERS[draft.type] || NEWS_SOURCE_ADAPTERS.mock;
+    const isDirty = draft.type !== newsSource.type || draft.url !== newsSource.url;
+    const canSave = isDirty && (!adapter.requiresUrl || draft.url.trim());
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">News Source</h3>
+            <div className="flex flex-col sm:flex-row gap-3">
+                <select
+                    value={draft.type}
+                    onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+                    className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                    disabled={disabled}
+                >
+                    {Object.values(NEWS_SOURCE_ADAPTERS).map(a => (
+                        <option key={a.id} value={a.id}>{a.label}</option>
+                    ))}
+                </select>
+                {adapter.requiresUrl && (
+                    <input
+                        type="url"
+                        placeholder={draft.type === 'rss' ? 'Feed URL (use {symbol} for per-ticker feeds)' : 'URL of a JSON article file'}
+                        value={draft.url}
+                        onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+                        className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                        disabled={disabled}
+                    />
+                )}
+                <button
+                    onClick={() => onSave({ type: draft.type, url: draft.url.trim() })}
+                    disabled={disabled || !canSave}
+                    className="flex-shrink-0 px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const LlmProviderSettings = ({ llmConfig, onSave, disabled }) => {
+    const [draft, setDraft] = useState(llmConfig);
+
+    useEffect(() => setDraft(llmConfig), [llmConfig]);
+
+    const provider = LLM_PROVIDERS[draft.provider] || LLM_PROVIDERS[DEFAULT_LLM_CONFIG.provider];
+    const isDirty = ['provider', 'model', 'baseUrl', 'apiKey'].some(key => draft[key] !== llmConfig[key]);
+    const canSave = isDirty && (!provider.needsBaseUrl || draft.baseUrl.trim());
+    const inputClass = "p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">AI Provider</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <select
+                    value={draft.provider}
+                    onChange={(e) => setDraft({ ...draft, provider: e.target.value, model: LLM_PROVIDERS[e.target.value].defaultModel })}
+                    className={inputClass}
+                    disabled={disabled}
+                >
+                    {Object.values(LLM_PROVIDERS).map(p => (
+                        <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    placeholder={`Model (default: ${provider.defaultModel})`}
+                    value={draft.model}
+                    onChange={(e) => setDraft({ ...draft, model: e.target.value })}
+                    className={inputClass}
+                    disabled={disabled}
+                />
+                {provider.needsBaseUrl && (
+                    <input
+                        type="url"
+                        placeholder="Base URL (e.g., http://localhost:11434/v1)"
+                        value={draft.baseUrl}
+                        onChange={(e) => setDraft({ ...draft, baseUrl: e.target.value })}
+                        className={inputClass}
+                        disabled={disabled}
+                    />
+                )}
+                {provider.id !== 'rule-based' && (
+                    <input
+                        type="password"
+                        placeholder={provider.needsApiKey ? 'API key (leave empty to use the environment key)' : 'API key (optional)'}
+                        value={draft.apiKey}
+                        onChange={(e) => setDraft({ ...draft, apiKey: e.target.value })}
+                        className={inputClass}
+                        disabled={disabled}
+                    />
+                )}
+            </div>
+            <button
+                onClick={() => onSave({ ...draft, model: draft.model.trim(), baseUrl: draft.baseUrl.trim(), apiKey: draft.apiKey.trim() })}
+                disabled={disabled || !canSave}
+                className="mt-3 px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+            >
+                Save
+            </button>
+        </div>
+    );
+};
+
+const PipelineSettings = ({ concurrency, clustering, onSave, disabled }) => {
+    const [draft, setDraft] = useState(concurrency);
+    const [clusteringDraft, setClusteringDraft] = useState(clustering);
+
+    useEffect(() => setDraft(concurrency), [concurrency]);
+    useEffect(() => setClusteringDraft(clustering), [clustering]);
+
+    const inputClass = "w-20 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
+    const updateClustering = (field, value) => setClusteringDraft(prev => ({ ...prev, [field]: value }));
+    const unchanged = draft === concurrency && JSON.stringify(clusteringDraft) === JSON.stringify(clustering);
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">Digest Generation</h3>
+            <div className="flex flex-wrap items-center gap-3">
+                <label htmlFor="concurrency" className="text-sm text-gray-600">Articles analyzed in parallel</label>
+                <input
+                    id="concurrency"
+                    type="number"
+                    min={1}
+                    max={MAX_CONCURRENCY}
+                    value={draft}
+                    onChange={(e) => setDraft(Math.min(MAX_CONCURRENCY, Math.max(1, Number(e.target.value) || 1)))}
+                    className={inputClass}
+                    disabled={disabled}
+                />
+            </div>
+            <div className="flex flex-wrap items-center gap-3 mt-3">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={clusteringDraft.enabled}
+                        onChange={(e) => updateClustering('enabled', e.target.checked)}
+                        disabled={disabled}
+                    />
+                    Merge the same story from different sources
+                </label>
+                <label htmlFor="cluster-threshold" className="text-sm text-gray-600">Similarity threshold</label>
+                <input
+                    id="cluster-threshold"
+                    type="number"
+                    min={0.05}
+                    max={1}
+                    step={0.05}
+                    value={clusteringDraft.threshold}
+                    onChange={(e) => updateClustering('threshold', Math.min(1, Math.max(0.05, Number(e.target.value) || DEFAULT_CLUSTERING.threshold)))}
+                    className={inputClass}
+                    disabled={disabled || !clusteringDraft.enabled}
+                />
+                <label htmlFor="cluster-window" className="text-sm text-gray-600">Within (hours)</label>
+                <input
+                    id="cluster-window"
+                    type="number"
+                    min={1}
+                    value={clusteringDraft.windowHours}
+                    onChange={(e) => updateClustering('windowHours', Math.max(1, Number(e.target.value) || DEFAULT_CLUSTERING.windowHours))}
+                    className={inputClass}
+                    disabled={disabled || !clusteringDraft.enabled}
+                />
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                Articles are compared by title and content (TF-IDF cosine similarity, 0-1); higher thresholds merge fewer articles.
+            </p>
+            <div className="mt-3">
+                <button
+                    onClick={() => onSave({ concurrency: draft, clustering: clusteringDraft })}
+                    disabled={disabled || unchanged}
+                    className="px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const PriceSourceSettings = ({ priceSource, onSave, disabled }) => {
+    const [draft, setDraft] = useState(priceSource);
+
+    useEffect(() => setDraft(priceSource), [priceSource]);
+
+    const source = PRICE_SOURCES[draft.type] || PRICE_SOURCES.none;
+    const isDirty = draft.type !== priceSource.type || draft.url !== priceSource.url;
+    const canSave = isDirty && (!source.requiresUrl || draft.url.trim());
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">Price Data</h3>
+            <div className="flex flex-col sm:flex-row gap-3">
+                <select
+                    value={draft.type}
+                    onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+                    className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                    disabled={disabled}
+                >
+                    {Object.values(PRICE_SOURCES).map(p => (
+                        <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                </select>
+                {source.requiresUrl && (
+                    <input
+                        type="url"
+                        placeholder={draft.type === 'csv' ? 'URL of a CSV with date,symbol,close columns' : 'URL of a JSON price file'}
+                        value={draft.url}
+                        onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+                        className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                        disabled={disabled}
+                    />
+                )}
+                <button
+                    onClick={() => onSave({ type: draft.type, url: draft.url.trim() })}
+                    disabled={disabled || !canSave}
+                    className="flex-shrink-0 px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                >
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const COMMON_TIMEZONES = ['America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Europe/London', 'Europe/Berlin', 'Asia/Tokyo', 'Asia/Hong_Kong', 'Asia/Kolkata', 'Australia/Sydney', 'UTC'];
+
+const ScheduleSettings = ({ schedule, lists, onSave, disabled }) => {
+    const [draft, setDraft] = useState(schedule);
+
+    useEffect(() => setDraft(schedule), [schedule]);
+
+    const { cron, timezone } = resolveSchedule(draft);
+    const validationError = validateSchedule(draft);
+    const nextRun = useMemo(
+        () => (draft.enabled && !validationError ? getNextRun(cron, timezone) : null),
+        [draft.enabled, validationError, cron, timezone]
+    );
+    const isDirty = ['enabled', 'preset', 'cron', 'timezone', 'scope'].some(key => draft[key] !== schedule[key]);
+
+    const handlePresetChange = (preset) => {
+        // Switching to a custom schedule starts from the preset being left
+        setDraft(preset === 'custom' ? { ...draft, preset, cron, timezone } : { ...draft, preset });
+    };
+
+    return (
+        <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">Scheduled Digests</h3>
+            <p className="text-sm text-gray-500 mb-3">
+                Generated by the digest worker (worker/digestWorker.js) while it is running, even with this page closed.
+            </p>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={draft.enabled} onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })} disabled={disabled} />
+                    Enabled
+                </label>
+                <select
+                    value={draft.preset}
+                    onChange={(e) => handlePresetChange(e.target.value)}
+                    className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                    disabled={disabled}
+                >
+                    {Object.values(SCHEDULE_PRESETS).map(preset => (
+                        <option key={preset.id} value={preset.id}>{preset.label}</option>
+                    ))}
+                </select>
+                {draft.preset === 'custom' && (
+                    <>
+                        <input
+                            type="text"
+                            placeholder="Cron, e.g. 0 7 * * 1-5"
+                            value={draft.cron}
+                            onChange={(e) => setDraft({ ...draft, cron: e.target.value })}
+                            className="w-40 p-3 font-mono text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                            disabled={disabled}
+                        />
+                        <input
+                            type="text"
+                            list="schedule-timezones"
+                            placeholder="Time zone"
+                            value={draft.timezone}
+                            onChange={(e) => setDraft({ ...draft, timezone: e.target.value })}
+                            className="w-48 p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                            disabled={disabled}
+                        />
+                        <datalist id="schedule-timezones">
+                            {[...new Set([Intl.DateTimeFormat().resolvedOptions().timeZone, ...COMMON_TIMEZONES])].map(zone => <option key={zone} value={zone} />)}
+                        </datalist>
+                    </>
+                )}
+                <select
+                    value={draft.scope}
+                    onChange={(e) => setDraft({ ...draft, scope: e.target.value })}
+                    className="p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                    disabled={disabled}
+                    title="Lists included in scheduled digests"
+                >
+                    {lists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+                    <option value={ALL_LISTS}>All lists</option>
+                </select>
+                <button
+                    onClick={() => onSave({ enabled: draft.enabled, preset: draft.preset, cron: draft.cron.trim(), timezone: draft.timezone.trim(), scope: draft.scope })}
+                    disabled={disabled || !isDirty || Boolean(validationError)}
+                    className="flex-shrink-0 px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                >
+                    Save
+                </button>
+            </div>
+            {validationError ? (
+                <p className="text-sm text-rose-600 mt-2">{validationError}</p>
+            ) : draft.enabled && (
+                <p className="text-xs text-gray-500 mt-2">
+                    Next run: {nextRun ? nextRun.toLocaleString() : 'none in the next year'} (schedule time zone: {timezone})
+                </p>
+            )}
+            {schedule.lastRunAt && (
+                <p className={`text-xs mt-1 ${schedule.lastStatus === 'failed' ? 'text-rose-600' : 'text-gray-500'}`}>
+                    Last scheduled run: {new Date(schedule.lastRunAt).toLocaleString()}
+                    {schedule.lastStatus && ` · ${schedule.lastStatus}`}
+                    {schedule.lastError && ` · ${schedule.lastError}`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+const describeAlertRule = (rule, lists) => [
+    rule.tickers.length > 0 ? rule.tickers.join(', ') : 'Any ticker',
+    rule.listId && `in ${lists.find(list => list.id === rule.listId)?.name || 'a deleted list'}`,
+    rule.sentiment === ANY_SENTIMENT ? 'any sentiment' : rule.sentiment.toLowerCase(),
+    `${rule.minImpact} impact or higher`,
+    rule.keywords.length > 0 && `mentioning ${rule.keywords.map(k => `"${k}"`).join(' or ')}`,
+].filter(Boolean).join(' · ');
+
+const AlertRuleSettings = ({ rules, lists, onSave, onToggle, onDelete, disabled }) => {
+    const emptyDraft = { ...DEFAULT_ALERT_RULE, tickersText: '', keywordsText: '' };
+    const [draft, setDraft] = useState(null); // null = form closed
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState(null);
+
+    const openForm = (rule = null) => {
+        setEditingId(rule?.id || null);
+        setDraft(rule ? { ...rule, tickersText: rule.tickers.join(', '), keywordsText: rule.keywords.join(', ') } : emptyDraft);
+        setFormError(null);
+    };
+
+    const handleSubmit = async () => {
+        const rule = {
+            name: draft.name.trim(),
+            enabled: draft.enabled,
+            tickers: parseRuleList(draft.tickersText.toUpperCase()),
+            listId: draft.listId || null,
+            sentiment: draft.sentiment,
+            minImpact: draft.minImpact,
+            keywords: parseRuleList(draft.keywordsText),
+        };
+        const validationError = validateAlertRule(rule);
+        if (validationError) {
+            setFormError(validationError);
+            return;
+        }
+        if (await onSave(rule, editingId)) setDraft(null);
+    };
+
+    const inputClass = "p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">Alert Rules</h3>
+                {!draft && (
+                    <button onClick={() => openForm()} disabled={disabled} className="flex items-center text-sm font-medium text-indigo-600 px-2 py-1 rounded hover:bg-indigo-50">
+                        <Plus className="w-4 h-4 mr-1" />
+                        New rule
+                    </button>
+                )}
+            </div>
+            <p className="text-sm text-gray-500 mb-3">Rules are checked at the end of every digest run; matching items appear under Alerts.</p>
+
+            {rules.length === 0 && !draft && <p className="text-sm text-gray-400 italic">No alert rules yet.</p>}
+            <ul className="space-y-2 mb-3">
+                {rules.map(rule => (
+                    <li key={rule.id} className="flex items-center gap-3 text-sm">
+                        <input type="checkbox" checked={rule.enabled} onChange={(e) => onToggle(rule.id, e.target.checked)} disabled={disabled} title="Enabled" />
+                        <div className={`flex-grow ${rule.enabled ? '' : 'opacity-50'}`}>
+                            <p className="font-medium text-gray-800">{rule.name}</p>
+                            <p className="text-xs text-gray-500">{describeAlertRule(rule, lists)}</p>
+                        </div>
+                        <button onClick={() => openForm(rule)} disabled={disabled} className="p-1 rounded text-gray-500 hover:bg-gray-100" title="Edit rule">
+                            <Pencil className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => onDelete(rule.id)} disabled={disabled} className="p-1 rounded text-gray-500 hover:bg-gray-100 hover:text-rose-600" title="Delete rule">
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {draft && (
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Name
+                            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Bad news on big positions" className={inputClass} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Tickers (comma-separated, empty for any)
+                            <input type="text" value={draft.tickersText} onChange={(e) => setDraft({ ...draft, tickersText: e.target.value })} placeholder="MSFT, NVDA" className={inputClass} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            List
+                            <select value={draft.listId || ''} onChange={(e) => setDraft({ ...draft, listId: e.target.value || null })} className={inputClass}>
+                                <option value="">Any list</option>
+                                {lists.map(list => <option key={list.id} value={list.id}>{list.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Sentiment
+                            <select value={draft.sentiment} onChange={(e) => setDraft({ ...draft, sentiment: e.target.value })} className={inputClass}>
+                                <option value={ANY_SENTIMENT}>Any</option>
+                                {SENTIMENTS.map(sentiment => <option key={sentiment} value={sentiment}>{sentiment}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Minimum impact
+                            <select value={draft.minImpact} onChange={(e) => setDraft({ ...draft, minImpact: e.target.value })} className={inputClass}>
+                                {IMPACTS.map(impact => <option key={impact} value={impact}>{impact}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Keywords (any of, comma-separated)
+                            <input type="text" value={draft.keywordsText} onChange={(e) => setDraft({ ...draft, keywordsText: e.target.value })} placeholder="lawsuit, recall, downgrade" className={inputClass} />
+                        </label>
+                    </div>
+                    {formError && <p className="text-sm text-rose-600 mt-2">{formError}</p>}
+                    <div className="flex justify-end gap-2 mt-3">
+                        <button onClick={() => setDraft(null)} className="text-sm px-3 py-2 rounded-lg text-gray-600 hover:bg-gray-100">Cancel</button>
+                        <button
+                            onClick={handleSubmit}
+                            disabled={disabled}
+                            className="text-sm px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300"
+                        >
+                            {editingId ? 'Save rule' : 'Add rule'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const describeDeliveryFilters = (filters) => [
+    filters.tickers.length > 0 ? filters.tickers.join(', ') : 'Any ticker',
+    filters.sentiments.length > 0 ? filters.sentiments.map(sentiment => sentiment.toLowerCase()).join(' or ') : 'any sentiment',
+    `${filters.minImpact} impact or higher`,
+    filters.includeFailed && 'with failed analyses',
+].filter(Boolean).join(' · ');
+
+const getDeliveryStatusStyles = (status) => {
+    switch (status) {
+        case DELIVERY_STATUS.SENT:
+            return 'bg-emerald-100 text-emerald-700';
+        case DELIVERY_STATUS.FAILED:
+            return 'bg-rose-100 text-rose-700';
+        case DELIVERY_STATUS.SKIPPED:
+            return 'bg-gray-100 text-gray-600';
+        case DELIVERY_STATUS.PENDING:
+        default:
+            return 'bg-amber-100 text-amber-800';
     }
 };
 
-// --- GEMINI API CORE LOGIC ---
+const MAX_LOG_ENTRIES = 20;
 
-/**
- * Calls the Gemini API to summarize an article and extract structured data.
- * @param {string} articleContent - The text of the news article.
- * @returns {Promise<object>} The structured JSON object containing summary, sentiment, and impact.
- */
-const summarizeNews = async (articleContent) => {
-    const userQuery = `Summarize the following financial news article and extract the required fields as a JSON object: "${articleContent}"`;
+const DeliveryChannelSettings = ({ channels, deliveries, runs, onSave, onToggle, onDelete, onRetry, disabled }) => {
+    const emptyDraft = { ...DEFAULT_DELIVERY_CHANNEL, ...DEFAULT_DELIVERY_FILTERS, tickersText: '' };
+    const [draft, setDraft] = useState(null); // null = form closed
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState(null);
+
+    const openForm = (channel = null) => {
+        setEditingId(channel?.id || null);
+        setDraft(channel ? { ...channel, ...channel.filters, tickersText: channel.filters.tickers.join(', ') } : emptyDraft);
+        setFormError(null);
+    };
+
+    const toggleSentiment = (sentiment) => setDraft({
+        ...draft,
+        sentiments: draft.sentiments.includes(sentiment) ? draft.sentiments.filter(s => s !== sentiment) : [...draft.sentiments, sentiment],
+    });
+
+    const handleSubmit = async () => {
+        const channel = {
+            name: draft.name.trim(),
+            enabled: draft.enabled,
+            type: draft.type,
+            target: draft.target.trim(),
+            filters: {
+                minImpact: draft.minImpact,
+                sentiments: SENTIMENTS.filter(sentiment => draft.sentiments.includes(sentiment)),
+                tickers: parseRuleList(draft.tickersText.toUpperCase()),
+                includeFailed: draft.includeFailed,
+            },
+        };
+        const validationError = validateDeliveryChannel(channel);
+        if (validationError) {
+            setFormError(validationError);
+            return;
+        }
+        if (await onSave(channel, editingId)) setDraft(null);
+    };
+
+    const runVersions = Object.fromEntries(runs.map(run => [run.id, run.version]));
+    const inputClass = "p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
+    const channelType = draft ? CHANNEL_TYPES[draft.type] : null;
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">Delivery Channels</h3>
+                {!draft && (
+                    <button onClick={() => openForm()} disabled={disabled} className="flex items-center text-sm font-medium text-indigo-600 px-2 py-1 rounded hover:bg-indigo-50">
+                        <Plus className="w-4 h-4 mr-1" />
+                        New channel
+                    </button>
+                )}
+            </div>
+            <p className="text-sm text-gray-500 mb-3">
+                Every finished digest is sent to the enabled channels by the digest worker; each channel only receives the items that pass its filters.
+            </p>
+
+            {channels.length === 0 && !draft && <p className="text-sm text-gray-400 italic">No delivery channels yet.</p>}
+            <ul className="space-y-2 mb-3">
+                {channels.map(channel => (
+                    <li key={channel.id} className="flex items-center gap-3 text-sm">
+                        <input type="checkbox" checked={channel.enabled} onChange={(e) => onToggle(channel.id, e.target.checked)} disabled={disabled} title="Enabled" />
+                        <div className={`flex-grow min-w-0 ${channel.enabled ? '' : 'opacity-50'}`}>
+                            <p className="font-medium text-gray-800">{channel.name}</p>
+                            <p className="text-xs text-gray-500 truncate">{CHANNEL_TYPES[channel.type]?.label} · {channel.target}</p>
+                            <p className="text-xs text-gray-500">{describeDeliveryFilters(channel.filters)}</p>
+                        </div>
+                        <button onClick={() => openForm(channel)} disabled={disabled} className="p-1 rounded text-gray-500 hover:bg-gray-100" title="Edit channel">
+                            <Pencil className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => onDelete(channel.id)} disabled={disabled} className="p-1 rounded text-gray-500 hover:bg-gray-100 hover:text-rose-600" title="Delete channel">
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {draft && (
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 mb-3">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Name
+                            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Desk Slack" className={inputClass} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Type
+                            <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} className={inputClass}>
+                                {Object.values(CHANNEL_TYPES).map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600 sm:col-span-2">
+                            {channelType.targetLabel}
+                            <input type="text" value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })} placeholder={channelType.placeholder} className={inputClass} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Tickers (comma-separated, empty for any)
+                            <input type="text" value={draft.tickersText} onChange={(e) => setDraft({ ...draft, tickersText: e.target.value })} placeholder="MSFT, NVDA" className={inputClass} />
+                        </label>
+                        <label className="flex flex-col gap-1 text-gray-600">
+                            Minimum impact
+                            <select value={draft.minImpact} onChange={(e) => setDraft({ ...draft, minImpact: e.target.value })} className={inputClass}>
+                                {IMPACTS.map(impact => <option key={impact} value={impact}>{impact}</option>)}
+                            </select>
+                        </label>
+                        <div className="flex flex-col gap-1 text-gray-600">
+                            Sentiments (none checked for any)
+                            <div className="flex gap-3 py-2">
+                                {SENTIMENTS.map(sentiment => (
+                                    <label key={sentiment} className="flex items-center gap-1">
+                                        <input type="checkbox" checked={draft.sentiments.includes(sentiment)} onChange={() => toggleSentiment(sentiment)} />
+                                        {sentiment}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                        <label className="flex items-center gap-2 text-gray-600">
+                            <input type="checkbox" checked={draft.includeFailed} onChange={(e) => setDraft({ ...draft, includeFailed: e.target.checked })} />
+                            Include items whose analysis failed
+                        </label>
+                    </div>
+                    {formError && <p className="text-sm text-rose-600 mt-2">{formError}</p>}
+                    <div className="flex justify-end gap-2 mt-3">
+                        <button onClick={() => setDraft(null)} className="text-sm px-3 py-2 rounded-lg text-gray-600 hover:bg-gray-100">Cancel</button>
+                        <button
+                            onClick={handleSubmit}
+                            disabled={disabled}
+                            className="text-sm px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300"
+                        >
+                            {editingId ? 'Save channel' : 'Add channel'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Delivery log</h4>
+            {deliveries.length === 0 ? (
+                <p className="text-sm text-gray-400 italic">Nothing delivered yet.</p>
+            ) : (
+                <ul className="max-h-64 overflow-y-auto divide-y text-sm">
+                    {deliveries.slice(0, MAX_LOG_ENTRIES).map(delivery => (
+                        <li key={delivery.id} className="flex items-start gap-2 py-2">
+                            <span className={`w-16 flex-shrink-0 text-center text-xs font-semibold px-2 py-0.5 rounded ${getDeliveryStatusStyles(delivery.status)}`}>
+                                {delivery.status}
+                            </span>
+                            <div className="flex-grow min-w-0">
+                                <p className="text-gray-800">
+                                    {delivery.channelName}
+                                    <span className="text-gray-500">
+                                        {' · '}{runVersions[delivery.runId] ? `Run #${runVersions[delivery.runId]}` : 'older run'}
+                                        {delivery.itemCount !== null && ` · ${delivery.itemCount} item(s)`}
+                                        {' · '}{new Date(delivery.sentAt || delivery.updatedAt).toLocaleString()}
+                                    </span>
+                                </p>
+                                {delivery.lastError && (
+                                    <p className="text-xs text-gray-500 truncate" title={delivery.lastError}>
+                                        {delivery.status === DELIVERY_STATUS.SKIPPED ? delivery.lastError : `Attempt ${delivery.attempts} of ${MAX_DELIVERY_ATTEMPTS} failed: ${delivery.lastError}`}
+                                    </p>
+                                )}
+                                {delivery.status === DELIVERY_STATUS.PENDING && delivery.attempts > 0 && (
+                                    <p className="text-xs text-gray-500">Retrying at {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</p>
+                                )}
+                            </div>
+                            {(delivery.status === DELIVERY_STATUS.FAILED || delivery.status === DELIVERY_STATUS.SKIPPED) && (
+                                <button onClick={() => onRetry(delivery.id)} disabled={disabled} className="flex items-center text-xs font-medium text-gray-500 px-2 py-1 rounded hover:bg-gray-100 hover:text-indigo-600">
+                                    <RefreshCw className="w-3 h-3 mr-1" />
+                                    Retry
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- NOTIFICATION CENTER ---
+
+// Triggered alerts, newest first; snoozed alerts are hidden until their snooze ends
+const NotificationCenter = ({ alerts, now, onOpen, onSetRead, onMarkAllRead, onSnooze, onDelete, onClose }) => {
+    const [showSnoozed, setShowSnoozed] = useState(false);
+    const [snoozeMenuId, setSnoozeMenuId] = useState(null);
+
+    const active = alerts.filter(alert => !isSnoozed(alert, now));
+    const snoozed = alerts.filter(alert => isSnoozed(alert, now));
+    const shown = showSnoozed ? snoozed : active;
+
+    return (
+        <div className="absolute right-0 top-full mt-2 w-[26rem] max-w-[90vw] bg-white rounded-xl shadow-xl border border-gray-200 z-20">
+            <div className="flex justify-between items-center px-4 py-3 border-b">
+                <h3 className="font-semibold text-gray-800">Alerts</h3>
+                <div className="flex items-center gap-2 text-xs">
+                    <button onClick={() => setShowSnoozed(!showSnoozed)} className="text-gray-500 hover:text-indigo-600">
+                        {showSnoozed ? 'Back to alerts' : `Snoozed (${snoozed.length})`}
+                    </button>
+                    <button onClick={onMarkAllRead} disabled={!active.some(alert => !alert.read)} className="text-indigo-600 hover:text-indigo-800 disabled:text-gray-300">
+                        Mark all read
+                    </button>
+                    <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-100" title="Close">
+                        <XCircle className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <ul className="max-h-96 overflow-y-auto divide-y">
+                {shown.length === 0 && (
+                    <li className="px-4 py-6 text-sm text-gray-400 italic text-center">
+                        {showSnoozed ? 'No snoozed alerts.' : 'No alerts. Add alert rules under Settings.'}
+                    </li>
+                )}
+                {shown.map(alert => (
+                    <li key={alert.id} className={`px-4 py-3 text-sm ${alert.read ? 'bg-white' : 'bg-indigo-50'}`}>
+                        <div className="flex items-start gap-2">
+                            <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${alert.read ? 'bg-transparent' : 'bg-indigo-600'}`} />
+                            <button onClick={() => onOpen(alert)} className="flex-grow text-left">
+                                <p className="text-xs text-gray-500">
+                                    {alert.ruleName} · {new Date(alert.createdAt).toLocaleString()}
+                                    {showSnoozed && ` · until ${new Date(alert.snoozedUntil).toLocaleString()}`}
+                                </p>
+                                <p className="font-medium text-gray-800">
+                                    <span className="font-bold">{alert.symbol}</span> {alert.title}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {alert.sentiment} · {alert.impact} impact
+                                    {alert.matchedKeywords.length > 0 && ` · matched ${alert.matchedKeywords.join(', ')}`}
+                                </p>
+                            </button>
+                        </div>
+                        <div className="flex justify-end gap-3 mt-1 text-xs text-gray-500">
+                            <button onClick={() => onSetRead(alert.id, !alert.read)} className="hover:text-indigo-600">
+                                Mark {alert.read ? 'unread' : 'read'}
+                            </button>
+                            {showSnoozed ? (
+                                <button onClick={() => onSnooze(alert.id, null)} className="hover:text-indigo-600">Unsnooze</button>
+                            ) : (
+                                <span className="relative">
+                                    <button onClick={() => setSnoozeMenuId(snoozeMenuId === alert.id ? null : alert.id)} className="hover:text-indigo-600">Snooze</button>
+                                    {snoozeMenuId === alert.id && (
+                                        <span className="absolute right-0 top-full mt-1 flex flex-col bg-white border border-gray-200 rounded-lg shadow-md z-30">
+                                            {SNOOZE_OPTIONS.map(option => (
+                                                <button
+                                                    key={option.key}
+                                                    onClick={() => {
+                                                        setSnoozeMenuId(null);
+                                                        onSnooze(alert.id, option.hours);
+                                                    }}
+                                                    className="px-3 py-1 text-left whitespace-nowrap hover:bg-gray-100"
+                                                >
+                                                    {option.label}
+                                                </button>
+                                            ))}
+                                        </span>
+                                    )}
+                                </span>
+                            )}
+                            <button onClick={() => onDelete(alert.id)} className="hover:text-rose-600">Dismiss</button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- PERFORMANCE WIDGET ---
+
+const formatPercent = (value) => value === null ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
 
-    const systemPrompt = `You are a world-class financial analyst. Your task is to process a news article and output a strictly valid JSON object. Do not include any text outside the JSON block.
+const ReturnFigure = ({ label, value }) => (
+    <div className="text-center">
+        <p className="text-xs text-gray-500">{label}</p>
+        <p className={`text-sm font-bold ${value === null ? 'text-gray-400' : value >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+            {formatPercent(value)}
+        </p>
+    </div>
+);
 
-    The JSON object must strictly adhere to this schema:
-    {
-      "summary": "A concise, 1-2 sentence summary of the article's core financial news.",
-      "sentiment": "POSITIVE, NEGATIVE, or NEUTRAL",
-      "impact": "Low, Medium, or High"
+// Line chart of portfolio value with range selection and a hover readout
+const ValueChart = ({ series, currency }) => {
+    const [range, setRange] = useState('3M');
+    const [hoverIndex, setHoverIndex] = useState(null);
+
+    const points = sliceSeries(series, range);
+    if (points.length < 2) {
+        return <p className="h-24 flex items-center justify-center text-xs text-gray-400 italic">Not enough price history to chart.</p>;
     }
-    `;
-
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    summary: { type: "STRING", description: "A concise, 1-2 sentence summary of the article's core financial news." },
-                    sentiment: { type: "STRING", enum: ["POSITIVE", "NEGATIVE", "NEUTRAL"], description: "The immediate financial sentiment." },
-                    impact: { type: "STRING", enum: ["Low", "Medium", "High"], description: "The anticipated market impact." }
-                }
+
+    const values = points.map(p => p.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const x = (i) => (i / (points.length - 1)) * 100;
+    const y = (v) => max === min ? 12 : 22 - ((v - min) / (max - min)) * 20;
+    const isPositive = values[values.length - 1] >= values[0];
+    const hovered = hoverIndex !== null ? points[hoverIndex] : points[points.length - 1];
+
+    const handleMouseMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        setHoverIndex(Math.round(ratio * (points.length - 1)));
+    };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-2">
+                <span className="text-xs text-gray-500">
+                    {hovered.date}: <span className="font-semibold text-gray-700">{formatMoney(hovered.value, currency)}</span>
+                </span>
+                <div className="flex gap-1">
+                    {CHART_RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            onClick={() => setRange(r.key)}
+                            className={`text-xs px-2 py-0.5 rounded ${range === r.key ? 'bg-indigo-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="h-24 bg-gray-50 p-2 rounded-lg border border-gray-200">
+                <svg
+                    viewBox="0 0 100 24"
+                    preserveAspectRatio="none"
+                    className="w-full h-full cursor-crosshair"
+                    onMouseMove={handleMouseMove}
+                    onMouseLeave={() => setHoverIndex(null)}
+                >
+                    <polyline
+                        fill="none"
+                        stroke={isPositive ? "rgb(52, 211, 153)" : "rgb(251, 113, 133)"}
+                        strokeWidth="1.5"
+                        vectorEffect="non-scaling-stroke"
+                        points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')}
+                    />
+                    {hoverIndex !== null && (
+                        <line x1={x(hoverIndex)} x2={x(hoverIndex)} y1="0" y2="24" stroke="rgb(156, 163, 175)" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+                    )}
+                </svg>
+            </div>
+        </div>
+    );
+};
+
+const PerformanceWidget = ({ holdings, priceData }) => {
+    const { quotes, history, loading, error, configured } = priceData;
+
+    // Without exchange rates, value, returns and allocation only add up positions in one currency
+    const { baseCurrency, included: positions, excluded } = splitByBaseCurrency(holdings.filter(holding => holding.quantity > 0));
+    const currency = baseCurrency || DEFAULT_CURRENCY;
+    const pricedPositions = positions.filter(holding => quotes[holding.ticker]);
+    const missingPrices = positions.filter(holding => !quotes[holding.ticker]).map(holding => holding.ticker);
+
+    const totalValue = pricedPositions.reduce((sum, holding) => sum + holding.quantity * quotes[holding.ticker].price, 0);
+    const series = buildValueSeries(pricedPositions, history);
+    const returns = computeReturns(series);
+
+    // Allocation by market value where a price exists, otherwise by cost basis
+    const valueOf = (holding) => getPositionValue(holding, quotes);
+    const weights = computeWeights(positions, valueOf);
+    const allocation = [...positions].sort((a, b) => weights[b.ticker] - weights[a.ticker]);
+
+    return (
+        <div className="p-6 bg-white rounded-xl shadow-md border-t-4 border-emerald-400">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">Portfolio Performance</h3>
+
+            {!configured ? (
+                <p className="text-sm text-gray-500 italic mb-4">Choose a price data file under Settings to see value and returns.</p>
+            ) : loading ? (
+                <p className="flex items-center text-sm text-gray-500 mb-4"><Loader2 className="w-4 h-4 animate-spin mr-2" />Loading prices...</p>
+            ) : error ? (
+                <p className="text-sm text-rose-600 mb-4">Could not load prices: {error}</p>
+            ) : (
+                <>
+                    <div className="flex justify-between items-end mb-3 border-b pb-3">
+                        <div>
+                            <p className="text-sm text-gray-500">Total Value</p>
+                            <span className="text-3xl font-extrabold text-gray-900">{formatMoney(totalValue, currency)}</span>
+                        </div>
+                        <span className={`text-xl font-extrabold flex items-center ${returns.oneDay === null ? 'text-gray-400' : returns.oneDay >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                            {returns.oneDay !== null && (returns.oneDay >= 0 ? <ChevronUp className="w-5 h-5 mr-1" /> : <ChevronDown className="w-5 h-5 mr-1" />)}
+                            {formatPercent(returns.oneDay)}
+                        </span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 mb-4">
+                        <ReturnFigure label="1 Day" value={returns.oneDay} />
+                        <ReturnFigure label="1 Week" value={returns.oneWeek} />
+                        <ReturnFigure label="YTD" value={returns.ytd} />
+                    </div>
+                    <ValueChart series={series} currency={currency} />
+                    {missingPrices.length > 0 && (
+                        <p className="text-xs text-amber-700 mt-2">No price data for {missingPrices.join(', ')}; excluded from value and returns.</p>
+                    )}
+                </>
+            )}
+
+            <div className="mt-4 pt-3 border-t">
+                <p className="text-sm text-gray-500 mb-2">Allocation</p>
+                {allocation.length === 0 ? (
+                    <p className="text-xs text-gray-400 italic">Edit a ticker to record shares and cost.</p>
+                ) : (
+                    <ul className="space-y-1">
+                        {allocation.map(holding => (
+                            <li key={holding.ticker} className="text-xs text-gray-600">
+                                <div className="flex justify-between">
+                                    <span className="font-semibold">{holding.ticker}</span>
+                                    <span>{formatMoney(valueOf(holding), holding.currency)} · {(weights[holding.ticker] * 100).toFixed(1)}%</span>
+                                </div>
+                                <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                                    <div className="h-full bg-indigo-400" style={{ width: `${weights[holding.ticker] * 100}%` }} />
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {excluded.length > 0 && (
+                    <p className="flex items-start text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-2 mt-3">
+                        <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+                        <span>
+                            Value, returns and allocation only count {currency} positions, since there are no exchange rates to convert with.
+                            Left out: {excluded.map(holding => `${holding.ticker} (${formatMoney(valueOf(holding), holding.currency)})`).join(', ')}.
+                        </span>
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- SENTIMENT TREND ---
+
+const formatNet = (net) => `${net > 0 ? '+' : ''}${net}`;
+const netColor = (net) => net > 0 ? 'text-emerald-600' : net < 0 ? 'text-rose-600' : 'text-gray-500';
+
+// Daily net sentiment as bars around a zero line; scaled to the series' own largest day
+const SentimentBars = ({ points, highlightIndex = null }) => {
+    const scale = Math.max(1, ...points.map(point => Math.abs(point.net)));
+    return (
+        <>
+            <line x1="0" x2={points.length} y1="12" y2="12" stroke="rgb(209, 213, 219)" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+            {points.map((point, index) => point.net !== 0 && (
+                <rect
+                    key={point.date}
+                    x={index + 0.15}
+                    width="0.7"
+                    y={point.net > 0 ? 12 - (point.net / scale) * 11 : 12}
+                    height={(Math.abs(point.net) / scale) * 11}
+                    fill={point.net > 0 ? 'rgb(52, 211, 153)' : 'rgb(251, 113, 133)'}
+                    opacity={highlightIndex === null || highlightIndex === index ? 1 : 0.5}
+                />
+            ))}
+            {highlightIndex !== null && (
+                <line x1={highlightIndex + 0.5} x2={highlightIndex + 0.5} y1="0" y2="24" stroke="rgb(156, 163, 175)" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+            )}
+        </>
+    );
+};
+
+const SentimentSparkline = ({ points }) => (
+    <svg viewBox={`0 0 ${points.length} 24`} preserveAspectRatio="none" className="w-10 h-4">
+        <SentimentBars points={points} />
+    </svg>
+);
+
+// Drill-down for one ticker: the daily trend over a chosen range and the headlines behind it
+const SentimentTrendChart = ({ symbol, points, items, onClose }) => {
+    const [range, setRange] = useState('30D');
+    const [hoverIndex, setHoverIndex] = useState(null);
+
+    const shown = points.slice(-TREND_RANGES.find(r => r.key === range).days);
+    const total = summarizeTrend(shown);
+    const hovered = hoverIndex !== null ? shown[hoverIndex] : null;
+    const headlines = hovered
+        ? items.filter(item => getItemDate(item) === hovered.date)
+        : items.filter(item => getItemDate(item) >= shown[0].date).slice(0, 5);
+
+    const handleMouseMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = Math.min(0.9999, Math.max(0, (e.clientX - rect.left) / rect.width));
+        setHoverIndex(Math.floor(ratio * shown.length));
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-sm font-semibold text-gray-700">
+                    {symbol} Sentiment Trend
+                    <span className={`ml-2 font-bold ${netColor(total.net)}`}>{formatNet(total.net)}</span>
+                    <span className="ml-1 text-xs font-normal text-gray-500">net across {total.count} item(s)</span>
+                </h3>
+                <div className="flex items-center gap-1">
+                    {TREND_RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            onClick={() => setRange(r.key)}
+                            className={`text-xs px-2 py-0.5 rounded ${range === r.key ? 'bg-indigo-600 text-white' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                    <button onClick={onClose} className="ml-2 p-1 rounded-full text-gray-400 hover:bg-gray-200" title="Close">
+                        <XCircle className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <p className="text-xs text-gray-500 mb-1">
+                {hovered
+                    ? <>{hovered.date}: <span className={`font-semibold ${netColor(hovered.net)}`}>{formatNet(hovered.net)}</span> ({hovered.positive} positive, {hovered.negative} negative, {hovered.neutral} neutral)</>
+                    : `${shown[0].date} to ${shown[shown.length - 1].date}, daily net sentiment weighted by impact`}
+            </p>
+            <div className="h-24 bg-white p-2 rounded-lg border border-gray-200">
+                <svg
+                    viewBox={`0 0 ${shown.length} 24`}
+                    preserveAspectRatio="none"
+                    className="w-full h-full cursor-crosshair"
+                    onMouseMove={handleMouseMove}
+                    onMouseLeave={() => setHoverIndex(null)}
+                >
+                    <SentimentBars points={shown} highlightIndex={hoverIndex} />
+                </svg>
+            </div>
+
+            <ul className="mt-3 space-y-1">
+                {headlines.length === 0 ? (
+                    <li className="text-xs text-gray-400 italic">No news {hovered ? 'on this day' : 'in this range'}.</li>
+                ) : headlines.map(item => (
+                    <li key={item.id} className="text-xs text-gray-600 flex gap-2">
+                        <span className="text-gray-400 flex-shrink-0">{getItemDate(item)}</span>
+                        <span className={`font-semibold flex-shrink-0 ${netColor(scoreItem(item))}`}>{formatNet(scoreItem(item))}</span>
+                        <a href={item.url} target="_blank" rel="noopener noreferrer" className="truncate hover:text-indigo-600">{item.title}</a>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// --- EXPOSURE HEATMAP ---
+
+const HEATMAP_COLUMNS = [
+    { sentiment: 'NEGATIVE', impacts: ['High', 'Medium', 'Low'], color: '244, 63, 94', label: 'text-rose-700' },
+    { sentiment: 'NEUTRAL', impacts: ['High', 'Medium', 'Low'], color: '107, 114, 128', label: 'text-gray-600' },
+    { sentiment: 'POSITIVE', impacts: ['Low', 'Medium', 'High'], color: '16, 185, 129', label: 'text-emerald-700' },
+];
+
+// Portfolio sentiment weighted by position size and impact, with a holdings × sentiment/impact heatmap
+const ExposureHeatmap = ({ exposure, weighting, onSelectSentiment }) => {
+    const { score, totals, rows, maxExposure, hotspots, unweighted } = exposure;
+    if (score === null) return null;
+
+    // Positions in other currencies than the base one have no weight (there are no exchange rates)
+    const excludedTickers = weighting.excluded.map(position => position.ticker);
+    const otherUnweighted = unweighted.filter(symbol => !excludedTickers.includes(symbol));
+
+    const total = totals.POSITIVE + totals.NEGATIVE + totals.NEUTRAL;
+    const share = (sentiment) => (totals[sentiment] / total) * 100;
+
+    return (
+        <div className="mb-6 p-4 bg-white rounded-xl border border-gray-200">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                <h3 className="text-lg font-bold text-gray-800">
+                    Portfolio Sentiment
+                    <span className={`ml-2 ${score > 0.1 ? 'text-emerald-600' : score < -0.1 ? 'text-rose-600' : 'text-gray-600'}`}>
+                        {score > 0 ? '+' : ''}{score.toFixed(2)}
+                    </span>
+                </h3>
+                <span className="text-xs text-gray-500">
+                    {weighting.equal
+                        ? 'No positions recorded, so every ticker is weighted equally.'
+                        : `Weighted by position size (in ${weighting.baseCurrency}) and impact.`}
+                </span>
+            </div>
+
+            <div className="flex h-2 rounded-full overflow-hidden mb-1">
+                <div className="bg-emerald-400" style={{ width: `${share('POSITIVE')}%` }} />
+                <div className="bg-gray-300" style={{ width: `${share('NEUTRAL')}%` }} />
+                <div className="bg-rose-400" style={{ width: `${share('NEGATIVE')}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                {share('POSITIVE').toFixed(0)}% positive · {share('NEUTRAL').toFixed(0)}% neutral · {share('NEGATIVE').toFixed(0)}% negative exposure
+            </p>
+
+            {weighting.excluded.length > 0 && (
+                <p className="flex items-start text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-2 mb-3">
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                        Only {weighting.baseCurrency} positions are weighted, since there are no exchange rates to convert with.
+                        Left out of the score: {weighting.excluded.map(position => `${position.ticker} (${position.currency})`).join(', ')}.
+                    </span>
+                </p>
+            )}
+
+            {hotspots.length > 0 && (
+                <p className="flex items-start text-sm text-rose-700 mb-3">
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                    High-impact negative news on large positions: {hotspots.map(h => `${h.symbol} (${(h.weight * 100).toFixed(0)}%)`).join(', ')}
+                </p>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                    <thead>
+                        <tr>
+                            <th />
+                            {HEATMAP_COLUMNS.map(column => (
+                                <th key={column.sentiment} colSpan={column.impacts.length} className={`font-semibold pb-1 ${column.label}`}>
+                                    <button onClick={() => onSelectSentiment(column.sentiment)} className="hover:underline">{column.sentiment.toLowerCase()}</button>
+                                </th>
+                            ))}
+                        </tr>
+                        <tr className="text-gray-400">
+                            <th className="text-left font-normal pb-1">Holding</th>
+                            {HEATMAP_COLUMNS.flatMap(column => column.impacts.map(impact => (
+                                <th key={getCellKey(column.sentiment, impact)} className="font-normal pb-1">{impact}</th>
+                            )))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.symbol}>
+                                <td className="pr-2 py-0.5 whitespace-nowrap text-gray-700">
+                                    <span className="font-semibold">{row.symbol}</span> {(row.weight * 100).toFixed(1)}%
+                                </td>
+                                {HEATMAP_COLUMNS.flatMap(column => column.impacts.map(impact => {
+                                    const cell = row.cells[getCellKey(column.sentiment, impact)];
+                                    const isHotspot = cell && column.sentiment === 'NEGATIVE' && impact === 'High' && hotspots.some(h => h.symbol === row.symbol);
+                                    return (
+                                        <td key={getCellKey(column.sentiment, impact)} className="p-0.5">
+                                            <div
+                                                className={`h-7 min-w-[2rem] rounded flex items-center justify-center ${cell ? 'text-gray-900 font-semibold' : 'bg-gray-50'} ${isHotspot ? 'ring-2 ring-rose-600' : ''}`}
+                                                style={cell ? { backgroundColor: `rgba(${column.color}, ${0.15 + 0.85 * (cell.exposure / maxExposure)})` } : undefined}
+                                                title={cell ? `${row.symbol}: ${cell.count} ${column.sentiment.toLowerCase()} ${impact.toLowerCase()}-impact item(s), exposure ${cell.exposure.toFixed(2)}` : undefined}
+                                            >
+                                                {cell ? cell.count : ''}
+                                            </div>
+                                        </td>
+                                    );
+                                }))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {otherUnweighted.length > 0 && (
+                <p className="text-xs text-gray-400 mt-2">Not weighted (not positions in this list): {otherUnweighted.join(', ')}.</p>
+            )}
+        </div>
+    );
+};
+
+// --- HOLDING EDITOR ---
+
+const emptyLot = () => ({ quantity: '', price: '', date: '' });
+
+const HoldingEditor = ({ holding, onSave, onCancel, disabled }) => {
+    const [currency, setCurrency] = useState(holding.currency);
+    const [lots, setLots] = useState(holding.lots.length > 0 ? holding.lots : [emptyLot()]);
+
+    const updateLot = (index, field, value) => setLots(lots.map((lot, i) => i === index ? { ...lot, [field]: value } : lot));
+    const position = summarizeLots(sanitizeLots(lots));
+    const inputClass = "p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm";
+
+    return (
+        <div className="mt-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">Edit {holding.ticker}</h3>
+                <select value={currency} onChange={(e) => setCurrency(e.target.value)} className={inputClass} disabled={disabled}>
+                    {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-xs font-semibold text-gray-500 mb-1">
+                <span>Shares</span>
+                <span>Price per share</span>
+                <span>Purchase date</span>
+                <span className="w-7" />
+            </div>
+            {lots.map((lot, index) => (
+                <div key={index} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 mb-2">
+                    <input type="number" min="0" step="any" value={lot.quantity} onChange={(e) => updateLot(index, 'quantity', e.target.value)} className={inputClass} disabled={disabled} />
+                    <input type="number" min="0" step="any" value={lot.price} onChange={(e) => updateLot(index, 'price', e.target.value)} className={inputClass} disabled={disabled} />
+                    <input type="date" value={lot.date} onChange={(e) => updateLot(index, 'date', e.target.value)} className={inputClass} disabled={disabled} />
+                    <button
+                        onClick={() => setLots(lots.filter((_, i) => i !== index))}
+                        className="p-2 rounded-full text-gray-500 hover:bg-gray-200 transition duration-150"
+                        disabled={disabled}
+                        title="Remove lot"
+                    >
+                        <Trash2 className="w-3 h-3" />
+                    </button>
+                </div>
+            ))}
+            <button onClick={() => setLots([...lots, emptyLot()])} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800 mb-3" disabled={disabled}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add lot
+            </button>
+
+            <p className="text-sm text-gray-600 mb-3">
+                {position.quantity} shares · Avg. cost {formatMoney(position.averageCost, currency)} · Cost basis {formatMoney(position.costBasis, currency)}
+            </p>
+            <div className="flex gap-2">
+                <button
+                    onClick={() => onSave(holding.ticker, { currency, lots })}
+                    disabled={disabled}
+                    className="px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                >
+                    Save
+                </button>
+                <button onClick={onCancel} className="px-4 py-2 text-gray-600 font-medium rounded-lg hover:bg-gray-200 transition duration-150">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- TICKER INPUT ---
+
+// Add-ticker input with autocomplete by ticker or company name from the symbol master
+const TickerInput = ({ value, onChange, onSubmit, disabled }) => {
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const suggestions = useMemo(() => symbolMaster.search(value), [value]);
+    const showSuggestions = open && suggestions.length > 0;
+
+    const choose = (entry) => {
+        onChange(entry.symbol);
+        setOpen(false);
+        onSubmit(entry.symbol);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && showSuggestions) {
+            e.preventDefault();
+            setHighlighted((highlighted + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && showSuggestions) {
+            e.preventDefault();
+            setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter') {
+            // Enter picks the highlighted suggestion, unless the input already is an exact ticker
+            const exact = symbolMaster.lookup(value.trim());
+            if (showSuggestions && !exact) {
+                choose(suggestions[highlighted]);
+            } else {
+                setOpen(false);
+                onSubmit(value);
             }
+        } else if (e.key === 'Escape') {
+            setOpen(false);
         }
     };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${API_KEY}`;
+    return (
+        <div className="relative flex-grow">
+            <input
+                type="text"
+                placeholder="Add Ticker or Company (e.g., GOOG, Apple)"
+                value={value}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    setOpen(true);
+                    setHighlighted(0);
+                }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                onKeyDown={handleKeyDown}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
+                disabled={disabled}
+                role="combobox"
+                aria-expanded={showSuggestions}
+                aria-autocomplete="list"
+            />
+            {showSuggestions && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-72 overflow-y-auto" role="listbox">
+                    {suggestions.map((entry, index) => (
+                        <li
+                            key={entry.symbol}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // onMouseDown fires before the input's blur closes the list
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                choose(entry);
+                            }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            className={`px-3 py-2 cursor-pointer flex justify-between items-center ${index === highlighted ? 'bg-indigo-50' : ''}`}
+                        >
+                            <span>
+                                <span className="font-semibold text-gray-900">{entry.symbol}</span>
+                                <span className="ml-2 text-sm text-gray-600">{entry.name}</span>
+                            </span>
+                            <span className="text-xs text-gray-400">{entry.exchange}{entry.assetType === 'etf' ? ' · ETF' : ''}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
 
-    try {
-        const result = await exponentialBackoffFetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+// --- DIGEST CHAT ---
+
+const EXAMPLE_QUESTIONS = [
+    "What's the biggest risk to my cloud names this week?",
+    "Which holdings had negative news?",
+    "Summarize the news on MSFT.",
+];
+
+// Q&A over stored digest items; answers cite the cards they are based on
+const ChatPanel = ({ messages, onAsk, onClear, onOpenCitation, busy, disabled }) => {
+    const [question, setQuestion] = useState('');
+    const endRef = useRef(null);
+
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [messages.length, busy]);
+
+    const submit = async (text = question) => {
+        if (!text.trim() || busy || disabled) return;
+        setQuestion('');
+        await onAsk(text.trim());
+    };
+
+    return (
+        <div className="p-6 bg-white rounded-xl shadow-md mt-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <MessageSquare className="w-5 h-5 text-indigo-500 mr-2" />
+                    Ask Your Digest
+                </h2>
+                {messages.length > 0 && (
+                    <button onClick={onClear} disabled={busy} className="text-sm text-gray-500 px-2 py-1 rounded hover:bg-gray-100 hover:text-rose-600">
+                        Clear conversation
+                    </button>
+                )}
+            </div>
+
+            <div className="max-h-[28rem] overflow-y-auto space-y-4 mb-4">
+                {messages.length === 0 && (
+                    <div className="text-sm text-gray-500">
+                        <p className="mb-2">Answers are based only on your stored digests and cite the cards they come from. Try:</p>
+                        <div className="flex flex-wrap gap-2">
+                            {EXAMPLE_QUESTIONS.map(example => (
+                                <button key={example} onClick={() => submit(example)} disabled={busy || disabled} className="px-3 py-1 rounded-full border border-gray-300 hover:bg-gray-100">
+                                    {example}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {messages.map(message => message.role === 'user' ? (
+                    <div key={message.id} className="flex justify-end">
+                        <p className="max-w-[80%] px-4 py-2 rounded-xl bg-indigo-600 text-white text-sm">{message.text}</p>
+                    </div>
+                ) : (
+                    <div key={message.id} className="max-w-[90%] px-4 py-3 rounded-xl bg-gray-50 border border-gray-200 text-sm text-gray-800">
+                        {message.status === 'failed' ? (
+                            <p className="text-amber-800"><AlertTriangle className="inline w-4 h-4 mr-1" />{message.error}</p>
+                        ) : (
+                            <>
+                                <p>
+                                    {message.statements.map((statement, index) => (
+                                        <span key={index}>
+                                            {statement.text}
+                                            {statement.citations.map(itemId => {
+                                                const number = message.sources.findIndex(source => source.itemId === itemId) + 1;
+                                                return (
+                                                    <button
+                                                        key={itemId}
+                                                        onClick={() => onOpenCitation(message.sources[number - 1])}
+                                                        className="ml-0.5 text-xs align-super font-semibold text-indigo-600 hover:text-indigo-800"
+                                                    >
+                                                        [{number}]
+                                                    </button>
+                                                );
+                                            })}
+                                            {' '}
+                                        </span>
+                                    ))}
+                                </p>
+                                <ol className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-500 space-y-0.5">
+                                    {message.sources.map((source, index) => (
+                                        <li key={source.itemId}>
+                                            <button onClick={() => onOpenCitation(source)} className="text-left hover:text-indigo-600">
+                                                [{index + 1}] {source.symbol} — {source.title}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ol>
+                            </>
+                        )}
+                    </div>
+                ))}
 
-        const jsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (jsonString) {
-            return JSON.parse(jsonString);
+                {busy && (
+                    <p className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 animate-spin mr-2" />Searching your digests...</p>
+                )}
+                <div ref={endRef} />
+            </div>
+
+            <div className="flex gap-3">
+                <input
+                    type="text"
+                    placeholder="Ask about your portfolio news..."
+                    value={question}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') submit();
+                    }}
+                    className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
+                    disabled={busy || disabled}
+                />
+                <button
+                    onClick={() => submit()}
+                    disabled={busy || disabled || !question.trim()}
+                    className="flex-shrink-0 flex items-center justify-center px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300"
+                >
+                    <Send className="w-5 h-5 mr-2" />
+                    Ask
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- LIST SWITCHER ---
+
+// Switches between portfolios/watchlists and creates, renames or deletes them
+const ListSwitcher = ({ lists, selectedListId, onSelect, onCreate, onRename, onDelete, disabled }) => {
+    const [mode, setMode] = useState(null); // null | 'create' | 'rename'
+    const [name, setName] = useState('');
+    const [type, setType] = useState('portfolio');
+    const [formError, setFormError] = useState(null);
+
+    const selectedList = lists.find(list => list.id === selectedListId) || lists[0];
+    const inputClass = "p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm";
+
+    const openForm = (nextMode) => {
+        setMode(nextMode);
+        setName(nextMode === 'rename' ? selectedList.name : '');
+        setType('portfolio');
+        setFormError(null);
+    };
+
+    const handleSubmit = async () => {
+        const validationError = validateListName(name, lists, mode === 'rename' ? selectedList.id : null);
+        if (validationError) {
+            setFormError(validationError);
+            return;
         }
-        throw new Error("Gemini API returned no valid JSON content.");
+        const saved = mode === 'rename' ? await onRename(selectedList.id, name.trim()) : await onCreate(name.trim(), type);
+        if (saved) setMode(null);
+    };
 
-    } catch (error) {
-        console.error("Error during Gemini API call or JSON parsing:", error);
-        return {
-            summary: "Failed to generate AI summary.",
-            sentiment: "NEUTRAL",
-            impact: "Low"
-        };
+    return (
+        <div className="mb-4">
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={selectedList.id}
+                    onChange={(e) => onSelect(e.target.value)}
+                    className={inputClass}
+                    disabled={disabled}
+                >
+                    {lists.map(list => (
+                        <option key={list.id} value={list.id}>{list.name} ({LIST_TYPES[list.type]?.label || 'Portfolio'})</option>
+                    ))}
+                </select>
+                <button onClick={() => openForm('create')} disabled={disabled} className="text-sm font-medium text-indigo-600 px-2 py-1 rounded hover:bg-indigo-50">New</button>
+                <button onClick={() => openForm('rename')} disabled={disabled} className="text-sm font-medium text-gray-600 px-2 py-1 rounded hover:bg-gray-100">Rename</button>
+                {selectedList.id !== DEFAULT_LIST_ID && (
+                    <button
+                        onClick={() => {
+                            if (window.confirm(`Delete "${selectedList.name}" and all of its tickers?`)) onDelete(selectedList.id);
+                        }}
+                        disabled={disabled}
+                        className="text-sm font-medium text-rose-600 px-2 py-1 rounded hover:bg-rose-50"
+                    >
+                        Delete
+                    </button>
+                )}
+            </div>
+
+            {mode && (
+                <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <input
+                        type="text"
+                        placeholder="List name (e.g., Semis Watchlist)"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSubmit();
+                        }}
+                        className={`flex-grow ${inputClass}`}
+                        disabled={disabled}
+                    />
+                    {mode === 'create' && (
+                        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass} disabled={disabled}>
+                            {Object.values(LIST_TYPES).map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                    )}
+                    <button
+                        onClick={handleSubmit}
+                        disabled={disabled}
+                        className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300"
+                    >
+                        {mode === 'create' ? 'Create' : 'Rename'}
+                    </button>
+                    <button onClick={() => setMode(null)} className="px-3 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100">Cancel</button>
+                    {formError && <p className="w-full text-sm text-rose-600">{formError}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- IMPORT / EXPORT PANEL ---
+
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const getImportStatusStyles = (status) => {
+    switch (status) {
+        case 'new':
+            return 'bg-emerald-100 text-emerald-700';
+        case 'duplicate':
+            return 'bg-gray-100 text-gray-600';
+        case 'invalid':
+        default:
+            return 'bg-rose-100 text-rose-700';
     }
 };
 
+const ImportExportPanel = ({ holdings, onImport, onClose, disabled }) => {
+    const [preview, setPreview] = useState(null); // { fileName, rows, holdings }
+    const [parseError, setParseError] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        try {
+            const rows = parseImportFile(file.name, await file.text());
+            setPreview({ fileName: file.name, ...classifyImportRows(rows, holdings.map(h => h.ticker)) });
+            setParseError(null);
+        } catch (err) {
+            console.error("Failed to parse import file:", err);
+            setPreview(null);
+            setParseError(err.message);
+        }
+    };
+
+    const count = (status) => preview.rows.filter(row => row.status === status).length;
+
+    return (
+        <div className="mt-4 p-4 bg-gray-50 rounded-xl border border-gray-200">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">Import / Export</h3>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => downloadFile('portfolio.csv', exportHoldingsCsv(holdings), 'text/csv')}
+                        disabled={holdings.length === 0}
+                        className="flex items-center text-sm font-medium text-gray-600 px-3 py-2 rounded-lg border border-gray-200 bg-white hover:bg-gray-100 transition duration-150 disabled:opacity-50"
+                    >
+                        <Download className="w-4 h-4 mr-2" />
+                        CSV
+                    </button>
+                    <button
+                        onClick={() => downloadFile('portfolio.json', exportHoldingsJson(holdings), 'application/json')}
+                        disabled={holdings.length === 0}
+                        className="flex items-center text-sm font-medium text-gray-600 px-3 py-2 rounded-lg border border-gray-200 bg-white hover:bg-gray-100 transition duration-150 disabled:opacity-50"
+                    >
+                        <Download className="w-4 h-4 mr-2" />
+                        JSON
+                    </button>
+                </div>
+            </div>
+
+            <label className="block text-sm text-gray-600 mb-3">
+                Import a CSV (symbol, quantity, cost[, currency, date]) or an OFX/QFX brokerage export:
+                <input type="file" accept=".csv,.ofx,.qfx" onChange={handleFile} disabled={disabled} className="block mt-2 text-sm" />
+            </label>
+            {parseError && <p className="text-sm text-rose-600 mb-3">{parseError}</p>}
+
+            {preview && (
+                <>
+                    <p className="text-sm text-gray-600 mb-2">
+                        {preview.fileName}: {count('new')} new · {count('duplicate')} duplicate · {count('invalid')} invalid
+                    </p>
+                    <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg bg-white mb-3">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-100 text-gray-600 text-xs">
+                                <tr>
+                                    <th className="p-2 text-left">Line</th>
+                                    <th className="p-2 text-left">Symbol</th>
+                                    <th className="p-2 text-right">Quantity</th>
+                                    <th className="p-2 text-right">Cost</th>
+                                    <th className="p-2 text-left">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.rows.map(row => (
+                                    <tr key={row.line} className="border-t border-gray-100">
+                                        <td className="p-2 text-gray-400">{row.line}</td>
+                                        <td className="p-2 font-semibold">{row.symbol || '—'}</td>
+                                        <td className="p-2 text-right">{Number.isFinite(row.quantity) ? row.quantity : '—'}</td>
+                                        <td className="p-2 text-right">{Number.isFinite(row.cost) ? row.cost : '—'}</td>
+                                        <td className="p-2">
+                                            <span className={`text-xs font-semibold px-2 py-0.5 rounded ${getImportStatusStyles(row.status)}`}>{row.status}</span>
+                                            {row.reason && <span className="ml-2 text-xs text-gray-500">{row.reason}</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <div className="flex gap-2">
+                {preview && (
+                    <button
+                        onClick={async () => {
+                            if (await onImport(preview.holdings)) setPreview(null);
+                        }}
+                        disabled={disabled || preview.holdings.length === 0}
+                        className="flex items-center px-4 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
+                    >
+                        <Upload className="w-4 h-4 mr-2" />
+                        Import {preview.holdings.length} holding{preview.holdings.length === 1 ? '' : 's'}
+                    </button>
+                )}
+                <button onClick={onClose} className="px-4 py-2 text-gray-600 font-medium rounded-lg hover:bg-gray-200 transition duration-150">
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- ACCOUNT ---
+
+// OAuth providers offered on the sign-in screen (each must be enabled in the Firebase console)
+const OAUTH_PROVIDERS = [
+    { id: 'google.com', label: 'Google', create: () => new GoogleAuthProvider() },
+    { id: 'github.com', label: 'GitHub', create: () => new GithubAuthProvider() },
+];
+const PROVIDER_LABELS = { password: 'email and password', 'google.com': 'Google', 'github.com': 'GitHub' };
+const MIN_PASSWORD_LENGTH = 6; // Firebase Auth rejects shorter passwords
+
+// The parts of a Firebase user the app shows; a new object per auth change so linking re-renders
+const toAccount = (user) => ({
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    displayName: user.displayName,
+    providers: user.providerData.map(p => p.providerId),
+});
+
+const getAccountName = (account) => account.isAnonymous ? 'Guest' : account.displayName || account.email || 'Signed in';
+
+/**
+ * User-facing message for a Firebase Auth error.
+ * @param {Error} e - Error thrown by a firebase/auth call.
+ * @returns {string|null} Message, or null when the user closed the sign-in popup themselves.
+ */
+const describeAuthError = (e) => {
+    switch (e.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+            return null;
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return 'Incorrect email or password.';
+        case 'auth/invalid-email':
+            return 'Enter a valid email address.';
+        case 'auth/weak-password':
+            return `Choose a password of at least ${MIN_PASSWORD_LENGTH} characters.`;
+        case 'auth/email-already-in-use':
+        case 'auth/credential-already-in-use':
+        case 'auth/account-exists-with-different-credential':
+            return 'An account already exists for that email or provider. Sign in to it instead.';
+        case 'auth/operation-not-allowed':
+            return 'This sign-in method is not enabled for this app.';
+        case 'auth/popup-blocked':
+            return 'The sign-in popup was blocked. Allow popups for this page and try again.';
+        case 'auth/too-many-requests':
+            return 'Too many attempts. Try again in a few minutes.';
+        case 'auth/network-request-failed':
+            return 'Network error. Check your connection and try again.';
+        default:
+            console.error("Authentication failed:", e);
+            return 'Sign-in failed. Please try again.';
+    }
+};
+
+// Email/password and OAuth sign-in. For a guest, "Create account" links the new credential to the
+// guest account, so the user ID and all data stay the same; signing in to an existing account
+// switches to that account and leaves the guest's data behind.
+const AccountForm = ({ guest, onEmailSignIn, onEmailSignUp, onOAuth, onResetPassword, onGuest }) => {
+    const [mode, setMode] = useState(guest ? 'signUp' : 'signIn'); // 'signIn' | 'signUp' | 'reset'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [formError, setFormError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const inputClass = "w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm";
+    const linking = guest && mode === 'signUp';
+
+    // Runs an auth handler, which resolves to an error message or null
+    const run = async (action) => {
+        setBusy(true);
+        setFormError(null);
+        setNotice(null);
+        const actionError = await action();
+        setBusy(false);
+        if (actionError) setFormError(actionError);
+        return !actionError;
+    };
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setFormError(null);
+        setNotice(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const trimmedEmail = email.trim();
+        if (!trimmedEmail) {
+            setFormError('Enter your email address.');
+            return;
+        }
+        if (mode === 'reset') {
+            if (await run(() => onResetPassword(trimmedEmail))) {
+                switchMode('signIn');
+                setNotice(`If an account exists for ${trimmedEmail}, a password reset link is on its way.`);
+            }
+            return;
+        }
+        if (mode === 'signUp' && password.length < MIN_PASSWORD_LENGTH) {
+            setFormError(`Choose a password of at least ${MIN_PASSWORD_LENGTH} characters.`);
+            return;
+        }
+        if (!password) {
+            setFormError('Enter your password.');
+            return;
+        }
+        await run(() => (mode === 'signUp' ? onEmailSignUp : onEmailSignIn)(trimmedEmail, password));
+    };
+
+    return (
+        <div>
+            {mode !== 'reset' && (
+                <div className="flex mb-4 border-b text-sm font-medium">
+                    {[['signIn', 'Sign in'], ['signUp', 'Create account']].map(([key, label]) => (
+                        <button
+                            key={key}
+                            onClick={() => switchMode(key)}
+                            className={`flex-1 pb-2 -mb-px border-b-2 ${mode === key ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {guest && mode === 'signUp' && (
+                <p className="mb-3 text-sm text-gray-600">Your portfolios, digests and settings move to the new account.</p>
+            )}
+            {guest && mode === 'signIn' && (
+                <p className="mb-3 p-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">
+                    Signing in to an existing account leaves this guest session's data behind. Use Create account to keep it.
+                </p>
+            )}
+            {mode === 'reset' && (
+                <p className="mb-3 text-sm text-gray-600">Enter your email and we'll send a link to choose a new password.</p>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-3">
+                <input
+                    type="email"
+                    autoComplete="email"
+                    placeholder="Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className={inputClass}
+                    disabled={busy}
+                />
+                {mode !== 'reset' && (
+                    <input
+                        type="password"
+                        autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+                        placeholder={mode === 'signUp' ? `Password (at least ${MIN_PASSWORD_LENGTH} characters)` : 'Password'}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className={inputClass}
+                        disabled={busy}
+                    />
+                )}
+                <button
+                    type="submit"
+                    disabled={busy}
+                    className="w-full flex items-center justify-center px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300"
+                >
+                    {busy && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {mode === 'signIn' ? 'Sign in' : mode === 'signUp' ? 'Create account' : 'Send reset link'}
+                </button>
+            </form>
+
+            <div className="mt-2 text-right text-xs">
+                {mode === 'signIn' && (
+                    <button onClick={() => switchMode('reset')} className="text-indigo-600 hover:text-indigo-800">Forgot password?</button>
+                )}
+                {mode === 'reset' && (
+                    <button onClick={() => switchMode('signIn')} className="text-indigo-600 hover:text-indigo-800">Back to sign in</button>
+                )}
+            </div>
+
+            {formError && <p className="mt-3 text-sm text-red-600">{formError}</p>}
+            {notice && <p className="mt-3 text-sm text-green-700">{notice}</p>}
+
+            {mode !== 'reset' && (
+                <>
+                    <div className="flex items-center my-4 text-xs text-gray-400">
+                        <span className="flex-grow border-t" />
+                        <span className="px-2">or</span>
+                        <span className="flex-grow border-t" />
+                    </div>
+                    <div className="space-y-2">
+                        {OAUTH_PROVIDERS.map(provider => (
+                            <button
+                                key={provider.id}
+                                onClick={() => run(() => onOAuth(provider.id, { link: linking }))}
+                                disabled={busy}
+                                className="w-full px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition duration-150 disabled:opacity-50"
+                            >
+                                Continue with {provider.label}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {onGuest && (
+                <div className="mt-6 pt-4 border-t text-center">
+                    <button onClick={() => run(onGuest)} disabled={busy} className="text-sm font-medium text-gray-600 hover:text-indigo-600 disabled:opacity-50">
+                        Continue as guest
+                    </button>
+                    <p className="mt-1 text-xs text-gray-400">A guest account only works in this browser. Create an account later from the profile menu to keep its data.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Shown when nobody is signed in
+const AuthScreen = (props) => (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 font-sans p-4">
+        <div className="w-full max-w-md p-6 bg-white rounded-xl shadow-md border-t-4 border-indigo-600">
+            <h1 className="text-2xl font-extrabold text-gray-900 mb-1 flex items-center">
+                <Zap className="w-6 h-6 mr-2 text-indigo-600" /> FinGen Digest
+            </h1>
+            <p className="text-sm text-gray-500 mb-5">Sign in to keep your portfolios, digests and settings across devices.</p>
+            <AccountForm guest={false} {...props} />
+        </div>
+    </div>
+);
+
+// Lets a guest link a permanent sign-in method to their current account
+const UpgradeAccountDialog = ({ onClose, ...props }) => (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-gray-900/40 p-4" onClick={onClose}>
+        <div className="w-full max-w-md p-6 bg-white rounded-xl shadow-xl" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Keep your data</h3>
+                <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-100" title="Close">
+                    <XCircle className="w-5 h-5" />
+                </button>
+            </div>
+            <AccountForm guest {...props} />
+        </div>
+    </div>
+);
+
+// --- PROFILE MENU ---
+
+const ProfileMenu = ({ account, onUpgrade, onSignOut, onClose }) => (
+    <div className="absolute right-0 top-full mt-2 w-72 max-w-[90vw] bg-white rounded-xl shadow-xl border border-gray-200 z-20 text-sm">
+        <div className="flex justify-between items-start px-4 py-3 border-b">
+            <div className="min-w-0">
+                <p className="font-semibold text-gray-800 truncate">{getAccountName(account)}</p>
+                {account.displayName && account.email && <p className="text-xs text-gray-500 truncate">{account.email}</p>}
+                <p className="text-xs text-gray-500 mt-1">
+                    {account.isAnonymous
+                        ? 'Guest account: only this browser can reach its data.'
+                        : account.providers.length > 0
+                            ? `Signed in with ${account.providers.map(id => PROVIDER_LABELS[id] || id).join(', ')}`
+                            : 'Signed in by the host environment'}
+                </p>
+            </div>
+            <button onClick={onClose} className="p-1 rounded-full text-gray-400 hover:bg-gray-100" title="Close">
+                <XCircle className="w-4 h-4" />
+            </button>
+        </div>
+        <div className="px-4 py-3 space-y-2">
+            {account.isAnonymous && (
+                <button
+                    onClick={onUpgrade}
+                    className="w-full px-3 py-2 bg-indigo-600 text-white font-medium rounded-lg shadow-sm hover:bg-indigo-700 transition duration-150"
+                >
+                    Create an account to keep your data
+                </button>
+            )}
+            <button onClick={onSignOut} className="w-full flex items-center justify-center px-3 py-2 text-gray-600 rounded-lg hover:bg-gray-100">
+                <LogOut className="w-4 h-4 mr-2" /> Sign out
+            </button>
+            <p className="text-xs text-gray-400">
+                User ID for the digest worker and command line: <span className="font-mono break-all">{account.uid}</span>
+            </p>
+        </div>
+    </div>
+);
+
 // --- REACT COMPONENT ---
 
-const FingenApp = () => {
-    // Firebase State
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
+// The signed-in user's workspace. FingenRoot mounts it once per user (keyed by uid), so no state
+// carries over from one account to the next.
+const FingenApp = ({ db, account, onUpgradeAccount, onSignOut }) => {
+    const userId = account.uid;
 
     // App State
     const [currentTicker, setCurrentTicker] = useState('');
-    const [portfolioTickers, setPortfolioTickers] = useState([]); // Array of strings (tickers)
-    const [newsDigest, setNewsDigest] = useState([]); // Array of processed news objects
+    const [unknownTicker, setUnknownTicker] = useState(null); // Symbol awaiting confirmation because it is not in the symbol master
+    const [lists, setLists] = useState([DEFAULT_LIST]); // Portfolios and watchlists, default first
+    const [selectedListId, setSelectedListId] = useState(DEFAULT_LIST_ID);
+    const [digestScope, setDigestScope] = useState('current'); // 'current' list or ALL_LISTS
+    const [holdings, setHoldings] = useState([]); // Holdings of the selected list: { ticker, currency, lots, quantity, averageCost, costBasis }
+    const [editingTicker, setEditingTicker] = useState(null); // Holding open in the edit form
+    const [showImportExport, setShowImportExport] = useState(false);
+    const [newsDigest, setNewsDigest] = useState([]); // Array of processed news objects for the viewed run
+    const [previousDigest, setPreviousDigest] = useState(null); // Items of the run before the viewed one (null if none)
+    const [digestRuns, setDigestRuns] = useState([]); // Past digest runs, newest first
+    const [selectedRunId, setSelectedRunId] = useState(null); // null = always follow the latest run
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [activeSentimentFilter, setActiveSentimentFilter] = useState('ALL'); // NEW: Added filter state
 
-    // --- FIREBASE INITIALIZATION & AUTH ---
+    // Settings State (persisted per user in Firestore)
+    const [newsSource, setNewsSource] = useState(DEFAULT_NEWS_SOURCE); // { type, url }
+    const [llmConfig, setLlmConfig] = useState(DEFAULT_LLM_CONFIG); // { provider, model, baseUrl, apiKey }
+    const [showSettings, setShowSettings] = useState(false);
+    const [briefingRunId, setBriefingRunId] = useState(null); // Run whose briefing is being generated
+    const [chatMessages, setChatMessages] = useState([]); // Persisted Q&A conversation, oldest first
+    const [chatBusy, setChatBusy] = useState(false);
+    const [scrollToItemId, setScrollToItemId] = useState(null); // Card to reveal once its run has loaded
+    const [trendItems, setTrendItems] = useState([]); // Digest items from every run stored in the last TREND_DAYS, newest first
+    const [trendTicker, setTrendTicker] = useState(null); // Ticker open in the sentiment drill-down
+    const [alertRules, setAlertRules] = useState([]);
+    const [alerts, setAlerts] = useState([]); // Triggered alerts, newest first
+    const [deliveryChannels, setDeliveryChannels] = useState([]);
+    const [deliveries, setDeliveries] = useState([]); // Delivery log, newest first
+    const [showAlerts, setShowAlerts] = useState(false);
+    const [showProfile, setShowProfile] = useState(false);
+    const [alertClock, setAlertClock] = useState(Date.now()); // Re-evaluates snoozes and stale runs as time passes
+    const [expandedItemIds, setExpandedItemIds] = useState([]); // Cards with their analysis details open
+    const [reanalyzingId, setReanalyzingId] = useState(null); // Digest item currently being force re-analyzed
+    const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+    const [clustering, setClustering] = useState(DEFAULT_CLUSTERING); // Story clustering options ({ enabled, threshold, windowHours })
+    const [priceSource, setPriceSource] = useState(DEFAULT_PRICE_SOURCE); // { type, url }
+    const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE); // When the worker generates digests
+
+    // Price Data State (quotes and daily history for the portfolio's tickers)
+    const [priceData, setPriceData] = useState({ quotes: {}, history: {}, loading: false, error: null, configured: false });
+
+    // Generation Job State
+    const [jobs, setJobs] = useState([]); // Per-article status for the current/last run: { key, symbol, title, status, error }
+    const abortControllerRef = useRef(null);
+
+    // Summary cache: in-memory layer in front of the user's summary_cache collection
+    const summaryCache = useMemo(() => {
+        if (!db || !userId) return null;
+        const cachePath = `/artifacts/${appId}/users/${userId}/summary_cache`;
+        return createSummaryCache({
+            store: {
+                get: async (key) => (await getDoc(doc(db, cachePath, key))).data() || null,
+                set: (key, entry) => setDoc(doc(db, cachePath, key), entry),
+            },
+        });
+    }, [db, userId]);
+
+    // --- FIRESTORE DATA LISTENERS ---
+
+    // Listener for Lists, Digest Runs and Settings
     useEffect(() => {
-        if (!firebaseConfig) {
-            setError("Firebase configuration is missing. Cannot initialize database.");
-            return;
-        }
+        if (!db || !userId) return;
 
-        try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authInstance = getAuth(app);
+        // Base path for user data
+        const userPath = `/artifacts/${appId}/users/${userId}`;
 
-            setDb(firestore);
-            setAuth(authInstance);
+        // 1. Lists Listener (portfolios and watchlists)
+        const unsubscribeLists = onSnapshot(collection(db, `${userPath}/lists`), (snapshot) => {
+            const listDocs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setLists(withDefaultList(listDocs));
+        }, (err) => {
+            console.error("Error listening to lists:", err);
+            setError("Could not load your portfolios and watchlists.");
+        });
 
-            // 1. Authenticate user
-            const authenticate = async () => {
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authInstance, initialAuthToken);
-                    } else {
-                        await signInAnonymously(authInstance);
-                    }
-                } catch (e) {
-                    console.error("Authentication failed:", e);
-                }
-            };
-            authenticate();
 
-            // 2. Auth state change listener
-            const unsubscribe = onAuthStateChanged(authInstance, (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                    console.log("User authenticated:", user.uid);
-                } else {
-                    // Fallback for anonymous or unauthenticated users
-                    setUserId(crypto.randomUUID());
-                    console.log("Signed in anonymously or using fallback ID.");
-                }
-                setIsAuthReady(true);
-            });
+        // 2. Digest Runs Listener (newest first)
+        const runsCollectionRef = collection(db, `${userPath}/digest_runs`);
+        const qRuns = query(runsCollectionRef, orderBy('createdAt', 'desc'), limit(50));
 
-            return () => unsubscribe();
-        } catch (e) {
-            console.error("Firebase initialization failed:", e);
-            setError("Failed to initialize the application. Check console for details.");
-        }
-    }, []);
+        const unsubscribeRuns = onSnapshot(qRuns, (snapshot) => {
+            const runs = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+            setDigestRuns(runs);
+            console.log("Digest runs updated:", runs.length, "runs");
+        }, (err) => {
+            console.error("Error listening to digest runs:", err);
+            setError("Could not load digest history.");
+        });
+
+
+        // 3. Settings Listener
+        const settingsRef = doc(db, `${userPath}/settings`, 'preferences');
+
+        const unsubscribeSettings = onSnapshot(settingsRef, (snapshot) => {
+            const settings = snapshot.data() || {};
+            setNewsSource({ ...DEFAULT_NEWS_SOURCE, ...settings.newsSource });
+            setLlmConfig({ ...DEFAULT_LLM_CONFIG, ...settings.llm });
+            setConcurrency(settings.pipeline?.concurrency || DEFAULT_CONCURRENCY);
+            setClustering({ ...DEFAULT_CLUSTERING, ...settings.pipeline?.clustering });
+            setPriceSource({ ...DEFAULT_PRICE_SOURCE, ...settings.priceSource });
+            setSchedule({ ...DEFAULT_SCHEDULE, ...settings.schedule });
+        }, (err) => {
+            console.error("Error listening to settings:", err);
+            setError("Could not load settings.");
+        });
+
+
+        // 4. Chat History Listener (latest 100 messages)
+        const qChat = query(collection(db, `${userPath}/chat_messages`), orderBy('createdAt', 'desc'), limit(100));
+
+        const unsubscribeChat = onSnapshot(qChat, (snapshot) => {
+            setChatMessages(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse());
+        }, (err) => {
+            console.error("Error listening to chat history:", err);
+            setError("Could not load the Q&A history.");
+        });
+
+
+        // 5. Sentiment Trend Listener (items from all runs in the trend window)
+        const trendSince = `${shiftDate(new Date().toISOString().slice(0, 10), -TREND_DAYS)}T00:00:00.000Z`;
+        const qTrend = query(collection(db, `${userPath}/news_digests`), where('createdAt', '>=', trendSince), orderBy('createdAt', 'desc'));
+
+        const unsubscribeTrend = onSnapshot(qTrend, (snapshot) => {
+            setTrendItems(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error listening to sentiment history:", err);
+            setError("Could not load the sentiment trend.");
+        });
+
+
+        // 6. Alert Rules & Triggered Alerts Listeners
+        const unsubscribeAlertRules = onSnapshot(collection(db, `${userPath}/alert_rules`), (snapshot) => {
+            setAlertRules(snapshot.docs
+                .map(doc => ({ id: doc.id, ...DEFAULT_ALERT_RULE, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')));
+        }, (err) => {
+            console.error("Error listening to alert rules:", err);
+            setError("Could not load alert rules.");
+        });
+
+        const qAlerts = query(collection(db, `${userPath}/alerts`), orderBy('createdAt', 'desc'), limit(100));
+        const unsubscribeAlerts = onSnapshot(qAlerts, (snapshot) => {
+            setAlerts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error listening to alerts:", err);
+            setError("Could not load alerts.");
+        });
+
+        // 7. Delivery Channels & Delivery Log Listeners
+        const unsubscribeChannels = onSnapshot(collection(db, `${userPath}/delivery_channels`), (snapshot) => {
+            setDeliveryChannels(snapshot.docs
+                .map(doc => ({ id: doc.id, ...DEFAULT_DELIVERY_CHANNEL, ...doc.data() }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')));
+        }, (err) => {
+            console.error("Error listening to delivery channels:", err);
+            setError("Could not load delivery channels.");
+        });
+
+        const qDeliveries = query(collection(db, `${userPath}/deliveries`), orderBy('createdAt', 'desc'), limit(50));
+        const unsubscribeDeliveries = onSnapshot(qDeliveries, (snapshot) => {
+            setDeliveries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error listening to the delivery log:", err);
+            setError("Could not load the delivery log.");
+        });
 
-    // --- FIRESTORE DATA LISTENERS ---
 
-    // Listener for Portfolio and News Digest
-    useEffect(() => {
-        if (!db || !userId) return;
+        return () => {
+            unsubscribeLists();
+            unsubscribeRuns();
+            unsubscribeSettings();
+            unsubscribeChat();
+            unsubscribeTrend();
+            unsubscribeAlertRules();
+            unsubscribeAlerts();
+            unsubscribeChannels();
+            unsubscribeDeliveries();
+        };
 
-        // Base path for user data
-        const userPath = `/artifacts/${appId}/users/${userId}`;
+    }, [db, userId]);
 
-        // 1. Portfolio Listener
-        const portfolioCollectionRef = collection(db, `${userPath}/portfolios`);
-        const qPortfolio = query(portfolioCollectionRef);
+    // Listener for the holdings of the selected list
+    useEffect(() => {
+        if (!db || !userId) return;
 
-        const unsubscribePortfolio = onSnapshot(qPortfolio, (snapshot) => {
-            const tickers = snapshot.docs.map(doc => doc.data().ticker);
-            setPortfolioTickers(tickers);
-            console.log("Portfolio updated:", tickers);
+        const holdingsPath = getHoldingsPath(`/artifacts/${appId}/users/${userId}`, selectedListId);
+        const unsubscribePortfolio = onSnapshot(query(collection(db, holdingsPath)), (snapshot) => {
+            const portfolioHoldings = snapshot.docs.map(doc => normalizeHolding(doc.data()));
+            setHoldings(portfolioHoldings);
+            console.log("Portfolio updated:", portfolioHoldings.map(h => h.ticker));
         }, (err) => {
             console.error("Error listening to portfolio:", err);
             setError("Could not load portfolio data.");
         });
 
+        return () => unsubscribePortfolio();
+    }, [db, userId, selectedListId]);
+
+    // Fall back to the default list if the selected one was deleted
+    useEffect(() => {
+        if (!lists.some(list => list.id === selectedListId)) {
+            setSelectedListId(DEFAULT_LIST_ID);
+        }
+    }, [lists, selectedListId]);
+
+    // Listener for the items of the viewed run and the run before it (for the change diff)
+    const viewedRunIndex = selectedRunId ? digestRuns.findIndex(run => run.id === selectedRunId) : 0;
+    const viewedRun = digestRuns[viewedRunIndex] || null;
+    const previousRun = viewedRun ? digestRuns[viewedRunIndex + 1] || null : null;
+    const viewedRunId = viewedRun?.id || null;
+    const previousRunId = previousRun?.id || null;
+
+    useEffect(() => {
+        if (!db || !userId || !viewedRunId) {
+            setNewsDigest([]);
+            setPreviousDigest(null);
+            return;
+        }
 
-        // 2. News Digest Listener
-        const digestCollectionRef = collection(db, `${userPath}/news_digests`);
-        // We will query to get the latest digests, sorted by creation timestamp (if implemented)
-        const qDigest = query(digestCollectionRef);
+        const runIds = previousRunId ? [viewedRunId, previousRunId] : [viewedRunId];
+        const qDigest = query(
+            collection(db, `/artifacts/${appId}/users/${userId}/news_digests`),
+            where('runId', 'in', runIds)
+        );
 
         const unsubscribeDigest = onSnapshot(qDigest, (snapshot) => {
             const digests = snapshot.docs.map(doc => ({
@@ -229,38 +2203,136 @@ const FingenApp = () => {
             }));
             // Sort client-side by symbol for consistent grouping
             digests.sort((a, b) => a.symbol.localeCompare(b.symbol));
-            setNewsDigest(digests);
+            setNewsDigest(digests.filter(d => d.runId === viewedRunId));
+            setPreviousDigest(previousRunId ? digests.filter(d => d.runId === previousRunId) : null);
             console.log("News Digest updated:", digests.length, "items");
         }, (err) => {
             console.error("Error listening to news digest:", err);
             setError("Could not load news digest data.");
         });
 
+        return () => unsubscribeDigest();
+    }, [db, userId, viewedRunId, previousRunId]);
 
-        return () => {
-            unsubscribePortfolio();
-            unsubscribeDigest();
-        };
+    // Items stored before digest runs existed have no runId, so no run query finds them; they are
+    // moved into one "Earlier digests" run the first time the app opens
+    useEffect(() => {
+        if (!db || !userId) return;
+        const userPath = `/artifacts/${appId}/users/${userId}`;
 
+        const migrateLegacyDigests = async () => {
+            const settingsRef = doc(db, `${userPath}/settings`, 'preferences');
+            if ((await getDoc(settingsRef)).data()?.migrations?.legacyDigests) return;
+
+            const legacyDocs = (await getDocs(collection(db, `${userPath}/news_digests`))).docs.filter(d => !d.data().runId);
+            // A batch holds at most 500 writes; the run document goes in the first one
+            for (let start = 0; start < legacyDocs.length; start += 400) {
+                const batch = writeBatch(db);
+                if (start === 0) batch.set(doc(db, `${userPath}/digest_runs`, LEGACY_RUN_ID), buildLegacyRun(legacyDocs.map(d => d.data())));
+                legacyDocs.slice(start, start + 400).forEach(d => batch.set(d.ref, { runId: LEGACY_RUN_ID }, { merge: true }));
+                await batch.commit();
+            }
+            await setDoc(settingsRef, { migrations: { legacyDigests: true } }, { merge: true });
+        };
+        migrateLegacyDigests().catch(e => {
+            console.error("Could not move earlier digests into the run history:", e);
+            setError("Could not load digests saved before run history existed.");
+        });
     }, [db, userId]);
 
+    // Runs left running by a closed tab or a stopped worker are marked failed (checked again as time passes)
+    useEffect(() => {
+        if (!db || !userId) return;
+        const runsPath = `/artifacts/${appId}/users/${userId}/digest_runs`;
+        digestRuns.filter(run => isStaleRun(run, alertClock)).forEach(run => {
+            runTransaction(db, async (transaction) => {
+                const runRef = doc(db, runsPath, run.id);
+                const current = await transaction.get(runRef);
+                // The run may have finished, or refreshed its heartbeat, since the snapshot
+                if (current.exists() && isStaleRun(current.data(), Date.now())) {
+                    transaction.set(runRef, getStaleRunFields(Date.now()), { merge: true });
+                }
+            }).catch(e => console.error("Could not mark a stopped digest run as failed:", e));
+        });
+    }, [db, userId, digestRuns, alertClock]);
 
-    // --- PORTFOLIO MANAGEMENT HANDLERS ---
+    // Snoozed alerts come back on their own once the snooze ends
+    useEffect(() => {
+        const timer = setInterval(() => setAlertClock(Date.now()), 60000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Scroll to a cited card once the run it belongs to is displayed
+    useEffect(() => {
+        if (!scrollToItemId || !newsDigest.some(item => item.id === scrollToItemId)) return;
+        document.getElementById(`digest-item-${scrollToItemId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setScrollToItemId(null);
+    }, [scrollToItemId, newsDigest]);
+
+
+    const portfolioTickers = holdings.map(holding => holding.ticker);
+    const selectedList = lists.find(list => list.id === selectedListId) || lists[0];
+    const holdingsPath = userId ? getHoldingsPath(`/artifacts/${appId}/users/${userId}`, selectedList.id) : null;
+    const portfolioTickersKey = portfolioTickers.join(',');
+
+    const sentimentTrend = useMemo(() => buildSentimentTrend(trendItems, { symbols: portfolioTickers }), [trendItems, portfolioTickersKey]);
+
+    // Loads quotes and history from the configured price source whenever it or the tickers change
+    const priceProvider = useMemo(() => createPriceProvider(priceSource), [priceSource.type, priceSource.url]);
 
-    const handleAddTicker = async () => {
-        if (!db || !userId || !currentTicker.trim()) return;
+    useEffect(() => {
+        if (!priceProvider) {
+            setPriceData({ quotes: {}, history: {}, loading: false, error: null, configured: false });
+            return;
+        }
+
+        let cancelled = false;
+        const tickers = portfolioTickersKey ? portfolioTickersKey.split(',') : [];
+        setPriceData(prev => ({ ...prev, loading: true, error: null, configured: true }));
+
+        Promise.all([priceProvider.getQuotes(tickers), priceProvider.getHistory(tickers)])
+            .then(([quotes, history]) => {
+                if (!cancelled) setPriceData({ quotes, history, loading: false, error: null, configured: true });
+            })
+            .catch(e => {
+                console.error("Failed to load price data:", e);
+                if (!cancelled) setPriceData({ quotes: {}, history: {}, loading: false, error: e.message, configured: true });
+            });
+
+        return () => { cancelled = true; };
+    }, [priceProvider, portfolioTickersKey]);
+
+    // --- PORTFOLIO MANAGEMENT HANDLERS ---
 
-        const ticker = currentTicker.trim().toUpperCase();
+    /**
+     * Adds a ticker to the selected list. Malformed symbols are rejected; symbols missing from the
+     * symbol master need a second, explicit confirmation since they are most likely typos.
+     * @param {string} input - Typed or picked ticker.
+     * @param {boolean} [confirmUnknown] - Add even if the symbol master does not know it.
+     */
+    const handleAddTicker = async (input = currentTicker, confirmUnknown = false) => {
+        if (!db || !userId || !input.trim()) return;
+
+        const { symbol: ticker, status } = checkTicker(input, symbolMaster);
+        if (status === 'invalid') {
+            setError(`"${input.trim()}" is not a valid ticker symbol.`);
+            return;
+        }
         if (portfolioTickers.includes(ticker)) {
             setError(`Ticker ${ticker} is already in your portfolio.`);
             return;
         }
+        if (status === 'unknown' && !confirmUnknown) {
+            setUnknownTicker(ticker);
+            return;
+        }
 
         try {
             setLoading(true);
-            const portfolioRef = doc(db, `/artifacts/${appId}/users/${userId}/portfolios`, ticker);
-            await setDoc(portfolioRef, { ticker, addedAt: new Date().toISOString() });
+            const portfolioRef = doc(db, holdingsPath, ticker);
+            await setDoc(portfolioRef, buildHoldingDoc(ticker));
             setCurrentTicker('');
+            setUnknownTicker(null);
             setError(null);
         } catch (e) {
             console.error("Error adding ticker:", e);
@@ -270,24 +2342,117 @@ const FingenApp = () => {
         }
     };
 
+    const handleSaveHolding = async (ticker, { currency, lots }) => {
+        if (!db || !userId) return;
+
+        const existing = holdings.find(holding => holding.ticker === ticker);
+        try {
+            setLoading(true);
+            const portfolioRef = doc(db, holdingsPath, ticker);
+            await setDoc(portfolioRef, buildHoldingDoc(ticker, { currency, lots, addedAt: existing?.addedAt || undefined }));
+            setEditingTicker(null);
+            setError(null);
+        } catch (e) {
+            console.error("Error saving holding:", e);
+            setError(`Failed to save position for ${ticker}.`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Writes every imported holding in one batch so a failed import leaves the portfolio untouched
+    const handleImportHoldings = async (importedHoldings) => {
+        if (!db || !userId || importedHoldings.length === 0) return false;
+        if (importedHoldings.length > 500) {
+            setError("Imports are limited to 500 holdings at a time.");
+            return false;
+        }
+
+        try {
+            setLoading(true);
+            const batch = writeBatch(db);
+            importedHoldings.forEach(holding => {
+                const portfolioRef = doc(db, holdingsPath, holding.ticker);
+                batch.set(portfolioRef, buildHoldingDoc(holding.ticker, holding));
+            });
+            await batch.commit();
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error importing portfolio:", e);
+            setError("Import failed; no holdings were added.");
+            return false;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // --- LIST MANAGEMENT HANDLERS ---
+
+    const handleCreateList = async (name, type) => {
+        if (!db || !userId) return false;
+
+        try {
+            const listRef = doc(collection(db, `/artifacts/${appId}/users/${userId}/lists`));
+            await setDoc(listRef, { name, type, createdAt: new Date().toISOString() });
+            setSelectedListId(listRef.id);
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error creating list:", e);
+            setError("Failed to create the list.");
+            return false;
+        }
+    };
+
+    const handleRenameList = async (listId, name) => {
+        if (!db || !userId) return false;
+
+        try {
+            const listRef = doc(db, `/artifacts/${appId}/users/${userId}/lists`, listId);
+            await setDoc(listRef, { name }, { merge: true });
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error renaming list:", e);
+            setError("Failed to rename the list.");
+            return false;
+        }
+    };
+
+    // Deletes the list and its holdings together; past digest runs keep their recorded list names
+    const handleDeleteList = async (listId) => {
+        if (!db || !userId || listId === DEFAULT_LIST_ID) return;
+
+        try {
+            setLoading(true);
+            const userPath = `/artifacts/${appId}/users/${userId}`;
+            const snapshot = await getDocs(collection(db, getHoldingsPath(userPath, listId)));
+            const batch = writeBatch(db);
+            snapshot.docs.forEach(d => batch.delete(d.ref));
+            batch.delete(doc(db, `${userPath}/lists`, listId));
+            await batch.commit();
+            setSelectedListId(DEFAULT_LIST_ID);
+            setError(null);
+        } catch (e) {
+            console.error("Error deleting list:", e);
+            setError("Failed to delete the list.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleDeleteTicker = async (ticker) => {
         if (!db || !userId) return;
 
         try {
             setLoading(true);
             // 1. Delete the ticker from the portfolio collection
-            const portfolioRef = doc(db, `/artifacts/${appId}/users/${userId}/portfolios`, ticker);
+            const portfolioRef = doc(db, holdingsPath, ticker);
             await deleteDoc(portfolioRef);
+            if (editingTicker === ticker) setEditingTicker(null);
 
-            // 2. (Optional but good practice) Clear any existing digests for this ticker
-            const digestQuery = query(
-                collection(db, `/artifacts/${appId}/users/${userId}/news_digests`),
-                where('symbol', '==', ticker)
-            );
-            const snapshot = await getDocs(digestQuery);
-            snapshot.docs.forEach(async (d) => {
-                await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/news_digests`, d.id));
-            });
+            // Existing digests for this ticker are kept: past runs are history and stay browsable.
 
             setError(null);
         } catch (e) {
@@ -298,70 +2463,482 @@ const FingenApp = () => {
         }
     };
 
+    // --- SETTINGS HANDLERS ---
+
+    const handleSaveNewsSource = async (source) => {
+        if (!db || !userId) return;
+
+        try {
+            const settingsRef = doc(db, `/artifacts/${appId}/users/${userId}/settings`, 'preferences');
+            await setDoc(settingsRef, { newsSource: source }, { merge: true });
+            setError(null);
+        } catch (e) {
+            console.error("Error saving news source:", e);
+            setError("Failed to save news source settings.");
+        }
+    };
+
+    const handleSaveLlmConfig = async (config) => {
+        if (!db || !userId) return;
+
+        try {
+            const settingsRef = doc(db, `/artifacts/${appId}/users/${userId}/settings`, 'preferences');
+            await setDoc(settingsRef, { llm: config }, { merge: true });
+            setError(null);
+        } catch (e) {
+            console.error("Error saving AI provider:", e);
+            setError("Failed to save AI provider settings.");
+        }
+    };
+
+    const handleSavePipelineSettings = async (pipeline) => {
+        if (!db || !userId) return;
+
+        try {
+            const settingsRef = doc(db, `/artifacts/${appId}/users/${userId}/settings`, 'preferences');
+            await setDoc(settingsRef, { pipeline }, { merge: true });
+            setError(null);
+        } catch (e) {
+            console.error("Error saving pipeline settings:", e);
+            setError("Failed to save digest generation settings.");
+        }
+    };
+
+    const handleSaveSchedule = async (fields) => {
+        if (!db || !userId) return;
+
+        try {
+            const settingsRef = doc(db, `/artifacts/${appId}/users/${userId}/settings`, 'preferences');
+            await setDoc(settingsRef, { schedule: fields }, { merge: true });
+            setError(null);
+        } catch (e) {
+            console.error("Error saving schedule:", e);
+            setError("Failed to save the digest schedule.");
+        }
+    };
+
+    const handleSavePriceSource = async (source) => {
+        if (!db || !userId) return;
+
+        try {
+            const settingsRef = doc(db, `/artifacts/${appId}/users/${userId}/settings`, 'preferences');
+            await setDoc(settingsRef, { priceSource: source }, { merge: true });
+            setError(null);
+        } catch (e) {
+            console.error("Error saving price source:", e);
+            setError("Failed to save price data settings.");
+        }
+    };
+
     // --- MAIN DATA PROCESSING HANDLER ---
 
+    // Digest store for lib/digestPipeline.js on the web SDK; scope and history come from loaded state
+    const createDigestStore = () => {
+        const userPath = `/artifacts/${appId}/users/${userId}`;
+        return {
+            loadScope: async (scope) => {
+                if (scope !== ALL_LISTS) {
+                    return [{ list: selectedList, tickers: portfolioTickers }];
+                }
+                return Promise.all(lists.map(async (list) => {
+                    const snapshot = await getDocs(collection(db, getHoldingsPath(userPath, list.id)));
+                    return { list, tickers: snapshot.docs.map(d => d.data().ticker) };
+                }));
+            },
+            // Web SDK transactions cannot run queries, so a missing counter is seeded from the newest run
+            // beforehand; two first runs racing to create the counter make one of the transactions retry
+            allocateRunVersion: async () => {
+                const counterRef = doc(db, `${userPath}/${RUN_COUNTER_PATH}`);
+                const newest = (await getDoc(counterRef)).exists()
+                    ? null
+                    : await getDocs(query(collection(db, `${userPath}/digest_runs`), orderBy('createdAt', 'desc'), limit(1)));
+                return runTransaction(db, async (transaction) => {
+                    const counter = await transaction.get(counterRef);
+                    const version = (counter.exists() ? counter.data().version : newest?.docs[0]?.data().version || 0) + 1;
+                    transaction.set(counterRef, { version });
+                    return version;
+                });
+            },
+            createRun: async (data) => {
+                const runRef = doc(collection(db, `${userPath}/digest_runs`));
+                await setDoc(runRef, { runId: runRef.id, ...data });
+                return runRef.id;
+            },
+            updateRun: (runId, fields) => setDoc(doc(db, `${userPath}/digest_runs`, runId), fields, { merge: true }),
+            writeItems: async (items) => {
+                const batch = writeBatch(db);
+                const storedItems = items.map(item => {
+                    const itemRef = doc(collection(db, `${userPath}/news_digests`));
+                    batch.set(itemRef, item);
+                    return { id: itemRef.id, ...item };
+                });
+                await batch.commit();
+                return storedItems;
+            },
+            loadAlertRules: async () => alertRules,
+            // Alerts already raised for the same rule and story keep their read and snooze state
+            addAlerts: async (triggered) => {
+                const existing = await Promise.all(triggered.map(alert => getDoc(doc(db, `${userPath}/alerts`, alert.id))));
+                const batch = writeBatch(db);
+                const createdAt = new Date().toISOString();
+                triggered
+                    .filter((_, index) => !existing[index].exists())
+                    .forEach(({ id, ...alert }) => batch.set(doc(db, `${userPath}/alerts`, id), { ...alert, createdAt, read: false, snoozedUntil: null }));
+                await batch.commit();
+            },
+            loadDeliveryChannels: async () => deliveryChannels,
+            queueDeliveries: async (entries) => {
+                const batch = writeBatch(db);
+                entries.forEach(({ id, ...entry }) => batch.set(doc(db, `${userPath}/deliveries`, id), entry));
+                await batch.commit();
+            },
+        };
+    };
+
     const fetchAndSummarizeNews = async () => {
-        if (!db || !userId || portfolioTickers.length === 0) {
-            setError("Portfolio is empty. Add a ticker first.");
-            return;
-        }
+        if (!db || !userId) return;
         if (loading) return;
 
         setLoading(true);
         setError(null);
+        setJobs([]);
+
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+
+        const result = await runDigestPipeline({
+            store: createDigestStore(),
+            scope: digestScope === ALL_LISTS ? ALL_LISTS : selectedList.id,
+            scopeName: digestScope === ALL_LISTS ? 'All lists' : selectedList.name,
+            settings: { newsSource, llmConfig: { ...llmConfig, apiKey: llmConfig.apiKey || API_KEY }, concurrency, clustering },
+            summaryCache,
+            directory: symbolMaster.entries,
+            signal: abortController.signal,
+            onRunCreated: () => setSelectedRunId(null), // Jump to the new run
+            onJobsQueued: setJobs,
+            onJobUpdate: (index, { status, error: jobError }) => {
+                if (jobError) {
+                    console.error("Failed to process article:", jobError);
+                }
+                setJobs(prev => prev.map((job, i) => i === index ? { ...job, status, error: jobError?.message } : job));
+            },
+            onBriefing: setBriefingRunId,
+            onWarning: (message, e) => {
+                console.error(message, e);
+                setError(message);
+            },
+        });
+        if (result.status === 'failed') {
+            setError(result.error);
+        }
 
-        // 1. Filter Mock News to only include articles for tracked tickers
-        const articlesToProcess = MOCK_NEWS_ARTICLES.filter(article =>
-            portfolioTickers.includes(article.symbol)
-        );
+        abortControllerRef.current = null;
+        setLoading(false);
+    };
 
-        if (articlesToProcess.length === 0) {
-            setError("No mock news found for your current portfolio. Try adding GOOG, AAPL, or MSFT.");
-            setLoading(false);
+    // --- ALERT HANDLERS ---
+
+    const handleSaveAlertRule = async (rule, ruleId = null) => {
+        if (!db || !userId) return false;
+
+        try {
+            const rulesPath = `/artifacts/${appId}/users/${userId}/alert_rules`;
+            if (ruleId) {
+                await setDoc(doc(db, rulesPath, ruleId), rule, { merge: true });
+            } else {
+                await setDoc(doc(collection(db, rulesPath)), { ...rule, createdAt: new Date().toISOString() });
+            }
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error saving alert rule:", e);
+            setError("Failed to save the alert rule.");
+            return false;
+        }
+    };
+
+    const handleToggleAlertRule = async (ruleId, enabled) => {
+        if (!db || !userId) return;
+
+        try {
+            await setDoc(doc(db, `/artifacts/${appId}/users/${userId}/alert_rules`, ruleId), { enabled }, { merge: true });
+        } catch (e) {
+            console.error("Error updating alert rule:", e);
+            setError("Failed to update the alert rule.");
+        }
+    };
+
+    const handleDeleteAlertRule = async (ruleId) => {
+        if (!db || !userId) return;
+
+        try {
+            await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/alert_rules`, ruleId));
+        } catch (e) {
+            console.error("Error deleting alert rule:", e);
+            setError("Failed to delete the alert rule.");
+        }
+    };
+
+    // --- DELIVERY HANDLERS ---
+
+    const handleSaveDeliveryChannel = async (channel, channelId = null) => {
+        if (!db || !userId) return false;
+
+        try {
+            const channelsPath = `/artifacts/${appId}/users/${userId}/delivery_channels`;
+            if (channelId) {
+                await setDoc(doc(db, channelsPath, channelId), channel, { merge: true });
+            } else {
+                await setDoc(doc(collection(db, channelsPath)), { ...channel, createdAt: new Date().toISOString() });
+            }
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error saving delivery channel:", e);
+            setError("Failed to save the delivery channel.");
+            return false;
+        }
+    };
+
+    const handleToggleDeliveryChannel = async (channelId, enabled) => {
+        if (!db || !userId) return;
+
+        try {
+            await setDoc(doc(db, `/artifacts/${appId}/users/${userId}/delivery_channels`, channelId), { enabled }, { merge: true });
+        } catch (e) {
+            console.error("Error updating delivery channel:", e);
+            setError("Failed to update the delivery channel.");
+        }
+    };
+
+    const handleDeleteDeliveryChannel = async (channelId) => {
+        if (!db || !userId) return;
+
+        try {
+            await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/delivery_channels`, channelId));
+        } catch (e) {
+            console.error("Error deleting delivery channel:", e);
+            setError("Failed to delete the delivery channel.");
+        }
+    };
+
+    // Puts a failed or skipped delivery back in the queue with a fresh set of attempts
+    const handleRetryDelivery = async (deliveryId) => {
+        if (!db || !userId) return;
+
+        try {
+            const now = new Date().toISOString();
+            await setDoc(doc(db, `/artifacts/${appId}/users/${userId}/deliveries`, deliveryId), {
+                status: DELIVERY_STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: now,
+                updatedAt: now,
+            }, { merge: true });
+        } catch (e) {
+            console.error("Error retrying delivery:", e);
+            setError("Failed to retry the delivery.");
+        }
+    };
+
+    const updateAlert = async (alertId, fields) => {
+        if (!db || !userId) return;
+
+        try {
+            await setDoc(doc(db, `/artifacts/${appId}/users/${userId}/alerts`, alertId), fields, { merge: true });
+        } catch (e) {
+            console.error("Error updating alert:", e);
+            setError("Failed to update the alert.");
+        }
+    };
+
+    const handleSetAlertRead = (alertId, read) => updateAlert(alertId, { read });
+
+    // hours = null ends the snooze
+    const handleSnoozeAlert = (alertId, hours) => updateAlert(alertId, {
+        snoozedUntil: hours ? new Date(Date.now() + hours * 3600000).toISOString() : null,
+    });
+
+    const handleMarkAllAlertsRead = async () => {
+        if (!db || !userId) return;
+
+        try {
+            const batch = writeBatch(db);
+            alerts
+                .filter(alert => !alert.read && !isSnoozed(alert, alertClock))
+                .forEach(alert => batch.update(doc(db, `/artifacts/${appId}/users/${userId}/alerts`, alert.id), { read: true }));
+            await batch.commit();
+        } catch (e) {
+            console.error("Error marking alerts read:", e);
+            setError("Failed to mark alerts as read.");
+        }
+    };
+
+    const handleDeleteAlert = async (alertId) => {
+        if (!db || !userId) return;
+
+        try {
+            await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/alerts`, alertId));
+        } catch (e) {
+            console.error("Error dismissing alert:", e);
+            setError("Failed to dismiss the alert.");
+        }
+    };
+
+    const handleOpenAlert = (alert) => {
+        if (!alert.read) handleSetAlertRead(alert.id, true);
+        setShowAlerts(false);
+        handleOpenCitation({ itemId: alert.itemId, runId: alert.runId, url: alert.url });
+    };
+
+    // --- Q&A HANDLERS ---
+
+    const handleAskQuestion = async (question) => {
+        if (!db || !userId) return;
+
+        const chatPath = `/artifacts/${appId}/users/${userId}/chat_messages`;
+        const history = chatMessages.map(message => ({
+            role: message.role,
+            text: message.role === 'user' || message.status === 'failed' ? message.text : message.statements.map(s => s.text).join(' '),
+        }));
+        setChatBusy(true);
+        try {
+            await setDoc(doc(collection(db, chatPath)), { role: 'user', text: question, createdAt: new Date().toISOString() });
+
+            // Retrieve from recent stored digest items across all runs
+            const snapshot = await getDocs(query(collection(db, `/artifacts/${appId}/users/${userId}/news_digests`), orderBy('createdAt', 'desc'), limit(300)));
+            const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+            const activeLlmConfig = { ...llmConfig, apiKey: llmConfig.apiKey || API_KEY };
+            const answer = await answerQuestion(question, items, activeLlmConfig, { history, getCompanyName });
+            await setDoc(doc(collection(db, chatPath)), {
+                role: 'assistant',
+                status: answer.status,
+                text: answer.status === 'ok' ? answer.statements.map(s => s.text).join(' ') : answer.error,
+                error: answer.error || null,
+                statements: answer.statements || [],
+                sources: answer.sources || [],
+                provider: activeLlmConfig.provider,
+                model: activeLlmConfig.model || LLM_PROVIDERS[activeLlmConfig.provider]?.defaultModel || '',
+                createdAt: new Date().toISOString(),
+            });
+            setError(null);
+        } catch (e) {
+            console.error("Error answering question:", e);
+            setError("Failed to answer the question.");
+        } finally {
+            setChatBusy(false);
+        }
+    };
+
+    const handleClearChat = async () => {
+        if (!db || !userId) return;
+
+        try {
+            const snapshot = await getDocs(query(collection(db, `/artifacts/${appId}/users/${userId}/chat_messages`), limit(500)));
+            const batch = writeBatch(db);
+            snapshot.docs.forEach(d => batch.delete(d.ref));
+            await batch.commit();
+            setError(null);
+        } catch (e) {
+            console.error("Error clearing chat history:", e);
+            setError("Failed to clear the conversation.");
+        }
+    };
+
+    // Shows the cited card: switches to its run, clears the sentiment filter and scrolls to it
+    const handleOpenCitation = (source) => {
+        const runIndex = digestRuns.findIndex(run => run.id === source.runId);
+        if (runIndex === -1) {
+            // The run has dropped out of the history list (or was removed); fall back to the article itself
+            if (source.url) window.open(source.url, '_blank', 'noopener,noreferrer');
+            else setError("The cited digest run is no longer in your history.");
             return;
         }
+        setSelectedRunId(runIndex === 0 ? null : source.runId);
+        setActiveSentimentFilter('ALL');
+        setScrollToItemId(source.itemId);
+    };
+
+    const handleRegenerateBriefing = async () => {
+        if (!db || !userId || !viewedRun || briefingRunId) return;
 
-        // 2. Clear previous digest entries (to simulate a fresh run)
+        setBriefingRunId(viewedRun.id);
         try {
-             const digestCollectionRef = collection(db, `/artifacts/${appId}/users/${userId}/news_digests`);
-             const snapshot = await getDocs(digestCollectionRef);
-             const deletePromises = snapshot.docs.map(d => deleteDoc(doc(digestCollectionRef, d.id)));
-             await Promise.all(deletePromises);
-        } catch(e) {
-            console.error("Could not clear old digests:", e);
-            // Non-critical error, continue processing
-        }
-
-
-        // 3. Process articles one by one using the Gemini API
-        for (const article of articlesToProcess) {
-            try {
-                // Call the AI summarization
-                const aiResult = await summarizeNews(article.content);
-
-                // Combine original article data with AI-generated data
-                const processedDigest = {
-                    symbol: article.symbol,
-                    title: article.title,
-                    url: article.url,
-                    source: article.source,
-                    createdAt: new Date().toISOString(),
-                    summary: aiResult.summary,
-                    sentiment: aiResult.sentiment,
-                    impact: aiResult.impact,
-                };
-
-                // Store the result in Firestore
-                const newDigestRef = doc(collection(db, `/artifacts/${appId}/users/${userId}/news_digests`));
-                await setDoc(newDigestRef, processedDigest);
-
-            } catch (e) {
-                console.error(`Failed to process article for ${article.symbol}:`, e);
-                // Continue to next article if one fails
+            await writeRunBriefing(createDigestStore(), viewedRun.id, newsDigest, { ...llmConfig, apiKey: llmConfig.apiKey || API_KEY });
+        } catch (e) {
+            console.error("Could not write the portfolio briefing:", e);
+            setError("Failed to generate the portfolio briefing.");
+        } finally {
+            setBriefingRunId(null);
+        }
+    };
+
+    // Exports the viewed run with all of its items (the sentiment filter does not apply)
+    const handleExportDigest = (format) => {
+        if (!viewedRun) return;
+        const digest = { run: viewedRun, items: newsDigest };
+        const fileName = viewedRun.legacy ? 'fingen-digest-earlier' : `fingen-digest-run-${viewedRun.version}`;
+
+        if (format === 'markdown') {
+            downloadFile(`${fileName}.md`, formatDigestMarkdown(digest, { getCompanyName }), 'text/markdown');
+        } else if (format === 'html') {
+            downloadFile(`${fileName}.html`, formatDigestHtml(digest, { getCompanyName }), 'text/html');
+        } else {
+            // PDF: print the email layout; the browser's print dialog saves it as a PDF
+            const printWindow = window.open('', '_blank');
+            if (!printWindow) {
+                setError("Allow pop-ups for this page to export the digest as a PDF.");
+                return;
             }
+            printWindow.document.write(formatDigestHtml(digest, { getCompanyName }));
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
         }
+    };
 
-        setLoading(false);
+    const handleCancelGeneration = () => {
+        abortControllerRef.current?.abort();
+    };
+
+    // Re-runs the AI analysis for a single digest item, bypassing the summary cache
+    const handleReanalyze = async (news) => {
+        if (!db || !userId || !news.content || reanalyzingId) return;
+
+        setReanalyzingId(news.id);
+        try {
+            const activeLlmConfig = { ...llmConfig, apiKey: llmConfig.apiKey || API_KEY };
+            const aiResult = await summarizeNews(news.content, activeLlmConfig, { cache: summaryCache, forceRefresh: true, directory: symbolMaster.entries });
+
+            // The same article appears once per affected ticker; update every copy in this run
+            const siblings = newsDigest.filter(item => item.runId === news.runId && getArticleKey(item) === getArticleKey(news));
+            const mapped = mapArticleToTickers({ symbols: siblings.map(item => item.symbol) }, aiResult, []);
+            const reanalyzedAt = new Date().toISOString();
+            const batch = writeBatch(db);
+            siblings.forEach(item => {
+                const { sentiment, impact } = mapped.find(entry => entry.symbol === item.symbol);
+                batch.set(doc(db, `/artifacts/${appId}/users/${userId}/news_digests`, item.id), {
+                    status: aiResult.status,
+                    error: aiResult.error || null,
+                    summary: aiResult.summary || null,
+                    sentiment,
+                    impact,
+                    companies: aiResult.companies || [],
+                    ...getAnalysisDetails(aiResult),
+                    provider: activeLlmConfig.provider,
+                    model: activeLlmConfig.model || LLM_PROVIDERS[activeLlmConfig.provider]?.defaultModel || '',
+                    fromCache: false,
+                    reanalyzedAt,
+                }, { merge: true });
+            });
+            await batch.commit();
+            setError(null);
+        } catch (e) {
+            console.error(`Failed to re-analyze article for ${news.symbol}:`, e);
+            setError("Failed to re-analyze the article.");
+        } finally {
+            setReanalyzingId(null);
+        }
     };
 
     // --- UI RENDERING HELPERS ---
@@ -385,39 +2962,345 @@ const FingenApp = () => {
         </div>
     );
 
-    const NewsCard = ({ news }) => (
-        <div className="bg-white p-5 rounded-xl shadow-lg border border-gray-100 transition duration-300 hover:shadow-xl">
+    // Badge comparing an item with the previous run ("new" or a sentiment change)
+    const ChangeBadge = ({ change, sentiment }) => {
+        if (!change || change.status === 'unchanged') return null;
+        if (change.status === 'new') {
+            return <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded bg-indigo-100 text-indigo-700">NEW</span>;
+        }
+        return (
+            <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded bg-amber-100 text-amber-800">
+                {change.previousSentiment} → {sentiment}
+            </span>
+        );
+    };
+
+    const FailedTag = () => (
+        <div className="inline-flex items-center text-xs font-semibold px-3 py-1 rounded-full border bg-amber-50 text-amber-800 border-amber-400">
+            <AlertTriangle className="w-3 h-3 mr-1" />
+            Analysis Failed
+        </div>
+    );
+
+    // Per-company breakdown of a multi-company article; the card's own ticker is outlined
+    const CompanyBreakdown = ({ news }) => {
+        const companies = news.companies || []; // Items stored before the breakdown existed have none
+        if (companies.length === 0 || (companies.length === 1 && companies[0].symbol === news.symbol)) return null;
+
+        return (
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+                <span className="text-gray-500 font-medium">Companies affected:</span>
+                {companies.map(company => (
+                    <span
+                        key={company.symbol}
+                        title={getCompanyName(company.symbol) || company.symbol}
+                        className={`px-2 py-0.5 rounded-full border font-semibold ${getSentimentStyles(company.sentiment)} ${company.symbol === news.symbol ? 'ring-2 ring-indigo-300' : ''}`}
+                    >
+                        {company.symbol} · {company.sentiment} / {company.impact}
+                    </span>
+                ))}
+            </div>
+        );
+    };
+
+    const toggleDetails = (id) => setExpandedItemIds(prev => prev.includes(id) ? prev.filter(itemId => itemId !== id) : [...prev, id]);
+
+    const DetailList = ({ title, items, className }) => items.length === 0 ? null : (
+        <div>
+            <h4 className={`text-sm font-semibold mb-1 ${className}`}>{title}</h4>
+            <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                {items.map((item, index) => <li key={index}>{item}</li>)}
+            </ul>
+        </div>
+    );
+
+    // Expandable details; items stored before the richer schema have none of these fields and show no toggle
+    const AnalysisDetails = ({ news }) => {
+        const keyPoints = news.keyPoints || [];
+        const catalysts = news.catalysts || [];
+        const risks = news.risks || [];
+        const hasDetails = keyPoints.length > 0 || catalysts.length > 0 || risks.length > 0 || news.timeHorizon || news.confidence != null;
+        if (!news.whyItMatters && !hasDetails) return null;
+
+        const expanded = expandedItemIds.includes(news.id);
+        return (
+            <div className="mt-3">
+                {news.whyItMatters && (
+                    <p className="text-sm text-gray-800">
+                        <span className="font-semibold">Why it matters:</span> {news.whyItMatters}
+                    </p>
+                )}
+                {hasDetails && (
+                    <button
+                        onClick={() => toggleDetails(news.id)}
+                        className="flex items-center mt-2 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                        aria-expanded={expanded}
+                    >
+                        {expanded ? <ChevronUp className="w-4 h-4 mr-1" /> : <ChevronDown className="w-4 h-4 mr-1" />}
+                        {expanded ? 'Hide details' : 'Show details'}
+                    </button>
+                )}
+                {expanded && (
+                    <div className="mt-3 p-4 bg-gray-50 rounded-lg space-y-3">
+                        <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+                            {news.timeHorizon && <span><span className="font-semibold">Time horizon:</span> {news.timeHorizon}-term</span>}
+                            {news.confidence != null && <span><span className="font-semibold">Confidence:</span> {Math.round(news.confidence * 100)}%</span>}
+                        </div>
+                        <DetailList title="Key points" items={keyPoints} className="text-gray-800" />
+                        <DetailList title="Catalysts" items={catalysts} className="text-emerald-700" />
+                        <DetailList title="Risks" items={risks} className="text-rose-700" />
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const BRIEFING_TONE_STYLES = {
+        POSITIVE: 'bg-emerald-100 text-emerald-800 border-emerald-400',
+        NEGATIVE: 'bg-rose-100 text-rose-800 border-rose-400',
+        MIXED: 'bg-amber-100 text-amber-800 border-amber-400',
+        NEUTRAL: 'bg-gray-100 text-gray-800 border-gray-400',
+    };
+
+    // Citation links jump to the cited card; items are labelled by their position in the run
+    const Citations = ({ ids }) => (
+        <span className="ml-1 whitespace-nowrap">
+            {ids.map(id => {
+                const index = newsDigest.findIndex(item => item.id === id);
+                const item = newsDigest[index];
+                return (
+                    <a
+                        key={id}
+                        href={`#digest-item-${id}`}
+                        title={item ? `${item.symbol}: ${item.title}` : 'Item no longer available'}
+                        className="ml-0.5 text-xs align-super font-semibold text-indigo-600 hover:text-indigo-800"
+                    >
+                        [{index === -1 ? '?' : `${index + 1} ${item.symbol}`}]
+                    </a>
+                );
+            })}
+        </span>
+    );
+
+    // Executive briefing stored on the viewed run (runs generated before briefings existed have none)
+    const BriefingPanel = ({ run }) => {
+        const briefing = run.briefing;
+        const generating = briefingRunId === run.id;
+        if (!briefing && !generating && run.status === 'running') return null;
+
+        return (
+            <div className="mb-6 p-5 rounded-xl border border-indigo-200 bg-indigo-50/50">
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+                        Morning Briefing
+                        {briefing?.status === 'ok' && (
+                            <span className={`ml-3 text-xs font-semibold px-3 py-1 rounded-full border ${BRIEFING_TONE_STYLES[briefing.tone]}`}>
+                                {briefing.tone}
+                            </span>
+                        )}
+                    </h3>
+                    <button
+                        onClick={handleRegenerateBriefing}
+                        disabled={loading || generating || newsDigest.length === 0}
+                        className="flex items-center text-xs font-medium text-gray-500 px-2 py-1 rounded hover:bg-white hover:text-indigo-600 transition duration-150 disabled:opacity-50"
+                    >
+                        <RefreshCw className={`w-3 h-3 mr-1 ${generating ? 'animate-spin' : ''}`} />
+                        {briefing ? 'Regenerate' : 'Generate'}
+                    </button>
+                </div>
+
+                {generating ? (
+                    <p className="text-sm text-gray-500 flex items-center"><Loader2 className="w-4 h-4 animate-spin mr-2" />Writing the briefing...</p>
+                ) : !briefing ? (
+                    <p className="text-sm text-gray-500 italic">No briefing for this run yet.</p>
+                ) : briefing.status === 'failed' ? (
+                    <p className="text-sm text-amber-800"><AlertTriangle className="inline w-4 h-4 mr-1" />Briefing failed: {briefing.error}</p>
+                ) : (
+                    <div className="space-y-3 text-sm text-gray-800">
+                        <p>
+                            {briefing.overview.map((statement, index) => (
+                                <span key={index}>{statement.text}<Citations ids={statement.citations} />{' '}</span>
+                            ))}
+                        </p>
+                        <div>
+                            <h4 className="font-semibold text-gray-700 mb-1">Top things to watch</h4>
+                            <ol className="list-decimal list-inside space-y-1">
+                                {briefing.watchList.map((statement, index) => (
+                                    <li key={index}>{statement.text}<Citations ids={statement.citations} /></li>
+                                ))}
+                            </ol>
+                        </div>
+                        {briefing.conflicts.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-1">Conflicting signals</h4>
+                                <ul className="list-disc list-inside space-y-1">
+                                    {briefing.conflicts.map((statement, index) => (
+                                        <li key={index}><span className="font-semibold">{statement.symbol}:</span> {statement.text}<Citations ids={statement.citations} /></li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const NewsCard = ({ news, change }) => (
+        <div id={`digest-item-${news.id}`} className={`bg-white p-5 rounded-xl shadow-lg border transition duration-300 hover:shadow-xl ${isFailedItem(news) ? 'border-amber-300 border-dashed' : 'border-gray-100'}`}>
             <div className="flex justify-between items-start mb-3">
-                <h3 className="text-xl font-bold text-gray-900">{news.symbol}</h3>
-                <SentimentTag sentiment={news.sentiment} impact={news.impact} />
+                <h3 className="text-xl font-bold text-gray-900 flex items-center">
+                    {news.symbol}
+                    {getCompanyName(news.symbol) && (
+                        <span className="ml-2 text-sm font-normal text-gray-500">{getCompanyName(news.symbol)}</span>
+                    )}
+                    <ChangeBadge change={change} sentiment={news.sentiment} />
+                    {news.listNames?.map(name => (
+                        <span key={name} className="ml-2 text-xs font-medium text-gray-500 px-2 py-0.5 rounded-full border border-gray-200 bg-gray-50">{name}</span>
+                    ))}
+                </h3>
+                {isFailedItem(news) ? <FailedTag /> : <SentimentTag sentiment={news.sentiment} impact={news.impact} />}
             </div>
             <a href={news.url} target="_blank" rel="noopener noreferrer" className="block">
                 <p className="text-lg font-semibold text-indigo-600 hover:text-indigo-800 transition duration-150 mb-2">
                     {news.title}
                 </p>
             </a>
-            <p className="text-sm text-gray-500 mb-4 italic">Source: {news.source}</p>
-
-            <div className="border-l-4 border-indigo-400 pl-4 py-1 bg-indigo-50 rounded-sm">
-                <p className="text-gray-700 font-medium">
-                    <span className="font-bold text-indigo-700">AI Summary:</span> {news.summary}
+            <div className="flex justify-between items-center mb-4">
+                <p className="text-sm text-gray-500 italic">
+                    {news.sources?.length > 1 ? (
+                        <>
+                            Sources ({news.sources.length}):{' '}
+                            {news.sources.map((source, index) => (
+                                <React.Fragment key={`${source.url}-${index}`}>
+                                    {index > 0 && ', '}
+                                    <a href={source.url} target="_blank" rel="noopener noreferrer" title={source.title} className="hover:text-indigo-600 underline decoration-dotted">
+                                        {source.source}
+                                    </a>
+                                </React.Fragment>
+                            ))}
+                        </>
+                    ) : (
+                        <>Source: {news.source}</>
+                    )}
+                    {news.fromCache && <span className="ml-2 not-italic text-xs text-gray-400">(cached analysis)</span>}
                 </p>
+                {news.content && (
+                    <button
+                        onClick={() => handleReanalyze(news)}
+                        disabled={loading || reanalyzingId !== null}
+                        title="Force re-analyze (skips the summary cache)"
+                        className="flex items-center text-xs font-medium text-gray-500 px-2 py-1 rounded hover:bg-gray-100 hover:text-indigo-600 transition duration-150 disabled:opacity-50"
+                    >
+                        <RefreshCw className={`w-3 h-3 mr-1 ${reanalyzingId === news.id ? 'animate-spin' : ''}`} />
+                        Re-analyze
+                    </button>
+                )}
             </div>
+
+            {!isFailedItem(news) && <CompanyBreakdown news={news} />}
+
+            {isFailedItem(news) ? (
+                <div className="border-l-4 border-amber-400 pl-4 py-1 bg-amber-50 rounded-sm">
+                    <p className="text-gray-700 font-medium">
+                        <span className="font-bold text-amber-800">No AI Summary:</span> {news.error || 'The AI response could not be validated.'}
+                    </p>
+                </div>
+            ) : (
+                <div className="border-l-4 border-indigo-400 pl-4 py-1 bg-indigo-50 rounded-sm">
+                    <p className="text-gray-700 font-medium">
+                        <span className="font-bold text-indigo-700">AI Summary:</span> {news.summary}
+                    </p>
+                </div>
+            )}
+
+            {!isFailedItem(news) && <AnalysisDetails news={news} />}
         </div>
     );
 
-    // NEW: Function to compute sentiment counts for the filter bar
+    const getJobStatusStyles = (status) => {
+        switch (status) {
+            case JOB_STATUS.RUNNING:
+                return 'bg-indigo-100 text-indigo-700';
+            case JOB_STATUS.DONE:
+                return 'bg-emerald-100 text-emerald-700';
+            case JOB_STATUS.FAILED:
+                return 'bg-rose-100 text-rose-700';
+            case JOB_STATUS.CANCELLED:
+                return 'bg-amber-100 text-amber-800';
+            case JOB_STATUS.QUEUED:
+            default:
+                return 'bg-gray-100 text-gray-600';
+        }
+    };
+
+    // Progress bar and per-article status for the current (or last) generation run
+    const JobProgress = ({ jobs }) => {
+        if (jobs.length === 0) return null;
+
+        const count = (status) => jobs.filter(job => job.status === status).length;
+        const finished = jobs.length - count(JOB_STATUS.QUEUED) - count(JOB_STATUS.RUNNING);
+        const percent = Math.round((finished / jobs.length) * 100);
+
+        return (
+            <div className="w-full mt-4 p-4 bg-white rounded-xl shadow-md">
+                <div className="flex justify-between text-sm text-gray-600 mb-2">
+                    <span>{finished} / {jobs.length} articles processed</span>
+                    <span>
+                        {count(JOB_STATUS.DONE)} done · {count(JOB_STATUS.FAILED)} failed
+                        {count(JOB_STATUS.CANCELLED) > 0 && ` · ${count(JOB_STATUS.CANCELLED)} cancelled`}
+                    </span>
+                </div>
+                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden mb-3">
+                    <div className="h-full bg-green-500 transition-all duration-300" style={{ width: `${percent}%` }} />
+                </div>
+                <ul className="max-h-40 overflow-y-auto space-y-1">
+                    {jobs.map(job => (
+                        <li key={job.key} className="flex items-center text-sm text-gray-700" title={job.error || ''}>
+                            <span className={`w-20 flex-shrink-0 text-center text-xs font-semibold px-2 py-0.5 rounded mr-2 ${getJobStatusStyles(job.status)}`}>
+                                {job.status}
+                            </span>
+                            <span className="font-semibold mr-2">{job.symbol}</span>
+                            <span className="truncate text-gray-500">{job.title}</span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    };
+
+    // Changes in the viewed run relative to the run before it
+    const runDiff = diffDigestRuns(newsDigest, previousDigest);
+
+    const formatRunLabel = (run) =>
+        `${getRunName(run)} · ${new Date(run.createdAt).toLocaleString()}${run.scopeName ? ` · ${run.scopeName}` : ''} · ${run.tickers.join(', ')}${run.trigger === 'schedule' ? ' · scheduled' : run.trigger === 'cli' ? ' · command line' : ''}${run.status === 'running' ? ' (in progress)' : run.status === 'cancelled' ? ' (cancelled)' : run.status === 'failed' ? ' (stopped before finishing)' : ''}`;
+
+    // NEW: Function to compute sentiment counts for the filter bar (failed analyses are counted separately)
     const getSentimentCounts = () => {
         return newsDigest.reduce((acc, news) => {
-            acc[news.sentiment] = (acc[news.sentiment] || 0) + 1;
+            const key = isFailedItem(news) ? 'FAILED' : news.sentiment;
+            acc[key] = (acc[key] || 0) + 1;
             return acc;
-        }, { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0, ALL: newsDigest.length });
+        }, { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0, FAILED: 0, ALL: newsDigest.length });
     };
 
+    const nextScheduledRun = useMemo(() => {
+        if (!schedule.enabled || validateSchedule(schedule)) return null;
+        const { cron, timezone } = resolveSchedule(schedule);
+        return getNextRun(cron, timezone);
+    }, [schedule]);
+
+    const unreadAlertCount = alerts.filter(alert => !alert.read && !isSnoozed(alert, alertClock)).length;
+
+    // Same tally weighted by exposure: position weight in the base currency (equal weights for watchlists) times impact
+    const exposureWeights = computeExposureWeights(holdings, (holding) => getPositionValue(holding, priceData.quotes));
+    const exposureSentiment = computeExposureSentiment(newsDigest, exposureWeights.weights);
+
     // NEW: Filtered digest based on the active filter state
     const filteredNewsDigest = newsDigest.filter(news => {
         if (activeSentimentFilter === 'ALL') return true;
-        return news.sentiment === activeSentimentFilter;
+        if (activeSentimentFilter === 'FAILED') return isFailedItem(news);
+        return !isFailedItem(news) && news.sentiment === activeSentimentFilter;
     });
 
     // NEW: Component for the Sentiment Filter Bar
@@ -428,6 +3311,9 @@ const FingenApp = () => {
             { key: 'NEUTRAL', label: 'Neutral', icon: Zap, color: 'gray', count: counts.NEUTRAL, inactiveClass: 'text-gray-700 border-gray-200 hover:bg-gray-100' },
             { key: 'NEGATIVE', label: 'Negative', icon: Zap, color: 'rose', count: counts.NEGATIVE, inactiveClass: 'text-rose-700 border-rose-200 hover:bg-rose-50' },
         ];
+        if (counts.FAILED > 0 || activeFilter === 'FAILED') {
+            filters.push({ key: 'FAILED', label: 'Failed', icon: AlertTriangle, color: 'amber', count: counts.FAILED, inactiveClass: 'text-amber-800 border-amber-200 border-dashed hover:bg-amber-50' });
+        }
 
         return (
             <div className="flex flex-wrap gap-2 mb-4 p-2 bg-gray-50 rounded-xl border border-gray-200">
@@ -453,73 +3339,109 @@ const FingenApp = () => {
         );
     };
 
-    // NEW: Component for Mock Portfolio Performance Widget
-    const PerformanceWidget = () => {
-        // Mock data for visualization—this is where you would integrate real API data later
-        const mockReturn = '+12.5%';
-        const mockValue = '$15,840';
-        const isPositive = mockReturn.startsWith('+');
-
-        return (
-            <div className="p-6 bg-white rounded-xl shadow-md border-t-4 border-emerald-400">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Portfolio Performance</h3>
-                <div className="flex justify-between items-center mb-3 border-b pb-2">
-                    <p className="text-sm text-gray-500">Total Value</p>
-                    <p className="text-sm text-gray-500">1-Day Return</p>
-                </div>
-                <div className="flex justify-between items-end mb-4">
-                    <span className="text-3xl font-extrabold text-gray-900">{mockValue}</span>
-                    <span className={`text-2xl font-extrabold flex items-center ${isPositive ? 'text-emerald-600' : 'text-rose-600'}`}>
-                        {isPositive ? <ChevronUp className="w-6 h-6 mr-1" /> : <ChevronDown className="w-6 h-6 mr-1" />}
-                        {mockReturn}
-                    </span>
-                </div>
-                {/* Simple mock line chart representation (Data Visualization skill showcase) */}
-                <div className="h-24 bg-gray-50 p-2 rounded-lg border border-gray-200">
-                    <svg viewBox="0 0 100 24" preserveAspectRatio="none" className="w-full h-full">
-                        <polyline
-                            fill="none"
-                            stroke={isPositive ? "rgb(52, 211, 153)" : "rgb(251, 113, 133)"}
-                            strokeWidth="1.5"
-                            points="0,20 10,10 20,15 30,5 40,12 50,8 60,18 70,10 80,14 90,6 100,8"
-                        />
-                    </svg>
-                </div>
-                <p className="text-xs text-gray-400 mt-3 text-right">Visualization Mockup</p>
-            </div>
-        );
-    };
-
-
     // --- MAIN RENDER ---
-    if (!isAuthReady) {
-        return (
-            <div className="flex items-center justify-center min-h-screen bg-gray-50">
-                <Loader2 className="w-8 h-8 animate-spin text-indigo-600 mr-3" />
-                <p className="text-lg font-medium text-gray-700">Initializing FinGen...</p>
-            </div>
-        );
-    }
-
     return (
         <div className="min-h-screen bg-gray-50 font-sans p-4 sm:p-8">
-            <script src="https://cdn.tailwindcss.com"></script>
-            <style>{`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap');
-                body { font-family: 'Inter', sans-serif; }
-            `}</style>
             <div className="max-w-6xl mx-auto">
                 <header className="mb-8 p-6 bg-white rounded-xl shadow-md border-b-4 border-indigo-600">
                     <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-900 mb-2 flex items-center">
                         <Zap className="w-8 h-8 text-indigo-600 mr-3" />
                         FinGen <span className="text-indigo-600 ml-2">Digest</span>
                     </h1>
-                    <p className="text-gray-500">
-                        AI-Powered Portfolio News Summarizer. User ID:
-                        <span className="font-mono text-xs ml-2 p-1 bg-gray-100 rounded text-gray-600">{userId}</span>
-                    </p>
+                    <div className="flex justify-between items-center">
+                        <p className="text-gray-500">AI-Powered Portfolio News Summarizer.</p>
+                        <div className="flex items-center gap-2">
+                            <div className="relative">
+                                <button
+                                    onClick={() => setShowAlerts(!showAlerts)}
+                                    className="relative flex items-center text-sm font-medium text-gray-600 px-3 py-2 rounded-lg hover:bg-gray-100 transition duration-150"
+                                    title="Alerts"
+                                >
+                                    <Bell className="w-4 h-4 mr-2" />
+                                    Alerts
+                                    {unreadAlertCount > 0 && (
+                                        <span className="ml-2 px-1.5 min-w-[1.25rem] text-xs font-bold text-white bg-rose-600 rounded-full">{unreadAlertCount}</span>
+                                    )}
+                                </button>
+                                {showAlerts && (
+                                    <NotificationCenter
+                                        alerts={alerts}
+                                        now={alertClock}
+                                        onOpen={handleOpenAlert}
+                                        onSetRead={handleSetAlertRead}
+                                        onMarkAllRead={handleMarkAllAlertsRead}
+                                        onSnooze={handleSnoozeAlert}
+                                        onDelete={handleDeleteAlert}
+                                        onClose={() => setShowAlerts(false)}
+                                    />
+                                )}
+                            </div>
+                            <button
+                                onClick={() => setShowSettings(!showSettings)}
+                                className="flex items-center text-sm font-medium text-gray-600 px-3 py-2 rounded-lg hover:bg-gray-100 transition duration-150"
+                            >
+                                <Settings className="w-4 h-4 mr-2" />
+                                Settings
+                            </button>
+                            <div className="relative">
+                                <button
+                                    onClick={() => setShowProfile(!showProfile)}
+                                    className="flex items-center text-sm font-medium text-gray-600 px-3 py-2 rounded-lg hover:bg-gray-100 transition duration-150 max-w-[12rem]"
+                                    title="Account"
+                                >
+                                    <User className="w-4 h-4 mr-2 flex-shrink-0" />
+                                    <span className="truncate">{getAccountName(account)}</span>
+                                </button>
+                                {showProfile && (
+                                    <ProfileMenu
+                                        account={account}
+                                        onUpgrade={() => {
+                                            setShowProfile(false);
+                                            onUpgradeAccount();
+                                        }}
+                                        onSignOut={onSignOut}
+                                        onClose={() => setShowProfile(false)}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                    </div>
                 </header>
 
+                {showSettings && (
+                    <div className="mb-8 p-6 bg-white rounded-xl shadow-md">
+                        <NewsSourceSettings newsSource={newsSource} onSave={handleSaveNewsSource} disabled={loading} />
+                        <div className="border-t border-gray-200 my-6" />
+                        <LlmProviderSettings llmConfig={llmConfig} onSave={handleSaveLlmConfig} disabled={loading} />
+                        <div className="border-t border-gray-200 my-6" />
+                        <PipelineSettings concurrency={concurrency} clustering={clustering} onSave={handleSavePipelineSettings} disabled={loading} />
+                        <div className="border-t border-gray-200 my-6" />
+                        <PriceSourceSettings priceSource={priceSource} onSave={handleSavePriceSource} disabled={loading} />
+                        <div className="border-t border-gray-200 my-6" />
+                        <ScheduleSettings schedule={schedule} lists={lists} onSave={handleSaveSchedule} disabled={loading} />
+                        <div className="border-t border-gray-200 my-6" />
+                        <AlertRuleSettings
+                            rules={alertRules}
+                            lists={lists}
+                            onSave={handleSaveAlertRule}
+                            onToggle={handleToggleAlertRule}
+                            onDelete={handleDeleteAlertRule}
+                            disabled={loading}
+                        />
+                        <div className="border-t border-gray-200 my-6" />
+                        <DeliveryChannelSettings
+                            channels={deliveryChannels}
+                            deliveries={deliveries}
+                            runs={digestRuns}
+                            onSave={handleSaveDeliveryChannel}
+                            onToggle={handleToggleDeliveryChannel}
+                            onDelete={handleDeleteDeliveryChannel}
+                            onRetry={handleRetryDelivery}
+                            disabled={loading}
+                        />
+                    </div>
+                )}
+
                 {error && (
                     <div className="p-4 mb-6 text-sm font-medium text-red-800 bg-red-100 rounded-lg border border-red-400" role="alert">
                         {error}
@@ -532,38 +3454,96 @@ const FingenApp = () => {
                     <div className="lg:col-span-2 p-6 bg-white rounded-xl shadow-md">
                         <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
                             <User className="w-5 h-5 text-indigo-500 mr-2" />
-                            My Portfolio
+                            {selectedList.name}
+                            {selectedList.type === 'watchlist' && (
+                                <span className="ml-2 text-xs font-medium text-gray-500 px-2 py-0.5 rounded-full border border-gray-300">Watchlist</span>
+                            )}
                         </h2>
 
+                        <ListSwitcher
+                            lists={lists}
+                            selectedListId={selectedList.id}
+                            onSelect={(listId) => {
+                                setSelectedListId(listId);
+                                setEditingTicker(null);
+                                setTrendTicker(null);
+                            }}
+                            onCreate={handleCreateList}
+                            onRename={handleRenameList}
+                            onDelete={handleDeleteList}
+                            disabled={loading}
+                        />
+
                         <div className="flex flex-col sm:flex-row gap-3 mb-4">
-                            <input
-                                type="text"
-                                placeholder="Add Ticker (e.g., GOOG, AAPL)"
+                            <TickerInput
                                 value={currentTicker}
-                                onChange={(e) => setCurrentTicker(e.target.value.toUpperCase())}
-                                className="flex-grow p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 shadow-sm"
-                                onKeyDown={(e) => {
-                                    if (e.key === 'Enter') handleAddTicker();
+                                onChange={(value) => {
+                                    setCurrentTicker(value);
+                                    setUnknownTicker(null);
                                 }}
+                                onSubmit={(value) => handleAddTicker(value)}
                                 disabled={loading}
                             />
                             <button
-                                onClick={handleAddTicker}
+                                onClick={() => handleAddTicker()}
                                 disabled={loading || !currentTicker.trim()}
                                 className="flex-shrink-0 flex items-center justify-center px-4 py-3 bg-indigo-600 text-white font-medium rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-300 transform active:scale-95"
                             >
                                 <Plus className="w-5 h-5 mr-2" />
                                 Add Ticker
                             </button>
+                            <button
+                                onClick={() => setShowImportExport(!showImportExport)}
+                                className="flex-shrink-0 flex items-center justify-center px-4 py-3 text-gray-600 font-medium rounded-lg border border-gray-300 hover:bg-gray-100 transition duration-150"
+                            >
+                                <Upload className="w-5 h-5 mr-2" />
+                                Import / Export
+                            </button>
                         </div>
 
+                        {unknownTicker && (
+                            <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-amber-50 border border-amber-300 rounded-lg text-sm text-amber-800">
+                                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                                <span className="flex-grow">
+                                    {unknownTicker} is not in the symbol list, so it may be a typo and get no news.
+                                </span>
+                                <button onClick={() => handleAddTicker(unknownTicker, true)} disabled={loading} className="font-medium px-3 py-1 rounded border border-amber-400 hover:bg-amber-100">Add anyway</button>
+                                <button onClick={() => setUnknownTicker(null)} className="font-medium px-3 py-1 rounded hover:bg-amber-100">Cancel</button>
+                            </div>
+                        )}
+
                         <div className="mt-4 flex flex-wrap gap-2 min-h-[40px] items-start">
                             {portfolioTickers.length === 0 ? (
                                 <p className="text-gray-500 italic">No tickers added yet. Try GOOG, AAPL, or MSFT.</p>
                             ) : (
-                                portfolioTickers.map(ticker => (
-                                    <div key={ticker} className="flex items-center bg-indigo-50 text-indigo-700 text-sm font-medium pr-1 pl-3 py-1 rounded-full border border-indigo-200">
+                                holdings.map(({ ticker, quantity, currency }) => (
+                                    <div key={ticker} title={getCompanyName(ticker) || 'Not in the symbol list'} className={`flex items-center text-indigo-700 text-sm font-medium pr-1 pl-3 py-1 rounded-full border border-indigo-200 ${editingTicker === ticker ? 'bg-indigo-100' : 'bg-indigo-50'}`}>
                                         {ticker}
+                                        {getCompanyName(ticker) ? (
+                                            <span className="ml-1 text-xs font-normal text-indigo-500 max-w-[10rem] truncate">{getCompanyName(ticker)}</span>
+                                        ) : (
+                                            <AlertTriangle className="ml-1 w-3 h-3 text-amber-500" />
+                                        )}
+                                        <button
+                                            onClick={() => setTrendTicker(trendTicker === ticker ? null : ticker)}
+                                            className={`ml-2 px-1 py-0.5 rounded hover:bg-indigo-200 transition duration-150 ${trendTicker === ticker ? 'bg-indigo-200' : ''}`}
+                                            title={`Net sentiment, last ${SPARKLINE_DAYS} days: ${formatNet(summarizeTrend(sentimentTrend[ticker], SPARKLINE_DAYS).net)}. Click for the full trend.`}
+                                        >
+                                            <SentimentSparkline points={sentimentTrend[ticker].slice(-SPARKLINE_DAYS)} />
+                                        </button>
+                                        {selectedList.type === 'portfolio' && quantity > 0 && (
+                                            <span className="ml-2 text-xs font-normal text-indigo-500">{quantity} sh{currency !== 'USD' ? ` · ${currency}` : ''}</span>
+                                        )}
+                                        {selectedList.type === 'portfolio' && (
+                                            <button
+                                                onClick={() => setEditingTicker(editingTicker === ticker ? null : ticker)}
+                                                className="ml-2 p-1 rounded-full hover:bg-indigo-200 transition duration-150"
+                                                disabled={loading}
+                                                title="Edit position"
+                                            >
+                                                <Pencil className="w-3 h-3" />
+                                            </button>
+                                        )}
                                         <button
                                             onClick={() => handleDeleteTicker(ticker)}
                                             className="ml-2 p-1 rounded-full hover:bg-indigo-200 transition duration-150"
@@ -575,18 +3555,62 @@ const FingenApp = () => {
                                 ))
                             )}
                         </div>
+
+                        {editingTicker && holdings.some(h => h.ticker === editingTicker) && (
+                            <HoldingEditor
+                                key={editingTicker}
+                                holding={holdings.find(h => h.ticker === editingTicker)}
+                                onSave={handleSaveHolding}
+                                onCancel={() => setEditingTicker(null)}
+                                disabled={loading}
+                            />
+                        )}
+
+                        {trendTicker && sentimentTrend[trendTicker] && (
+                            <SentimentTrendChart
+                                key={trendTicker}
+                                symbol={trendTicker}
+                                points={sentimentTrend[trendTicker]}
+                                items={dedupeTrendItems(trendItems).filter(item => item.symbol === trendTicker)}
+                                onClose={() => setTrendTicker(null)}
+                            />
+                        )}
+
+                        {showImportExport && (
+                            <ImportExportPanel
+                                holdings={holdings}
+                                onImport={handleImportHoldings}
+                                onClose={() => setShowImportExport(false)}
+                                disabled={loading}
+                            />
+                        )}
                     </div>
 
-                    {/* Performance Widget */}
-                    <PerformanceWidget />
+                    {/* Performance Widget (watchlists have no positions to value) */}
+                    <PerformanceWidget holdings={selectedList.type === 'portfolio' ? holdings : []} priceData={priceData} />
                 </div>
 
 
                 {/* Action and Loading */}
                 <div className="mb-8 flex flex-col items-center">
+                    {lists.length > 1 && (
+                        <div className="flex items-center gap-2 mb-3 text-sm text-gray-600">
+                            <label htmlFor="digest-scope">Digest scope:</label>
+                            <select
+                                id="digest-scope"
+                                value={digestScope}
+                                onChange={(e) => setDigestScope(e.target.value)}
+                                className="p-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                                disabled={loading}
+                            >
+                                <option value="current">{selectedList.name}</option>
+                                <option value={ALL_LISTS}>All lists</option>
+                            </select>
+                        </div>
+                    )}
                     <button
                         onClick={fetchAndSummarizeNews}
-                        disabled={loading || portfolioTickers.length === 0}
+                        disabled={loading || (digestScope !== ALL_LISTS && portfolioTickers.length === 0)}
                         className="flex items-center justify-center w-full sm:w-auto px-8 py-3 bg-green-500 text-white font-bold rounded-lg shadow-xl hover:bg-green-600 transition duration-200 disabled:bg-gray-400 transform hover:scale-[1.01] active:scale-95"
                     >
                         {loading ? (
@@ -601,19 +3625,85 @@ const FingenApp = () => {
                             </>
                         )}
                     </button>
+                    {loading && abortControllerRef.current && (
+                        <button
+                            onClick={handleCancelGeneration}
+                            className="flex items-center mt-3 text-sm font-medium text-rose-600 px-4 py-2 rounded-lg border border-rose-200 hover:bg-rose-50 transition duration-150"
+                        >
+                            <XCircle className="w-4 h-4 mr-2" />
+                            Cancel
+                        </button>
+                    )}
                     <p className="text-sm text-gray-500 mt-2">
-                        (Simulates the scheduled data processing layer)
+                        {nextScheduledRun
+                            ? `Next scheduled digest: ${nextScheduledRun.toLocaleString()}`
+                            : '(Set up scheduled digests under Settings)'}
                     </p>
+                    <JobProgress jobs={jobs} />
                 </div>
 
 
                 {/* News Digest Display */}
                 <div className="p-6 bg-white rounded-xl shadow-md">
-                    <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
-                        <ChevronRight className="w-5 h-5 text-indigo-500" />
-                        Latest AI Digest
-                    </h2>
-                    
+                    <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mb-4">
+                        <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                            <ChevronRight className="w-5 h-5 text-indigo-500" />
+                            {selectedRunId ? 'AI Digest History' : 'Latest AI Digest'}
+                        </h2>
+
+                        {/* Run History Selector */}
+                        {digestRuns.length > 0 && (
+                            <div className="flex items-center text-sm text-gray-600">
+                                <History className="w-4 h-4 mr-2" />
+                                <select
+                                    value={selectedRunId || ''}
+                                    onChange={(e) => setSelectedRunId(e.target.value || null)}
+                                    className="p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                                >
+                                    <option value="">Latest</option>
+                                    {digestRuns.map(run => (
+                                        <option key={run.id} value={run.id}>{formatRunLabel(run)}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+
+                    {viewedRun && (
+                        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2 mb-4">
+                            <p className="text-sm text-gray-500">
+                                {formatRunLabel(viewedRun)}
+                                {previousRun ? ` — compared with ${getRunName(previousRun)}` : ' — first run, nothing to compare with'}
+                            </p>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                                <span className="text-sm text-gray-500">Export:</span>
+                                {[
+                                    { format: 'markdown', label: 'Markdown', icon: FileText },
+                                    { format: 'html', label: 'HTML email', icon: Mail },
+                                    { format: 'pdf', label: 'PDF', icon: Printer },
+                                ].map(({ format, label, icon: Icon }) => (
+                                    <button
+                                        key={format}
+                                        onClick={() => handleExportDigest(format)}
+                                        disabled={newsDigest.length === 0}
+                                        className="flex items-center text-xs font-medium text-gray-600 px-2 py-1 rounded-lg border border-gray-200 bg-white hover:bg-gray-100 transition duration-150 disabled:opacity-50"
+                                    >
+                                        <Icon className="w-3 h-3 mr-1" />
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {viewedRun && <BriefingPanel run={viewedRun} />}
+
+                    <ExposureHeatmap
+                        exposure={exposureSentiment}
+                        weighting={exposureWeights}
+                        onSelectSentiment={setActiveSentimentFilter}
+                    />
+
                     {/* Sentiment Filter Bar */}
                     <SentimentFilterBar
                         activeFilter={activeSentimentFilter}
@@ -631,12 +3721,42 @@ const FingenApp = () => {
                             </p>
                         ) : (
                             filteredNewsDigest.map(news => (
-                                <NewsCard key={news.id} news={news} />
+                                <NewsCard key={news.id} news={news} change={runDiff.changes[news.id]} />
                             ))
                         )}
                     </div>
+
+                    {/* Items dropped since the previous run */}
+                    {runDiff.removed.length > 0 && (
+                        <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                            <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                                Removed since {getRunName(previousRun)} ({runDiff.removed.length})
+                            </h3>
+                            <ul className="space-y-1">
+                                {runDiff.removed.map(news => (
+                                    <li key={news.id} className="text-sm text-gray-500">
+                                        <span className="font-semibold text-gray-700">{news.symbol}</span>
+                                        {' — '}
+                                        <a href={news.url} target="_blank" rel="noopener noreferrer" className="hover:text-indigo-600 line-through">
+                                            {news.title}
+                                        </a>
+                                        {' '}({news.sentiment})
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </div>
 
+                <ChatPanel
+                    messages={chatMessages}
+                    onAsk={handleAskQuestion}
+                    onClear={handleClearChat}
+                    onOpenCitation={handleOpenCitation}
+                    busy={chatBusy}
+                    disabled={!userId}
+                />
+
                 <footer className="mt-10 text-center text-sm text-gray-400">
                     FinGen: A Full-Stack AI project leveraging React, Firestore, and the Gemini API.
                 </footer>
@@ -645,4 +3765,167 @@ const FingenApp = () => {
     );
 };
 
-export default FingenApp;
+// --- ROOT ---
+
+// Initializes Firebase and owns the signed-in user: shows the sign-in screen when there is none,
+// otherwise the user's workspace. Auth handlers resolve to an error message or null.
+const FingenRoot = () => {
+    const [firebase, setFirebase] = useState(null); // { db, auth }
+    const [account, setAccount] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [initError, setInitError] = useState(null);
+    const [showUpgrade, setShowUpgrade] = useState(false);
+
+    useEffect(() => {
+        if (!firebaseConfig) {
+            setInitError("Firebase configuration is missing. Cannot initialize database.");
+            return;
+        }
+
+        try {
+            const app = initializeApp(firebaseConfig);
+            const firestore = getFirestore(app);
+            if (firestoreEmulatorHost) {
+                const [host, port] = firestoreEmulatorHost.split(':');
+                connectFirestoreEmulator(firestore, host, Number(port));
+            }
+            const authInstance = getAuth(app);
+            setFirebase({ db: firestore, auth: authInstance });
+
+            let unsubscribe = () => {};
+            let cancelled = false;
+
+            // A host-provided token signs the user in directly; otherwise a restored session is
+            // used or the sign-in screen is shown
+            const authenticate = async () => {
+                if (initialAuthToken) {
+                    try {
+                        await signInWithCustomToken(authInstance, initialAuthToken);
+                    } catch (e) {
+                        console.error("Authentication failed:", e);
+                    }
+                }
+                if (cancelled) return;
+                unsubscribe = onAuthStateChanged(authInstance, (user) => {
+                    setAccount(user ? toAccount(user) : null);
+                    setIsAuthReady(true);
+                });
+            };
+            authenticate();
+
+            return () => {
+                cancelled = true;
+                unsubscribe();
+            };
+        } catch (e) {
+            console.error("Firebase initialization failed:", e);
+            setInitError("Failed to initialize the application. Check console for details.");
+        }
+    }, []);
+
+    const withAuthErrors = async (action) => {
+        try {
+            await action();
+            return null;
+        } catch (e) {
+            return describeAuthError(e);
+        }
+    };
+
+    // Linking keeps the user ID but changes the user object in place, which onAuthStateChanged does not report
+    const handleLinked = (result) => {
+        setAccount(toAccount(result.user));
+        setShowUpgrade(false);
+    };
+
+    const handleEmailSignIn = (email, password) =>
+        withAuthErrors(() => signInWithEmailAndPassword(firebase.auth, email, password));
+
+    const handleEmailSignUp = (email, password) => withAuthErrors(async () => {
+        const current = firebase.auth.currentUser;
+        if (current?.isAnonymous) {
+            handleLinked(await linkWithCredential(current, EmailAuthProvider.credential(email, password)));
+        } else {
+            await createUserWithEmailAndPassword(firebase.auth, email, password);
+        }
+    });
+
+    const handleOAuth = (providerId, { link }) => withAuthErrors(async () => {
+        const provider = OAUTH_PROVIDERS.find(p => p.id === providerId).create();
+        const current = firebase.auth.currentUser;
+        if (link && current?.isAnonymous) {
+            handleLinked(await linkWithPopup(current, provider));
+        } else {
+            await signInWithPopup(firebase.auth, provider);
+            setShowUpgrade(false);
+        }
+    });
+
+    const handleResetPassword = (email) => withAuthErrors(() => sendPasswordResetEmail(firebase.auth, email));
+
+    const handleGuest = () => withAuthErrors(() => signInAnonymously(firebase.auth));
+
+    const handleSignOut = async () => {
+        if (account?.isAnonymous && !window.confirm("Sign out of this guest account? Its portfolios, digests and settings cannot be recovered afterwards.")) return;
+        try {
+            setShowUpgrade(false);
+            await signOut(firebase.auth);
+        } catch (e) {
+            console.error("Sign-out failed:", e);
+        }
+    };
+
+    const authHandlers = {
+        onEmailSignIn: handleEmailSignIn,
+        onEmailSignUp: handleEmailSignUp,
+        onOAuth: handleOAuth,
+        onResetPassword: handleResetPassword,
+    };
+
+    let content;
+    if (initError) {
+        content = (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50">
+                <AlertTriangle className="w-6 h-6 text-red-600 mr-3" />
+                <p className="text-lg font-medium text-red-700">{initError}</p>
+            </div>
+        );
+    } else if (!isAuthReady) {
+        content = (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600 mr-3" />
+                <p className="text-lg font-medium text-gray-700">Initializing FinGen...</p>
+            </div>
+        );
+    } else if (!account) {
+        content = <AuthScreen {...authHandlers} onGuest={handleGuest} />;
+    } else {
+        content = (
+            <>
+                <FingenApp
+                    key={account.uid}
+                    db={firebase.db}
+                    account={account}
+                    onUpgradeAccount={() => setShowUpgrade(true)}
+                    onSignOut={handleSignOut}
+                />
+                {showUpgrade && account.isAnonymous && (
+                    <UpgradeAccountDialog {...authHandlers} onClose={() => setShowUpgrade(false)} />
+                )}
+            </>
+        );
+    }
+
+    return (
+        <>
+            <script src="https://cdn.tailwindcss.com"></script>
+            <style>{`
+                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&display=swap');
+                body { font-family: 'Inter', sans-serif; }
+            `}</style>
+            {content}
+        </>
+    );
+};
+
+export default FingenRoot;
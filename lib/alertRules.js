@@ -0,0 +1,130 @@
+// --- ALERT RULES ---
+//
+// User-defined rules evaluated against the items of each digest run. A rule lives in
+// `alert_rules/{ruleId}`:
+//
+//   { name, enabled, tickers: [symbol], listId, sentiment: 'ANY' | SENTIMENTS, minImpact, keywords: [string], createdAt }
+//
+// Empty `tickers`, a null `listId` and no `keywords` match everything. Each match becomes an
+// alert in `alerts/{alertId}`; the id is derived from the rule, ticker and article, so the same
+// story showing up in later runs does not alert twice:
+//
+//   { ruleId, ruleName, itemId, runId, symbol, title, url, summary, sentiment, impact, matchedKeywords,
+//     createdAt, read, snoozedUntil }
+
+import { IMPACTS, SENTIMENTS } from './analysisValidation';
+import { getArticleKey } from './companyMentions';
+import { isFailedItem } from './digestHistory';
+import { SYMBOL_PATTERN } from './symbolMaster';
+
+export const ANY_SENTIMENT = 'ANY';
+export const MAX_RULE_NAME_LENGTH = 60;
+
+export const DEFAULT_ALERT_RULE = {
+    name: '',
+    enabled: true,
+    tickers: [],
+    listId: null,
+    sentiment: 'NEGATIVE',
+    minImpact: 'High',
+    keywords: [],
+};
+
+export const SNOOZE_OPTIONS = [
+    { key: '1h', label: '1 hour', hours: 1 },
+    { key: '1d', label: '1 day', hours: 24 },
+    { key: '1w', label: '1 week', hours: 24 * 7 },
+];
+
+/**
+ * Splits comma-separated input into a clean list (tickers are upper-cased by the caller).
+ * @param {string} text
+ * @returns {string[]} Trimmed, non-empty, de-duplicated entries.
+ */
+export const parseRuleList = (text) => [...new Set(text.split(',').map(entry => entry.trim()).filter(Boolean))];
+
+/**
+ * Validates a rule before it is saved.
+ * @param {object} rule - Rule fields (see the header comment).
+ * @returns {string|null} An error message, or null if the rule is acceptable.
+ */
+export const validateAlertRule = (rule) => {
+    const name = rule.name.trim();
+    if (!name) return 'Rule name is required.';
+    if (name.length > MAX_RULE_NAME_LENGTH) return `Rule name must be at most ${MAX_RULE_NAME_LENGTH} characters.`;
+    const badTickers = rule.tickers.filter(ticker => !SYMBOL_PATTERN.test(ticker));
+    if (badTickers.length > 0) return `Not a valid ticker: ${badTickers.join(', ')}.`;
+    if (rule.sentiment !== ANY_SENTIMENT && !SENTIMENTS.includes(rule.sentiment)) return 'Choose a sentiment.';
+    if (!IMPACTS.includes(rule.minImpact)) return 'Choose a minimum impact.';
+    return null;
+};
+
+/**
+ * Checks one digest item against a rule.
+ * @param {object} rule
+ * @param {object} item - Stored digest item.
+ * @returns {string[]|null} The rule keywords found in the item ([] for a rule without keywords),
+ *     or null if the item does not match.
+ */
+export const matchAlertRule = (rule, item) => {
+    if (!rule.enabled || isFailedItem(item)) return null;
+    if (rule.tickers.length > 0 && !rule.tickers.includes(item.symbol)) return null;
+    if (rule.listId && !(item.listIds || []).includes(rule.listId)) return null;
+    if (rule.sentiment !== ANY_SENTIMENT && item.sentiment !== rule.sentiment) return null;
+    if (IMPACTS.indexOf(item.impact) < IMPACTS.indexOf(rule.minImpact)) return null;
+
+    if (rule.keywords.length === 0) return [];
+    const text = [item.title, item.summary, item.whyItMatters, ...(item.risks || []), ...(item.catalysts || [])]
+        .filter(Boolean).join(' ').toLowerCase();
+    const matched = rule.keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+    return matched.length > 0 ? matched : null;
+};
+
+// FNV-1a, enough to turn an article URL into a short document id
+const hashText = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+};
+
+/**
+ * Document id of the alert a rule raises for an item.
+ * @param {string} ruleId
+ * @param {object} item - Digest item.
+ */
+export const getAlertId = (ruleId, item) => `${ruleId}_${item.symbol}_${hashText(getArticleKey(item))}`;
+
+/**
+ * Evaluates every rule against a run's items.
+ * @param {object[]} rules - Rules with ids.
+ * @param {object[]} items - The run's stored items, with ids.
+ * @returns {object[]} One alert per matching rule and item, with its document `id` (see the header comment).
+ */
+export const evaluateAlertRules = (rules, items) => rules.flatMap(rule => items.flatMap(item => {
+    const matchedKeywords = matchAlertRule(rule, item);
+    if (!matchedKeywords) return [];
+    return [{
+        id: getAlertId(rule.id, item),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        itemId: item.id,
+        runId: item.runId,
+        symbol: item.symbol,
+        title: item.title,
+        url: item.url || '',
+        summary: item.summary,
+        sentiment: item.sentiment,
+        impact: item.impact,
+        matchedKeywords,
+    }];
+}));
+
+/**
+ * Whether an alert is snoozed at a given time.
+ * @param {object} alert
+ * @param {number} [now] - Epoch milliseconds.
+ */
+export const isSnoozed = (alert, now = Date.now()) => Boolean(alert.snoozedUntil) && Date.parse(alert.snoozedUntil) > now;
@@ -0,0 +1,152 @@
+// --- ANALYSIS VALIDATION & REPAIR ---
+//
+// Model output is never trusted as-is: it is parsed, lightly repaired (code fences, stray
+// prose, casing) and validated against the analysis schema:
+//
+//   { summary, sentiment, impact, companies, keyPoints, catalysts, risks, timeHorizon, confidence, whyItMatters }
+//
+// summary, sentiment, impact and companies are required; anything that still fails is reported as a
+// failure instead of being replaced with a fake result. The detail fields after them are optional, so
+// models that only manage the core fields keep working: a missing or unusable detail becomes [] or
+// null, as for a failed analysis (see getAnalysisDetails in lib/digestPipeline.js).
+
+import { SYMBOL_PATTERN } from './symbolMaster';
+
+export const SENTIMENTS = ['POSITIVE', 'NEGATIVE', 'NEUTRAL'];
+export const IMPACTS = ['Low', 'Medium', 'High'];
+export const IMPACT_WEIGHTS = { Low: 1, Medium: 2, High: 3 }; // Used when news is scored or weighted by impact
+
+export const MIN_SUMMARY_LENGTH = 20;
+export const MAX_SUMMARY_LENGTH = 500;
+
+export const TIME_HORIZONS = ['short', 'medium', 'long'];
+export const MAX_LIST_ITEMS = 5; // keyPoints, catalysts and risks
+export const MAX_WHY_IT_MATTERS_LENGTH = 250;
+
+/**
+ * Parses model output into an object, tolerating ```json fences and text around the JSON block.
+ * @param {string} text - Raw model output.
+ * @returns {object} The parsed object.
+ * @throws {Error} If no JSON object can be recovered.
+ */
+export const parseModelOutput = (text) => {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : text;
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            return JSON.parse(candidate.slice(start, end + 1));
+        }
+        throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+};
+
+/**
+ * Validates a parsed analysis against the schema. Casing of sentiment/impact and surrounding
+ * whitespace are repaired; missing required fields, unknown enum values and bad summary lengths
+ * are errors. Optional details that are missing or malformed are left out rather than failing the
+ * analysis.
+ * @param {object} raw - Parsed model output.
+ * @returns {{ valid: boolean, errors: string[], analysis: object }} The repaired analysis and any errors.
+ */
+export const validateAnalysis = (raw) => {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['Response is not a JSON object.'], analysis: null };
+    }
+
+    const summary = typeof raw.summary === 'string' ? raw.summary.replace(/\s+/g, ' ').trim() : '';
+    if (!summary) {
+        errors.push('"summary" is required.');
+    } else if (summary.length < MIN_SUMMARY_LENGTH) {
+        errors.push(`"summary" must be at least ${MIN_SUMMARY_LENGTH} characters.`);
+    } else if (summary.length > MAX_SUMMARY_LENGTH) {
+        errors.push(`"summary" must be at most ${MAX_SUMMARY_LENGTH} characters (1-2 sentences).`);
+    }
+
+    const sentimentInput = String(raw.sentiment ?? '').trim().toUpperCase();
+    const sentiment = SENTIMENTS.find(value => value === sentimentInput);
+    if (!sentiment) {
+        errors.push(`"sentiment" must be one of ${SENTIMENTS.join(', ')} (got "${raw.sentiment ?? ''}").`);
+    }
+
+    const impactInput = String(raw.impact ?? '').trim().toLowerCase();
+    const impact = IMPACTS.find(value => value.toLowerCase() === impactInput);
+    if (!impact) {
+        errors.push(`"impact" must be one of ${IMPACTS.join(', ')} (got "${raw.impact ?? ''}").`);
+    }
+
+    const companies = validateCompanies(raw.companies, errors);
+
+    // Optional details
+    const keyPoints = readStringList(raw.keyPoints);
+    const catalysts = readStringList(raw.catalysts);
+    const risks = readStringList(raw.risks);
+    const timeHorizon = findEnum(TIME_HORIZONS, raw.timeHorizon) || null;
+
+    // Models sometimes answer in percent (85 instead of 0.85)
+    let confidence = typeof raw.confidence === 'string' ? Number(raw.confidence.replace('%', '')) : raw.confidence;
+    if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) confidence /= 100;
+    if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        confidence = null;
+    }
+
+    let whyItMatters = typeof raw.whyItMatters === 'string' ? raw.whyItMatters.replace(/\s+/g, ' ').trim() : '';
+    if (whyItMatters.length > MAX_WHY_IT_MATTERS_LENGTH) {
+        whyItMatters = `${whyItMatters.slice(0, MAX_WHY_IT_MATTERS_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        analysis: { summary, sentiment, impact, companies, keyPoints, catalysts, risks, timeHorizon, confidence, whyItMatters: whyItMatters || null },
+    };
+};
+
+/**
+ * Reads an optional list of short strings. Anything but an array reads as empty, blank entries are
+ * dropped and long lists are cut to MAX_LIST_ITEMS.
+ * @param {*} value - The field's value from the model.
+ * @returns {string[]} The repaired list.
+ */
+const readStringList = (value) => {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.replace(/\s+/g, ' ').trim())
+        .slice(0, MAX_LIST_ITEMS);
+};
+
+const findEnum = (values, input) => values.find(value => value.toLowerCase() === String(input ?? '').trim().toLowerCase());
+
+/**
+ * Validates the per-company breakdown ([{ symbol, sentiment, impact }]). Tickers are upper-cased
+ * and "$" / exchange prefixes ("NASDAQ:MSFT") stripped; a ticker listed twice keeps its first entry.
+ * @param {*} raw - The "companies" value from the model.
+ * @param {string[]} errors - Validation errors are appended here.
+ * @returns {object[]} The repaired entries.
+ */
+const validateCompanies = (raw, errors) => {
+    if (!Array.isArray(raw)) {
+        errors.push('"companies" must be an array of { symbol, sentiment, impact } (use [] if no listed company is mentioned).');
+        return [];
+    }
+
+    const companies = [];
+    raw.forEach((entry, index) => {
+        const symbol = String(entry?.symbol ?? '').trim().toUpperCase().replace(/^\$/, '').replace(/^[A-Z]+:/, '');
+        const sentiment = findEnum(SENTIMENTS, entry?.sentiment);
+        const impact = findEnum(IMPACTS, entry?.impact);
+        if (!SYMBOL_PATTERN.test(symbol)) {
+            errors.push(`"companies[${index}].symbol" must be a ticker symbol (got "${entry?.symbol ?? ''}").`);
+        } else if (!sentiment || !impact) {
+            errors.push(`"companies[${index}]" (${symbol}) needs a sentiment of ${SENTIMENTS.join(', ')} and an impact of ${IMPACTS.join(', ')}.`);
+        } else if (!companies.some(company => company.symbol === symbol)) {
+            companies.push({ symbol, sentiment, impact });
+        }
+    });
+    return companies;
+};
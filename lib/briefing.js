@@ -0,0 +1,206 @@
+// --- PORTFOLIO BRIEFING ---
+//
+// Second AI stage of a digest run: once every article is analyzed, the per-item summaries are
+// synthesized into a short morning briefing. Items are numbered [1]..[n] in the prompt and every
+// statement must cite the numbers that support it; citations are stored as digest item ids.
+// The briefing is stored on the digest run document:
+//
+//   briefing: { status: 'ok', tone, overview: [{ text, citations }], watchList: [{ text, citations }],
+//               conflicts: [{ symbol, text, citations }], provider, model, createdAt }
+//   briefing: { status: 'failed', error, provider, model, createdAt }
+
+import { LLM_PROVIDERS, generateStructured } from './llmProviders';
+import { isFailedItem } from './digestHistory';
+import { SENTIMENTS } from './analysisValidation';
+
+export const BRIEFING_TONES = [...SENTIMENTS, 'MIXED'];
+export const MAX_WATCH_ITEMS = 3;
+const MAX_STATEMENT_LENGTH = 400;
+
+const IMPACT_RANK = { High: 3, Medium: 2, Low: 1 };
+
+const BRIEFING_SYSTEM_PROMPT = `You are the portfolio manager's chief analyst writing the morning briefing. You receive numbered news items about the portfolio's holdings. Output a strictly valid JSON object and nothing else:
+    {
+      "tone": "POSITIVE, NEGATIVE, NEUTRAL, or MIXED: the overall tone of today's news for the portfolio",
+      "overview": [{ "text": "1-3 short sentences on the overall picture", "citations": [1, 2] }],
+      "watchList": [{ "text": "One of the top three things to watch", "citations": [3] }],
+      "conflicts": [{ "symbol": "Ticker with conflicting signals", "text": "What conflicts", "citations": [1, 4] }]
+    }
+
+    Rules: every statement must cite the numbers of the items that support it, and only those items. Use only information from the items. "watchList" has at most three entries, most important first. "conflicts" lists holdings whose items point in different directions; use [] if there are none.
+    `;
+
+const citationsSchema = { type: "ARRAY", items: { type: "INTEGER" } };
+const statementSchema = {
+    type: "OBJECT",
+    properties: { text: { type: "STRING" }, citations: citationsSchema },
+    required: ["text", "citations"]
+};
+
+const BRIEFING_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        tone: { type: "STRING", enum: BRIEFING_TONES },
+        overview: { type: "ARRAY", items: statementSchema },
+        watchList: { type: "ARRAY", items: statementSchema },
+        conflicts: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: { symbol: { type: "STRING" }, text: { type: "STRING" }, citations: citationsSchema },
+                required: ["symbol", "text", "citations"]
+            }
+        }
+    },
+    required: ["tone", "overview", "watchList", "conflicts"]
+};
+
+/**
+ * Formats the analyzed items as the numbered list the briefing prompt cites.
+ * @param {object[]} items - Successfully analyzed digest items.
+ * @returns {string} The user prompt.
+ */
+export const buildBriefingPrompt = (items) => {
+    const lines = items.map((item, index) => {
+        const sources = item.sources?.length > 1 ? item.sources.map(s => s.source).join(', ') : item.source;
+        const why = item.whyItMatters ? ` Why it matters: ${item.whyItMatters}` : '';
+        return `[${index + 1}] ${item.symbol} (${sources}) ${item.sentiment}/${item.impact} impact: ${item.summary}${why}`;
+    });
+    return `Write the morning briefing for a portfolio with these news items:\n\n${lines.join('\n')}`;
+};
+
+/**
+ * Validates a briefing against the schema and the number of items it may cite.
+ * @param {object} raw - Parsed model output.
+ * @param {number} itemCount - Items in the prompt (valid citations are 1..itemCount).
+ * @param {string[]} symbols - Tickers that may appear in conflicts.
+ * @returns {{ valid: boolean, errors: string[], value: object }} Citations are still item numbers.
+ */
+export const validateBriefing = (raw, itemCount, symbols) => {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['Response is not a JSON object.'], value: null };
+    }
+
+    const tone = BRIEFING_TONES.find(value => value === String(raw.tone ?? '').trim().toUpperCase());
+    if (!tone) errors.push(`"tone" must be one of ${BRIEFING_TONES.join(', ')} (got "${raw.tone ?? ''}").`);
+
+    const statements = (field, { min = 0, max = Infinity, withSymbol = false } = {}) => {
+        if (!Array.isArray(raw[field])) {
+            errors.push(`"${field}" must be an array.`);
+            return [];
+        }
+        if (raw[field].length < min) errors.push(`"${field}" needs at least ${min} statement(s).`);
+
+        return raw[field].slice(0, max).map((statement, index) => {
+            const label = `${field}[${index}]`;
+            const text = typeof statement?.text === 'string' ? statement.text.replace(/\s+/g, ' ').trim() : '';
+            if (!text) errors.push(`"${label}.text" is required.`);
+            else if (text.length > MAX_STATEMENT_LENGTH) errors.push(`"${label}.text" must be at most ${MAX_STATEMENT_LENGTH} characters.`);
+
+            const citations = Array.isArray(statement?.citations) ? [...new Set(statement.citations.map(Number))] : [];
+            if (citations.length === 0) errors.push(`"${label}" must cite at least one item number.`);
+            const invalid = citations.filter(n => !Number.isInteger(n) || n < 1 || n > itemCount);
+            if (invalid.length > 0) errors.push(`"${label}" cites unknown item(s) ${invalid.join(', ')}; valid numbers are 1-${itemCount}.`);
+
+            if (!withSymbol) return { text, citations };
+            const symbol = String(statement?.symbol ?? '').trim().toUpperCase();
+            if (!symbols.includes(symbol)) errors.push(`"${label}.symbol" must be one of ${symbols.join(', ')} (got "${statement?.symbol ?? ''}").`);
+            return { symbol, text, citations };
+        });
+    };
+
+    const value = {
+        tone,
+        overview: statements('overview', { min: 1 }),
+        watchList: statements('watchList', { min: 1, max: MAX_WATCH_ITEMS }),
+        conflicts: statements('conflicts', { withSymbol: true }),
+    };
+    return { valid: errors.length === 0, errors, value };
+};
+
+/**
+ * Deterministic briefing built from the items' own sentiment and impact, used by the offline
+ * rule-based provider.
+ * @param {object[]} items - Successfully analyzed digest items.
+ * @returns {object} A briefing with item-number citations.
+ */
+export const buildRuleBasedBriefing = (items) => {
+    const numbered = items.map((item, index) => ({ ...item, number: index + 1 }));
+    const bySentiment = (sentiment) => numbered.filter(item => item.sentiment === sentiment);
+    const positive = bySentiment('POSITIVE');
+    const negative = bySentiment('NEGATIVE');
+    const neutral = bySentiment('NEUTRAL');
+    const weight = (list) => list.reduce((sum, item) => sum + (IMPACT_RANK[item.impact] || 1), 0);
+    const symbolsOf = (list) => [...new Set(list.map(item => item.symbol))].join(', ');
+
+    const tone = positive.length > 0 && negative.length > 0 && Math.min(weight(positive), weight(negative)) * 2 >= Math.max(weight(positive), weight(negative))
+        ? 'MIXED'
+        : weight(positive) > weight(negative) ? 'POSITIVE' : weight(negative) > weight(positive) ? 'NEGATIVE' : 'NEUTRAL';
+
+    const overview = [
+        positive.length > 0 && { text: `Positive news for ${symbolsOf(positive)}.`, citations: positive.map(item => item.number) },
+        negative.length > 0 && { text: `Negative news for ${symbolsOf(negative)}.`, citations: negative.map(item => item.number) },
+        neutral.length > 0 && { text: `Neutral or mixed news for ${symbolsOf(neutral)}.`, citations: neutral.map(item => item.number) },
+    ].filter(Boolean);
+
+    const watchList = [...numbered]
+        .sort((a, b) => (IMPACT_RANK[b.impact] || 0) - (IMPACT_RANK[a.impact] || 0) || (b.confidence ?? 0) - (a.confidence ?? 0) || a.number - b.number)
+        .slice(0, MAX_WATCH_ITEMS)
+        .map(item => ({ text: `${item.symbol}: ${item.whyItMatters || item.summary}`, citations: [item.number] }));
+
+    const conflicts = [...new Set(numbered.map(item => item.symbol))].flatMap(symbol => {
+        const own = numbered.filter(item => item.symbol === symbol);
+        const up = own.filter(item => item.sentiment === 'POSITIVE');
+        const down = own.filter(item => item.sentiment === 'NEGATIVE');
+        if (up.length === 0 || down.length === 0) return [];
+        return [{
+            symbol,
+            text: `${symbol} has ${up.length} positive and ${down.length} negative item(s).`,
+            citations: [...up, ...down].map(item => item.number),
+        }];
+    });
+
+    return { tone, overview, watchList, conflicts };
+};
+
+/**
+ * Generates the briefing for a run's items.
+ * @param {object[]} items - The run's digest items (with ids); failed analyses are left out.
+ * @param {object} llmConfig - The user's provider settings.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} The briefing document (citations as item ids).
+ */
+export const generateBriefing = async (items, llmConfig, { signal } = {}) => {
+    const usable = items.filter(item => !isFailedItem(item) && item.summary);
+    const meta = {
+        provider: llmConfig.provider,
+        model: llmConfig.model || LLM_PROVIDERS[llmConfig.provider]?.defaultModel || '',
+        createdAt: new Date().toISOString(),
+    };
+    if (usable.length === 0) {
+        return { status: 'failed', error: 'No successfully analyzed articles to brief on.', ...meta };
+    }
+
+    const symbols = [...new Set(usable.map(item => item.symbol))];
+    const result = await generateStructured(
+        { system: BRIEFING_SYSTEM_PROMPT, user: buildBriefingPrompt(usable), schema: BRIEFING_SCHEMA },
+        (parsed) => validateBriefing(parsed, usable.length, symbols),
+        llmConfig,
+        { signal, offline: () => buildRuleBasedBriefing(usable) }
+    );
+    if (result.status !== 'ok') {
+        return { status: 'failed', error: result.error, ...meta };
+    }
+
+    const toIds = (statement) => ({ ...statement, citations: statement.citations.map(n => usable[n - 1].id) });
+    return {
+        status: 'ok',
+        tone: result.value.tone,
+        overview: result.value.overview.map(toIds),
+        watchList: result.value.watchList.map(toIds),
+        conflicts: result.value.conflicts.map(toIds),
+        ...meta,
+    };
+};
@@ -0,0 +1,58 @@
+// --- MULTI-COMPANY ARTICLES ---
+//
+// News sources hand out one article per ticker, so an article that mentions two holdings
+// arrives twice. The pipeline merges those copies, analyzes the article once, and then maps
+// the analysis back into one digest item per affected holding, each carrying that company's
+// own sentiment and impact (a contract won by MSFT is a loss for AMZN).
+
+/**
+ * Key identifying the same article across tickers.
+ * @param {object} article - Article or digest item.
+ */
+export const getArticleKey = (article) => article.url || article.title;
+
+/**
+ * Merges copies of the same article fetched for different tickers.
+ * @param {object[]} articles - Articles in the common article shape (one symbol each).
+ * @returns {object[]} One article per key, with `symbols` listing every ticker it was fetched for.
+ */
+export const mergeDuplicateArticles = (articles) => {
+    const byKey = new Map();
+    articles.forEach(article => {
+        const key = getArticleKey(article);
+        const existing = byKey.get(key);
+        if (existing) {
+            if (!existing.symbols.includes(article.symbol)) existing.symbols.push(article.symbol);
+        } else {
+            byKey.set(key, { ...article, symbols: [article.symbol] });
+        }
+    });
+    return [...byKey.values()];
+};
+
+/**
+ * Works out which tracked tickers an analyzed article belongs to and how it affects each one.
+ * Tickers the source fetched the article for are always included; companies the analysis found
+ * are added when they are tracked. A ticker missing from the analysis' breakdown falls back to
+ * the article-level sentiment and impact.
+ * @param {object} article - Merged article ({ symbols }).
+ * @param {object} analysis - summarizeNews result ({ status, sentiment, impact, companies }).
+ * @param {string[]} trackedTickers - Tickers in the digest scope.
+ * @returns {object[]} [{ symbol, sentiment, impact }] (sentiment/impact are null for a failed analysis).
+ */
+export const mapArticleToTickers = (article, analysis, trackedTickers) => {
+    const companies = analysis.status === 'ok' ? analysis.companies || [] : [];
+    const symbols = [...new Set([
+        ...article.symbols,
+        ...companies.map(company => company.symbol).filter(symbol => trackedTickers.includes(symbol)),
+    ])];
+
+    return symbols.map(symbol => {
+        const company = companies.find(entry => entry.symbol === symbol);
+        return {
+            symbol,
+            sentiment: company?.sentiment || analysis.sentiment || null,
+            impact: company?.impact || analysis.impact || null,
+        };
+    });
+};
@@ -0,0 +1,313 @@
+// --- DELIVERY CHANNELS ---
+//
+// Where finished digests are sent. A channel lives in `delivery_channels/{channelId}`:
+//
+//   { name, enabled, type: 'email' | 'webhook' | 'slack' | 'teams', target, filters, createdAt }
+//   filters: { minImpact, sentiments: [SENTIMENTS] (empty for any), tickers: [symbol] (empty for any), includeFailed }
+//
+// `target` is a comma-separated recipient list for email and the endpoint URL otherwise. At the
+// end of a run the pipeline queues one entry per enabled channel in the delivery log,
+// `deliveries/{runId}_{channelId}`, and the worker (worker/delivery.js) sends it, retrying
+// failures with a growing delay:
+//
+//   { runId, channelId, channelName, type, status: 'pending' | 'sent' | 'skipped' | 'failed',
+//     attempts, nextAttemptAt, lastError, itemCount, createdAt, updatedAt, sentAt }
+
+import { IMPACTS, SENTIMENTS } from './analysisValidation';
+import { isFailedItem } from './digestHistory';
+import { SYMBOL_PATTERN } from './symbolMaster';
+import { formatDigestHtml, formatDigestMarkdown, groupDigestItems } from './digestFormat';
+
+export const CHANNEL_TYPES = {
+    email: { id: 'email', label: 'Email (SMTP)', targetLabel: 'Recipients (comma-separated)', placeholder: 'pm@example.com, desk@example.com' },
+    webhook: { id: 'webhook', label: 'JSON webhook', targetLabel: 'Webhook URL', placeholder: 'https://example.com/hooks/fingen' },
+    slack: { id: 'slack', label: 'Slack incoming webhook', targetLabel: 'Webhook URL', placeholder: 'https://hooks.slack.com/services/...' },
+    teams: { id: 'teams', label: 'Teams incoming webhook', targetLabel: 'Webhook URL', placeholder: 'https://example.webhook.office.com/...' },
+};
+
+export const MAX_CHANNEL_NAME_LENGTH = 60;
+
+export const DEFAULT_DELIVERY_FILTERS = {
+    minImpact: 'Low',
+    sentiments: [],
+    tickers: [],
+    includeFailed: false,
+};
+
+export const DEFAULT_DELIVERY_CHANNEL = {
+    name: '',
+    enabled: true,
+    type: 'email',
+    target: '',
+    filters: DEFAULT_DELIVERY_FILTERS,
+};
+
+export const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+};
+
+export const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60]; // After the 1st, 2nd, 3rd and 4th failed attempt
+
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+/**
+ * Recipients of an email channel.
+ * @param {string} target - Comma-separated addresses.
+ * @returns {string[]}
+ */
+export const parseRecipients = (target) => [...new Set(target.split(',').map(address => address.trim()).filter(Boolean))];
+
+/**
+ * Validates a channel before it is saved.
+ * @param {object} channel - Channel fields (see the header comment).
+ * @returns {string|null} An error message, or null if the channel is acceptable.
+ */
+export const validateDeliveryChannel = (channel) => {
+    const name = channel.name.trim();
+    if (!name) return 'Channel name is required.';
+    if (name.length > MAX_CHANNEL_NAME_LENGTH) return `Channel name must be at most ${MAX_CHANNEL_NAME_LENGTH} characters.`;
+    if (!CHANNEL_TYPES[channel.type]) return 'Choose a channel type.';
+
+    if (channel.type === 'email') {
+        const recipients = parseRecipients(channel.target);
+        if (recipients.length === 0) return 'Add at least one recipient.';
+        const invalid = recipients.filter(address => !EMAIL_PATTERN.test(address));
+        if (invalid.length > 0) return `Not a valid email address: ${invalid.join(', ')}.`;
+    } else {
+        let url;
+        try {
+            url = new URL(channel.target.trim());
+        } catch {
+            return 'Enter the full webhook URL.';
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'The webhook URL must start with https:// or http://.';
+    }
+
+    const { filters } = channel;
+    if (!IMPACTS.includes(filters.minImpact)) return 'Choose a minimum impact.';
+    if (filters.sentiments.some(sentiment => !SENTIMENTS.includes(sentiment))) return 'Choose valid sentiments.';
+    const badTickers = filters.tickers.filter(ticker => !SYMBOL_PATTERN.test(ticker));
+    if (badTickers.length > 0) return `Not a valid ticker: ${badTickers.join(', ')}.`;
+    return null;
+};
+
+/**
+ * Items of a run that pass a channel's filters.
+ * @param {object} filters - Channel filters (see the header comment).
+ * @param {object[]} items - The run's items.
+ * @returns {object[]}
+ */
+export const filterDeliveryItems = (filters, items) => {
+    const { minImpact, sentiments, tickers, includeFailed } = { ...DEFAULT_DELIVERY_FILTERS, ...filters };
+    return items.filter(item => {
+        if (tickers.length > 0 && !tickers.includes(item.symbol)) return false;
+        if (isFailedItem(item)) return includeFailed;
+        if (sentiments.length > 0 && !sentiments.includes(item.sentiment)) return false;
+        return IMPACTS.indexOf(item.impact) >= IMPACTS.indexOf(minImpact);
+    });
+};
+
+/**
+ * Document id of a run's delivery on a channel (one per pair, so a run is never queued twice).
+ * @param {string} runId
+ * @param {string} channelId
+ */
+export const getDeliveryId = (runId, channelId) => `${runId}_${channelId}`;
+
+/**
+ * Delivery log entries for a finished run, one per enabled channel.
+ * @param {object[]} channels - Channels with ids.
+ * @param {string} runId
+ * @param {Date} [now]
+ * @returns {object[]} Entries with their document `id` (see the header comment).
+ */
+export const planDeliveries = (channels, runId, now = new Date()) => channels
+    .filter(channel => channel.enabled)
+    .map(channel => ({
+        id: getDeliveryId(runId, channel.id),
+        runId,
+        channelId: channel.id,
+        channelName: channel.name,
+        type: channel.type,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: now.toISOString(),
+        lastError: null,
+        itemCount: null,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        sentAt: null,
+    }));
+
+/**
+ * Whether a pending delivery should be attempted now.
+ * @param {object} delivery
+ * @param {Date} [now]
+ */
+export const isDeliveryDue = (delivery, now = new Date()) =>
+    delivery.status === DELIVERY_STATUS.PENDING && !(Date.parse(delivery.nextAttemptAt) > now.getTime());
+
+/**
+ * Fields to store after an attempt. A failure is retried after 1, 5, 15 and 60 minutes, and
+ * marked failed after MAX_DELIVERY_ATTEMPTS.
+ * @param {object} delivery - The entry before the attempt.
+ * @param {string|null} error - Why the attempt failed, or null if it was sent.
+ * @param {Date} [now]
+ * @returns {object} { status, attempts, nextAttemptAt, lastError, sentAt, updatedAt }
+ */
+export const recordDeliveryAttempt = (delivery, error, now = new Date()) => {
+    const attempts = (delivery.attempts || 0) + 1;
+    const updatedAt = now.toISOString();
+    if (!error) {
+        return { status: DELIVERY_STATUS.SENT, attempts, nextAttemptAt: null, lastError: null, sentAt: updatedAt, updatedAt };
+    }
+    if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+        return { status: DELIVERY_STATUS.FAILED, attempts, nextAttemptAt: null, lastError: error, sentAt: null, updatedAt };
+    }
+    const delayMinutes = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+    return {
+        status: DELIVERY_STATUS.PENDING,
+        attempts,
+        nextAttemptAt: new Date(now.getTime() + delayMinutes * 60000).toISOString(),
+        lastError: error,
+        sentAt: null,
+        updatedAt,
+    };
+};
+
+// --- PAYLOADS ---
+
+const TONE_COLORS = { POSITIVE: '059669', NEGATIVE: 'e11d48', MIXED: 'd97706', NEUTRAL: '6b7280' };
+const MAX_SLACK_SECTIONS = 45; // Slack accepts 50 blocks per message
+const MAX_SLACK_SECTION_LENGTH = 2900; // and 3000 characters per section
+
+const getRunTitle = (run) => `FinGen Digest — Run #${run.version}`;
+
+const getItemTag = (item) => (isFailedItem(item) ? 'Analysis failed' : `${item.sentiment} / ${item.impact} Impact`);
+
+const getBriefingText = (briefing) =>
+    briefing?.status === 'ok' ? briefing.overview.map(statement => statement.text).join(' ') : null;
+
+// Run fields sent to JSON webhooks
+const toWebhookRun = (run) => ({
+    runId: run.runId,
+    version: run.version,
+    createdAt: run.createdAt,
+    scopeName: run.scopeName || null,
+    tickers: run.tickers,
+    trigger: run.trigger || 'manual',
+    briefing: run.briefing || null,
+});
+
+// Item fields sent to JSON webhooks (the article text stays in Firestore)
+const toWebhookItem = (item) => ({
+    id: item.id,
+    symbol: item.symbol,
+    title: item.title,
+    url: item.url,
+    source: item.source,
+    sources: item.sources || [],
+    publishedAt: item.publishedAt,
+    status: item.status || 'ok',
+    error: item.error || null,
+    sentiment: item.sentiment,
+    impact: item.impact,
+    summary: item.summary,
+    whyItMatters: item.whyItMatters || null,
+    keyPoints: item.keyPoints || [],
+    catalysts: item.catalysts || [],
+    risks: item.risks || [],
+    confidence: item.confidence ?? null,
+});
+
+const escapeSlack = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const slackLink = (text, url) => (url ? `<${url.replace(/[<>|]/g, encodeURIComponent)}|${escapeSlack(text)}>` : escapeSlack(text));
+
+// A section's heading and as many whole entries as fit; cutting at a character count could end
+// inside a <url|text> link and break the markup
+const fitSlackSection = (heading, entries) => {
+    const more = (count) => `\n_…and ${count} more_`;
+    let text = heading;
+    for (let index = 0; index < entries.length; index++) {
+        const next = `${text}\n${entries[index]}`;
+        const left = entries.length - index - 1;
+        if (next.length + (left > 0 ? more(left).length : 0) > MAX_SLACK_SECTION_LENGTH) return text + more(entries.length - index);
+        text = next;
+    }
+    return text;
+};
+
+const buildSlackPayload = (run, items, getCompanyName) => {
+    const briefing = getBriefingText(run.briefing);
+    const groups = groupDigestItems(items);
+    const sections = groups.slice(0, MAX_SLACK_SECTIONS).map(group => {
+        const name = getCompanyName(group.symbol);
+        const entries = group.entries.map(({ item }) =>
+            `• ${slackLink(item.title, item.url)} — _${getItemTag(item)}_\n${escapeSlack(isFailedItem(item) ? item.error : item.summary)}`);
+        const text = fitSlackSection(`*${group.symbol}*${name ? ` ${escapeSlack(name)}` : ''}`, entries);
+        return { type: 'section', text: { type: 'mrkdwn', text } };
+    });
+    if (groups.length > MAX_SLACK_SECTIONS) {
+        sections.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${groups.length - MAX_SLACK_SECTIONS} more tickers` }] });
+    }
+
+    return {
+        text: `${getRunTitle(run)}: ${items.length} item(s)${run.briefing?.status === 'ok' ? `, ${run.briefing.tone}` : ''}`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: getRunTitle(run) } },
+            ...(briefing ? [{ type: 'section', text: { type: 'mrkdwn', text: `*Morning Briefing (${run.briefing.tone})*\n${escapeSlack(briefing)}` } }] : []),
+            { type: 'divider' },
+            ...sections,
+        ],
+    };
+};
+
+const buildTeamsPayload = (run, items, getCompanyName) => {
+    const briefing = getBriefingText(run.briefing);
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: getRunTitle(run),
+        themeColor: TONE_COLORS[run.briefing?.tone] || TONE_COLORS.NEUTRAL,
+        title: getRunTitle(run),
+        text: briefing ? `**Morning Briefing (${run.briefing.tone})**: ${briefing}` : `${items.length} item(s)`,
+        sections: groupDigestItems(items).map(group => ({
+            activityTitle: `**${group.symbol}**${getCompanyName(group.symbol) ? ` ${getCompanyName(group.symbol)}` : ''}`,
+            text: group.entries.map(({ item }) =>
+                `${item.url ? `[${item.title}](${item.url})` : item.title} — *${getItemTag(item)}*  \n${isFailedItem(item) ? item.error : item.summary}`).join('\n\n'),
+        })),
+    };
+};
+
+/**
+ * Message for a channel. Only the items passed in are included (already filtered for the channel).
+ * @param {string} type - Channel type.
+ * @param {object} run - Run document, with runId.
+ * @param {object[]} items - Items to deliver, with ids.
+ * @param {object} [options]
+ * @param {function} [options.getCompanyName] - (symbol) -> company name or null.
+ * @returns {object} { subject, html, text } for email, otherwise the JSON body to POST.
+ */
+export const buildDeliveryPayload = (type, run, items, { getCompanyName = () => null } = {}) => {
+    switch (type) {
+        case 'email':
+            return {
+                subject: `${getRunTitle(run)}${run.briefing?.status === 'ok' ? ` (${run.briefing.tone})` : ''} · ${items.length} item(s)`,
+                html: formatDigestHtml({ run, items }, { getCompanyName }),
+                text: formatDigestMarkdown({ run, items }, { getCompanyName }),
+            };
+        case 'slack':
+            return buildSlackPayload(run, items, getCompanyName);
+        case 'teams':
+            return buildTeamsPayload(run, items, getCompanyName);
+        case 'webhook':
+            return { event: 'digest.completed', run: toWebhookRun(run), items: items.map(toWebhookItem) };
+        default:
+            throw new Error(`Unknown channel type: ${type}`);
+    }
+};
@@ -0,0 +1,192 @@
+// --- DIGEST Q&A ---
+//
+// Answers questions about the portfolio from stored digest items only. The question is matched
+// against recent items (TF-IDF over symbol, company, title, summary and analysis details), the
+// best matches are numbered into the prompt, and the answer must cite those numbers. Citations
+// are returned as snapshots of the cited items so saved conversations still render after the
+// items themselves are gone:
+//
+//   { status: 'ok', statements: [{ text, citations: [itemId] }], sources: [{ itemId, runId, symbol, title, url }] }
+//   { status: 'failed', error }
+
+import { generateStructured } from './llmProviders';
+import { buildTfIdfVectors, cosineSimilarity, tokenize } from './storyClustering';
+import { getArticleKey } from './companyMentions';
+import { isFailedItem } from './digestHistory';
+import { escapeRegExp } from './newsSources';
+
+export const MAX_CONTEXT_ITEMS = 8;
+export const MAX_HISTORY_TURNS = 4; // Earlier messages sent along for follow-up questions
+
+const MIN_RELEVANCE = 0.05;
+const SYMBOL_BOOST = 0.5;
+
+const CHAT_SYSTEM_PROMPT = `You are a financial analyst answering questions about the user's portfolio news. You receive numbered news items and must answer using only those items. Output a strictly valid JSON object and nothing else:
+    {
+      "answer": [{ "text": "One or two sentences of the answer", "citations": [1, 3] }]
+    }
+
+    Rules: every statement cites the numbers of the items that support it. If the items do not answer the question, say so in a single statement citing the closest items. Be concise.
+    `;
+
+const CHAT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        answer: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: { text: { type: "STRING" }, citations: { type: "ARRAY", items: { type: "INTEGER" } } },
+                required: ["text", "citations"]
+            }
+        }
+    },
+    required: ["answer"]
+};
+
+const itemText = (item, companyName) => [
+    item.symbol, item.symbol, companyName, item.title, item.summary, item.whyItMatters,
+    ...(item.keyPoints || []), ...(item.catalysts || []), ...(item.risks || []),
+].filter(Boolean).join(' ');
+
+/**
+ * Picks the digest items most relevant to a question. Items mentioning a ticker or company
+ * named in the question are boosted; the same article stored in several runs counts once
+ * (the newest copy wins).
+ * @param {string} question
+ * @param {object[]} items - Stored digest items, newest first.
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {function} [options.getCompanyName] - symbol => company name or null.
+ * @returns {object[]} The most relevant items, best first.
+ */
+export const retrieveDigestItems = (question, items, { limit = MAX_CONTEXT_ITEMS, getCompanyName = () => null } = {}) => {
+    const seen = new Set();
+    const candidates = items.filter(item => {
+        if (isFailedItem(item) || !item.summary) return false;
+        const key = `${item.symbol}|${getArticleKey(item)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    if (candidates.length === 0) return [];
+
+    const questionTerms = new Set(tokenize(question));
+    const mentioned = (item) => {
+        const name = (getCompanyName(item.symbol) || '').toLowerCase();
+        return new RegExp(`(^|[^A-Za-z0-9])\\$?${escapeRegExp(item.symbol)}([^A-Za-z0-9]|$)`).test(question)
+            || (name && tokenize(name).some(term => questionTerms.has(term)));
+    };
+
+    // The question is vectorized together with the items so it shares their IDF weights
+    const documents = [
+        { title: question, content: '' },
+        ...candidates.map(item => ({ title: '', content: itemText(item, getCompanyName(item.symbol)) })),
+    ];
+    const [fullQuestionVector, ...itemVectors] = buildTfIdfVectors(documents);
+    // Question words no item contains ("what", "biggest") can't match anything; dropping them keeps scores comparable
+    const questionVector = new Map([...fullQuestionVector].filter(([term]) => itemVectors.some(vector => vector.has(term))));
+
+    return candidates
+        .map((item, index) => ({ item, score: cosineSimilarity(questionVector, itemVectors[index]) + (mentioned(item) ? SYMBOL_BOOST : 0) }))
+        .filter(({ score }) => score >= MIN_RELEVANCE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ item }) => item);
+};
+
+/**
+ * Builds the user prompt: recent conversation, the numbered items, then the question.
+ * @param {string} question
+ * @param {object[]} contextItems - Retrieved items (numbered in this order).
+ * @param {object[]} history - Earlier messages ({ role, text }), oldest first.
+ */
+export const buildChatPrompt = (question, contextItems, history = []) => {
+    const items = contextItems.map((item, index) => {
+        const details = [
+            item.whyItMatters && `Why it matters: ${item.whyItMatters}`,
+            item.risks?.length && `Risks: ${item.risks.join('; ')}`,
+            item.catalysts?.length && `Catalysts: ${item.catalysts.join('; ')}`,
+        ].filter(Boolean).join(' ');
+        const date = (item.publishedAt || item.createdAt || '').slice(0, 10);
+        return `[${index + 1}] ${item.symbol} ${date} ${item.sentiment}/${item.impact} impact. ${item.title}: ${item.summary} ${details}`.trim();
+    });
+    const conversation = history.slice(-MAX_HISTORY_TURNS).map(message => `${message.role === 'user' ? 'User' : 'Analyst'}: ${message.text}`);
+
+    return [
+        conversation.length > 0 && `Conversation so far:\n${conversation.join('\n')}`,
+        `News items:\n${items.join('\n')}`,
+        `Question: ${question}`,
+    ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * Validates a chat answer.
+ * @param {object} raw - Parsed model output.
+ * @param {number} itemCount - Items in the prompt.
+ * @returns {{ valid: boolean, errors: string[], value: object[] }} Statements with item-number citations.
+ */
+export const validateChatAnswer = (raw, itemCount) => {
+    const errors = [];
+    if (!Array.isArray(raw?.answer) || raw.answer.length === 0) {
+        return { valid: false, errors: ['"answer" must be a non-empty array of { text, citations }.'], value: null };
+    }
+
+    const statements = raw.answer.map((statement, index) => {
+        const text = typeof statement?.text === 'string' ? statement.text.replace(/\s+/g, ' ').trim() : '';
+        if (!text) errors.push(`"answer[${index}].text" is required.`);
+        const citations = Array.isArray(statement?.citations) ? [...new Set(statement.citations.map(Number))] : [];
+        if (citations.length === 0) errors.push(`"answer[${index}]" must cite at least one item number.`);
+        const invalid = citations.filter(n => !Number.isInteger(n) || n < 1 || n > itemCount);
+        if (invalid.length > 0) errors.push(`"answer[${index}]" cites unknown item(s) ${invalid.join(', ')}; valid numbers are 1-${itemCount}.`);
+        return { text, citations };
+    });
+    return { valid: errors.length === 0, errors, value: statements };
+};
+
+// Offline answer for the rule-based provider: the best matches, risks first when asked about risk.
+const buildRuleBasedAnswer = (question, contextItems) => {
+    const asksAboutRisk = /\b(risk|risks|risky|threat|downside|worr)/i.test(question);
+    return contextItems.slice(0, 3).map((item, index) => {
+        const detail = asksAboutRisk && item.risks?.length ? `Risk: ${item.risks[0]}` : item.summary;
+        return { text: `${item.symbol} (${item.sentiment}, ${item.impact} impact): ${detail}`, citations: [index + 1] };
+    });
+};
+
+/**
+ * Answers a question from stored digest items.
+ * @param {string} question
+ * @param {object[]} items - Stored digest items (with ids), newest first.
+ * @param {object} llmConfig - The user's provider settings.
+ * @param {object} [options]
+ * @param {object[]} [options.history] - Earlier messages ({ role, text }), oldest first.
+ * @param {function} [options.getCompanyName] - symbol => company name or null.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} The answer (see the header comment).
+ */
+export const answerQuestion = async (question, items, llmConfig, { history = [], getCompanyName, signal } = {}) => {
+    const contextItems = retrieveDigestItems(question, items, { getCompanyName });
+    if (contextItems.length === 0) {
+        return { status: 'failed', error: 'No digest items match this question. Generate a digest or rephrase the question.' };
+    }
+
+    const result = await generateStructured(
+        { system: CHAT_SYSTEM_PROMPT, user: buildChatPrompt(question, contextItems, history), schema: CHAT_SCHEMA },
+        (parsed) => validateChatAnswer(parsed, contextItems.length),
+        llmConfig,
+        { signal, offline: () => buildRuleBasedAnswer(question, contextItems) }
+    );
+    if (result.status !== 'ok') {
+        return { status: 'failed', error: result.error };
+    }
+
+    const cited = [...new Set(result.value.flatMap(statement => statement.citations))].sort((a, b) => a - b);
+    return {
+        status: 'ok',
+        statements: result.value.map(statement => ({ text: statement.text, citations: statement.citations.map(n => contextItems[n - 1].id) })),
+        sources: cited.map(n => {
+            const { id, runId, symbol, title, url } = contextItems[n - 1];
+            return { itemId: id, runId, symbol, title, url: url || '' };
+        }),
+    };
+};
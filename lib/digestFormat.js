@@ -0,0 +1,333 @@
+// --- DIGEST OUTPUT FORMATS ---
+//
+// Renders a digest run for the command line (cli/digest.js) and for the app's export (Markdown,
+// HTML email, and the same HTML printed to PDF). A digest is the run document and its items:
+//
+//   { run: { runId, version, createdAt, tickers, scopeName, status, briefing, ... }, items: [digest item] }
+//
+// Items are ordered by ticker, then by impact, and numbered [1]..[n] in that order; briefing
+// citations (stored as item ids) are printed as those numbers. The Markdown and HTML reports
+// group the items under one heading per ticker.
+
+import { IMPACTS } from './analysisValidation';
+import { isFailedItem } from './digestHistory';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'markdown', 'html'];
+
+const MAX_TABLE_TITLE_LENGTH = 70;
+
+/**
+ * Items in output order: by ticker, highest impact first, then by title.
+ * @param {object[]} items - Digest items.
+ */
+export const orderDigestItems = (items) => [...items].sort((a, b) =>
+    a.symbol.localeCompare(b.symbol)
+    || IMPACTS.indexOf(b.impact) - IMPACTS.indexOf(a.impact)
+    || (a.title || '').localeCompare(b.title || ''));
+
+const formatCitations = (citations, numbers) => citations
+    .map(id => numbers[id])
+    .filter(Boolean)
+    .map(number => `[${number}]`)
+    .join('');
+
+const withCitations = (text, citations, numbers) => {
+    const cited = formatCitations(citations || [], numbers);
+    return cited ? `${text} ${cited}` : text;
+};
+
+/**
+ * Numbered items grouped by ticker, in output order.
+ * @param {object[]} items - Digest items.
+ * @returns {{ symbol: string, entries: { item: object, number: number }[] }[]}
+ */
+export const groupDigestItems = (items) => {
+    const groups = [];
+    orderDigestItems(items).forEach((item, index) => {
+        if (groups.length === 0 || groups[groups.length - 1].symbol !== item.symbol) groups.push({ symbol: item.symbol, entries: [] });
+        groups[groups.length - 1].entries.push({ item, number: index + 1 });
+    });
+    return groups;
+};
+
+// Every outlet that reported the item's story (older items only have their own source)
+const getItemSources = (item) => (item.sources?.length > 0 ? item.sources : [{ source: item.source, url: item.url }]);
+
+const getRunDetails = (run) => [
+    run.createdAt && `Generated ${new Date(run.createdAt).toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+    run.scopeName && `Scope: ${run.scopeName}`,
+    run.tickers && `Tickers: ${run.tickers.join(', ')}`,
+    run.status !== 'complete' && `Status: ${run.status}`,
+].filter(Boolean);
+
+const getReportTitle = (run) => `FinGen Digest${run.version ? ` — Run #${run.version}` : ''}`;
+
+const formatConfidence = (confidence) => (typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '');
+
+// --- MARKDOWN ---
+
+const formatBriefingMarkdown = (briefing, numbers) => {
+    if (!briefing) return [];
+    if (briefing.status !== 'ok') return ['## Morning Briefing', '', `_Briefing failed: ${briefing.error}_`, ''];
+
+    const lines = [`## Morning Briefing — ${briefing.tone}`, ''];
+    lines.push(briefing.overview.map(statement => withCitations(statement.text, statement.citations, numbers)).join(' '), '');
+    if (briefing.watchList.length > 0) {
+        lines.push('### Top things to watch', '');
+        briefing.watchList.forEach((statement, index) => lines.push(`${index + 1}. ${withCitations(statement.text, statement.citations, numbers)}`));
+        lines.push('');
+    }
+    if (briefing.conflicts.length > 0) {
+        lines.push('### Conflicting signals', '');
+        briefing.conflicts.forEach(conflict => lines.push(`- **${conflict.symbol}**: ${withCitations(conflict.text, conflict.citations, numbers)}`));
+        lines.push('');
+    }
+    return lines;
+};
+
+const formatItemMarkdown = (item, number) => {
+    const title = item.url ? `[${item.title}](${item.url})` : item.title;
+    const lines = [`### [${number}] ${title}`, ''];
+    const published = item.publishedAt ? item.publishedAt.slice(0, 10) : null;
+    const sources = getItemSources(item).map(source => (source.url ? `[${source.source}](${source.url})` : source.source));
+
+    if (isFailedItem(item)) {
+        lines.push('**Analysis Failed**', '', `Source: ${sources.join(', ')}`, '', `_No AI summary: ${item.error}_`, '');
+        return lines;
+    }
+
+    const confidence = formatConfidence(item.confidence);
+    lines.push([`**${item.sentiment} / ${item.impact} Impact**`, confidence && `confidence ${confidence}`, published].filter(Boolean).join(' · '), '');
+    lines.push(`${sources.length > 1 ? `Sources (${sources.length})` : 'Source'}: ${sources.join(', ')}`, '');
+    lines.push(`**AI Summary:** ${item.summary}`, '');
+    if (item.whyItMatters) lines.push(`> Why it matters: ${item.whyItMatters}`, '');
+    // Items stored before the detail fields existed have none of the lists
+    const keyPoints = item.keyPoints || [];
+    const catalysts = item.catalysts || [];
+    const risks = item.risks || [];
+    if (keyPoints.length > 0) lines.push(...keyPoints.map(point => `- ${point}`), '');
+    if (catalysts.length > 0) lines.push('Catalysts:', '', ...catalysts.map(catalyst => `- ${catalyst}`), '');
+    if (risks.length > 0) lines.push('Risks:', '', ...risks.map(risk => `- ${risk}`), '');
+    return lines;
+};
+
+/**
+ * Markdown report: header, briefing with numbered citations, then the items under one
+ * heading per ticker.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @param {object} [options]
+ * @param {function} [options.getCompanyName] - (symbol) -> company name or null, shown next to each ticker.
+ * @returns {string}
+ */
+export const formatDigestMarkdown = ({ run, items }, { getCompanyName = () => null } = {}) => {
+    const groups = groupDigestItems(items);
+    const numbers = Object.fromEntries(groups.flatMap(group => group.entries.map(({ item, number }) => [item.id, number])));
+
+    return [
+        `# ${getReportTitle(run)}`,
+        '',
+        `_${getRunDetails(run).join(' · ')}_`,
+        '',
+        ...formatBriefingMarkdown(run.briefing, numbers),
+        ...(groups.length > 0 ? groups.flatMap(group => [
+            `## ${group.symbol}${getCompanyName(group.symbol) ? ` — ${getCompanyName(group.symbol)}` : ''}`,
+            '',
+            ...group.entries.flatMap(({ item, number }) => formatItemMarkdown(item, number)),
+        ]) : ['_No items._', '']),
+    ].join('\n');
+};
+
+// --- HTML EMAIL ---
+//
+// A complete HTML document that survives being pasted into an email: table layout, inline
+// styles only, no scripts, images or external resources. Printing it gives the PDF export.
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Only web links are kept; anything else (javascript:, data:) is dropped
+const safeUrl = (url) => (/^https?:\/\//i.test(url || '') ? escapeHtml(url) : null);
+
+const link = (text, url, style = 'color:#4f46e5;text-decoration:none;') => {
+    const href = safeUrl(url);
+    return href ? `<a href="${href}" style="${style}">${escapeHtml(text)}</a>` : escapeHtml(text);
+};
+
+// Same colors as the app's tags (Tailwind emerald, rose, gray and amber)
+const TAG_STYLES = {
+    POSITIVE: 'background:#d1fae5;color:#065f46;border:1px solid #34d399;',
+    NEGATIVE: 'background:#ffe4e6;color:#9f1239;border:1px solid #fb7185;',
+    NEUTRAL: 'background:#f3f4f6;color:#1f2937;border:1px solid #9ca3af;',
+    MIXED: 'background:#fef3c7;color:#92400e;border:1px solid #fbbf24;',
+    FAILED: 'background:#fffbeb;color:#92400e;border:1px solid #fbbf24;',
+};
+
+const tag = (text, tone) =>
+    `<span style="display:inline-block;${TAG_STYLES[tone] || TAG_STYLES.NEUTRAL}border-radius:9999px;padding:2px 10px;font-size:12px;font-weight:600;white-space:nowrap;">${escapeHtml(text)}</span>`;
+
+const htmlCitations = (citations, numbers) => (citations || [])
+    .map(id => numbers[id])
+    .filter(Boolean)
+    .map(number => `<a href="#item-${number}" style="color:#4f46e5;text-decoration:none;font-size:11px;vertical-align:super;">[${number}]</a>`)
+    .join('');
+
+const htmlList = (entries, ordered = false) => {
+    const listTag = ordered ? 'ol' : 'ul';
+    return `<${listTag} style="margin:4px 0 8px;padding-left:20px;">${entries.map(entry => `<li style="margin:2px 0;">${entry}</li>`).join('')}</${listTag}>`;
+};
+
+const formatBriefingHtml = (briefing, numbers) => {
+    if (!briefing) return '';
+    const box = (content) => `<tr><td style="padding:16px 24px;"><div style="border:1px solid #c7d2fe;background:#f5f7ff;border-radius:12px;padding:16px 20px;">${content}</div></td></tr>`;
+    if (briefing.status !== 'ok') {
+        return box(`<h2 style="margin:0 0 8px;font-size:18px;color:#1f2937;">Morning Briefing</h2><p style="margin:0;color:#92400e;">Briefing failed: ${escapeHtml(briefing.error)}</p>`);
+    }
+
+    const statement = (entry) => `${escapeHtml(entry.text)}${htmlCitations(entry.citations, numbers)}`;
+    return box([
+        `<h2 style="margin:0 0 8px;font-size:18px;color:#1f2937;">Morning Briefing ${tag(briefing.tone, briefing.tone)}</h2>`,
+        `<p style="margin:0 0 8px;">${briefing.overview.map(statement).join(' ')}</p>`,
+        briefing.watchList.length > 0 && `<h3 style="margin:8px 0 0;font-size:14px;color:#374151;">Top things to watch</h3>${htmlList(briefing.watchList.map(statement), true)}`,
+        briefing.conflicts.length > 0 && `<h3 style="margin:8px 0 0;font-size:14px;color:#374151;">Conflicting signals</h3>${htmlList(briefing.conflicts.map(conflict => `<strong>${escapeHtml(conflict.symbol)}:</strong> ${statement(conflict)}`))}`,
+    ].filter(Boolean).join(''));
+};
+
+const formatItemHtml = (item, number) => {
+    const sources = getItemSources(item).map(source => link(source.source, source.url, 'color:#6b7280;'));
+    const published = item.publishedAt ? item.publishedAt.slice(0, 10) : null;
+    const meta = [
+        `${sources.length > 1 ? `Sources (${sources.length})` : 'Source'}: ${sources.join(', ')}`,
+        published,
+        !isFailedItem(item) && formatConfidence(item.confidence) && `confidence ${formatConfidence(item.confidence)}`,
+    ].filter(Boolean).join(' · ');
+    const keyPoints = item.keyPoints || [];
+    const catalysts = item.catalysts || [];
+    const risks = item.risks || [];
+
+    const body = isFailedItem(item)
+        ? `<p style="margin:8px 0 0;padding:6px 12px;border-left:4px solid #fbbf24;background:#fffbeb;"><strong style="color:#92400e;">No AI Summary:</strong> ${escapeHtml(item.error || 'The AI response could not be validated.')}</p>`
+        : [
+            `<p style="margin:8px 0 0;padding:6px 12px;border-left:4px solid #818cf8;background:#eef2ff;"><strong style="color:#4338ca;">AI Summary:</strong> ${escapeHtml(item.summary)}</p>`,
+            item.whyItMatters && `<p style="margin:8px 0 0;"><strong>Why it matters:</strong> ${escapeHtml(item.whyItMatters)}</p>`,
+            keyPoints.length > 0 && htmlList(keyPoints.map(escapeHtml)),
+            catalysts.length > 0 && `<p style="margin:4px 0 0;"><strong style="color:#065f46;">Catalysts:</strong> ${catalysts.map(escapeHtml).join(' · ')}</p>`,
+            risks.length > 0 && `<p style="margin:4px 0 0;"><strong style="color:#9f1239;">Risks:</strong> ${risks.map(escapeHtml).join(' · ')}</p>`,
+        ].filter(Boolean).join('');
+
+    return `<tr><td id="item-${number}" style="padding:12px 24px;border-top:1px solid #f3f4f6;">`
+        + `<div style="margin-bottom:4px;">${isFailedItem(item) ? tag('Analysis Failed', 'FAILED') : tag(`${item.sentiment} / ${item.impact} Impact`, item.sentiment)}</div>`
+        + `<div style="font-size:16px;font-weight:600;">${escapeHtml(`[${number}] `)}${link(item.title, item.url)}</div>`
+        + `<div style="font-size:12px;color:#6b7280;font-style:italic;margin-top:2px;">${meta}</div>`
+        + body
+        + '</td></tr>';
+};
+
+/**
+ * Self-contained HTML email: header, briefing, then the items under one heading per ticker.
+ * Every style is inline so mail clients keep the layout.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @param {object} [options]
+ * @param {function} [options.getCompanyName] - (symbol) -> company name or null, shown next to each ticker.
+ * @returns {string} A complete HTML document.
+ */
+export const formatDigestHtml = ({ run, items }, { getCompanyName = () => null } = {}) => {
+    const groups = groupDigestItems(items);
+    const numbers = Object.fromEntries(groups.flatMap(group => group.entries.map(({ item, number }) => [item.id, number])));
+    const title = getReportTitle(run);
+
+    const sections = groups.length > 0
+        ? groups.map(group => [
+            `<tr><td style="padding:20px 24px 4px;"><h2 style="margin:0;font-size:20px;color:#111827;">${escapeHtml(group.symbol)}`,
+            getCompanyName(group.symbol) ? ` <span style="font-size:14px;font-weight:normal;color:#6b7280;">${escapeHtml(getCompanyName(group.symbol))}</span>` : '',
+            '</h2></td></tr>',
+            ...group.entries.map(({ item, number }) => formatItemHtml(item, number)),
+        ].join('')).join('')
+        : '<tr><td style="padding:16px 24px;color:#6b7280;font-style:italic;">No items.</td></tr>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f9fafb;-webkit-print-color-adjust:exact;print-color-adjust:exact;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f9fafb;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="640" cellpadding="0" cellspacing="0" style="max-width:640px;width:100%;background:#ffffff;border-radius:12px;font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.5;color:#1f2937;">
+<tr><td style="padding:24px 24px 8px;border-bottom:3px solid #4f46e5;">
+<h1 style="margin:0;font-size:24px;color:#111827;">${escapeHtml(title)}</h1>
+<p style="margin:4px 0 0;font-size:12px;color:#6b7280;">${escapeHtml(getRunDetails(run).join(' · '))}</p>
+</td></tr>
+${formatBriefingHtml(run.briefing, numbers)}
+${sections}
+<tr><td style="padding:16px 24px;font-size:11px;color:#9ca3af;border-top:1px solid #f3f4f6;">Generated by FinGen. AI summaries can be wrong; read the linked articles before acting on them.</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+};
+
+// --- TABLE ---
+
+/**
+ * Plain-text table with one row per item, for terminals.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @returns {string}
+ */
+export const formatDigestTable = ({ items }) => {
+    const header = ['#', 'SYMBOL', 'SENTIMENT', 'IMPACT', 'CONF', 'TITLE'];
+    const rows = orderDigestItems(items).map((item, index) => {
+        const title = item.title.length > MAX_TABLE_TITLE_LENGTH ? `${item.title.slice(0, MAX_TABLE_TITLE_LENGTH - 1)}…` : item.title;
+        return isFailedItem(item)
+            ? [String(index + 1), item.symbol, 'FAILED', '', '', title]
+            : [String(index + 1), item.symbol, item.sentiment, item.impact, formatConfidence(item.confidence), title];
+    });
+    const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map(row => row[column].length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  '))
+        .join('\n') + '\n';
+};
+
+// --- JSON ---
+
+/**
+ * The run and its items as one pretty-printed JSON document.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @returns {string}
+ */
+export const formatDigestJson = ({ run, items }) => JSON.stringify({ run, items: orderDigestItems(items) }, null, 2) + '\n';
+
+/**
+ * One JSON item per line (each carries its runId), for streaming into other tools.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @returns {string}
+ */
+export const formatDigestNdjson = ({ items }) => orderDigestItems(items).map(item => JSON.stringify(item) + '\n').join('');
+
+const FORMATTERS = {
+    table: formatDigestTable,
+    json: formatDigestJson,
+    ndjson: formatDigestNdjson,
+    markdown: formatDigestMarkdown,
+    html: formatDigestHtml,
+};
+
+/**
+ * Renders a digest in one of OUTPUT_FORMATS.
+ * @param {object} digest - { run, items } (see the header comment).
+ * @param {string} format
+ * @param {object} [options] - Passed to the Markdown and HTML formatters.
+ * @returns {string}
+ */
+export const formatDigest = (digest, format, options) => {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new Error(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    return formatter(digest, options);
+};
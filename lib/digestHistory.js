@@ -0,0 +1,112 @@
+// --- DIGEST RUN HISTORY ---
+//
+// Every "Generate News Digest" run is stored as a digest_runs document
+// ({ runId, version, createdAt, tickers, itemCount, status }) and its items are written to
+// news_digests tagged with that runId. These helpers number, label and compare runs.
+
+// Run versions are reserved by incrementing this per-user counter document in a transaction, so
+// runs started at the same time (two tabs, or the app and the worker) never share a version.
+// Users whose runs predate the counter continue from their newest run.
+export const RUN_COUNTER_PATH = 'counters/digest_runs';
+
+// A running run refreshes heartbeatAt this often; one whose tab closed or whose process crashed
+// stops doing so and is marked failed once the heartbeat is STALE_RUN_MS old.
+export const RUN_HEARTBEAT_MS = 60 * 1000;
+export const STALE_RUN_MS = 15 * 60 * 1000;
+
+// Items stored before digest runs existed have no runId; they are moved into this run.
+export const LEGACY_RUN_ID = 'legacy';
+
+/**
+ * True for a run that is still marked running but has stopped refreshing its heartbeat.
+ * @param {object} run - A digest run.
+ * @param {number} now - Current epoch milliseconds.
+ */
+export const isStaleRun = (run, now) =>
+    run.status === 'running' && now - Date.parse(run.heartbeatAt || run.createdAt) > STALE_RUN_MS;
+
+/**
+ * Fields that mark a stale run as failed.
+ * @param {number} now - Current epoch milliseconds.
+ */
+export const getStaleRunFields = (now) => ({
+    status: 'failed',
+    error: 'The run stopped before it finished (its tab was closed or the worker stopped).',
+    completedAt: new Date(now).toISOString(),
+});
+
+/**
+ * Run document that gathers the items stored before digest runs existed.
+ * @param {object[]} items - The items without a runId.
+ * @returns {object} Data of the LEGACY_RUN_ID run.
+ */
+export const buildLegacyRun = (items) => {
+    const dates = items.map(item => item.createdAt).filter(Boolean).sort();
+    const createdAt = dates[0] || new Date().toISOString();
+    return {
+        runId: LEGACY_RUN_ID,
+        legacy: true,
+        version: 0,
+        createdAt,
+        completedAt: dates[dates.length - 1] || createdAt,
+        tickers: [...new Set(items.map(item => item.symbol))].sort(),
+        scope: null,
+        scopeName: null,
+        trigger: 'manual',
+        itemCount: items.length,
+        failedCount: items.filter(isFailedItem).length,
+        status: 'complete',
+    };
+};
+
+/**
+ * Short name of a run, e.g. "Run #3".
+ * @param {object} run - A digest run.
+ */
+export const getRunName = (run) => run.legacy ? 'Earlier digests' : `Run #${run.version}`;
+
+/**
+ * True for items whose AI analysis failed validation (they carry an error instead of a sentiment).
+ * Items stored before analysis status existed have no status and count as successful.
+ * @param {object} item - A digest item.
+ */
+export const isFailedItem = (item) => item.status === 'failed';
+
+/**
+ * Key used to recognise the same article across runs.
+ * @param {object} item - A digest item.
+ * @returns {string} The item key.
+ */
+export const getDigestItemKey = (item) => `${item.symbol}|${item.url || item.title}`;
+
+/**
+ * Compares a digest run's items against the previous run.
+ * @param {object[]} currentItems - Items of the run being viewed.
+ * @param {object[]|null} previousItems - Items of the run before it, or null if there is none.
+ * @returns {{ changes: Object<string, object>, removed: object[] }} Per-item change info keyed by
+ *     item id ({ status: 'new' | 'changed' | 'unchanged', previousSentiment }) and the previous run's
+ *     items that no longer appear.
+ */
+export const diffDigestRuns = (currentItems, previousItems) => {
+    if (!previousItems) {
+        return { changes: {}, removed: [] };
+    }
+
+    const previousByKey = new Map(previousItems.map(item => [getDigestItemKey(item), item]));
+    const currentKeys = new Set(currentItems.map(getDigestItemKey));
+
+    const changes = {};
+    currentItems.forEach(item => {
+        const previous = previousByKey.get(getDigestItemKey(item));
+        if (!previous) {
+            changes[item.id] = { status: 'new' };
+        } else if (!isFailedItem(item) && !isFailedItem(previous) && previous.sentiment !== item.sentiment) {
+            changes[item.id] = { status: 'changed', previousSentiment: previous.sentiment };
+        } else {
+            changes[item.id] = { status: 'unchanged' };
+        }
+    });
+
+    const removed = previousItems.filter(item => !currentKeys.has(getDigestItemKey(item)));
+    return { changes, removed };
+};
@@ -0,0 +1,246 @@
+// --- DIGEST PIPELINE ---
+//
+// One digest run, from fetching news to queueing its delivery. It knows nothing about React or about
+// which Firestore SDK is in use, so the same code runs behind the Generate button and in the
+// scheduled worker (worker/digestWorker.js). Storage goes through a digest store bound to one
+// user's data, which each caller implements on its own SDK:
+//
+//   loadScope(scope)          -> [{ list, tickers }]   (scope: a list id or ALL_LISTS)
+//   allocateRunVersion()      -> the user's next run version, reserved so concurrent runs never share one
+//   createRun(data)           -> id of the new digest_runs document (also stored in it as runId)
+//   updateRun(runId, fields)  -> merges fields into the run document
+//   writeItems(items)         -> the items with the ids of their new news_digests documents
+//   loadAlertRules()          -> the user's alert rules, with ids
+//   addAlerts(alerts)         -> stores the alerts whose ids do not exist yet (see lib/alertRules.js)
+//   loadDeliveryChannels()    -> the user's delivery channels, with ids
+//   queueDeliveries(entries)  -> stores delivery log entries by id (see lib/deliveryChannels.js)
+
+import { fetchNewsArticles } from './newsSources';
+import { LLM_PROVIDERS, summarizeNews } from './llmProviders';
+import { JOB_STATUS, isAbortError, runJobs } from './jobRunner';
+import { ALL_LISTS, indexListsByTicker } from './portfolioLists';
+import { mapArticleToTickers, mergeDuplicateArticles } from './companyMentions';
+import { clusterArticles } from './storyClustering';
+import { RUN_HEARTBEAT_MS, isFailedItem } from './digestHistory';
+import { generateBriefing } from './briefing';
+import { evaluateAlertRules } from './alertRules';
+import { planDeliveries } from './deliveryChannels';
+
+export const RUN_TRIGGERS = ['manual', 'schedule', 'cli'];
+
+/**
+ * Detail fields of an analysis as stored on a digest item (null/empty for a failed analysis).
+ * @param {object} aiResult - summarizeNews result.
+ */
+export const getAnalysisDetails = (aiResult) => ({
+    keyPoints: aiResult.keyPoints || [],
+    catalysts: aiResult.catalysts || [],
+    risks: aiResult.risks || [],
+    timeHorizon: aiResult.timeHorizon || null,
+    confidence: aiResult.confidence ?? null,
+    whyItMatters: aiResult.whyItMatters || null,
+});
+
+/**
+ * Generates the portfolio briefing for a run's items and stores it on the run document.
+ * @param {object} store - Digest store.
+ * @param {string} runId
+ * @param {object[]} items - The run's items, with ids (failed analyses are skipped).
+ * @param {object} llmConfig - Provider settings including the API key.
+ * @param {AbortSignal} [signal]
+ */
+export const writeRunBriefing = async (store, runId, items, llmConfig, signal) => {
+    const briefing = await generateBriefing(items, llmConfig, { signal });
+    await store.updateRun(runId, { briefing });
+};
+
+/**
+ * Runs one digest for a user.
+ * @param {object} options
+ * @param {object} options.store - Digest store (see the header comment).
+ * @param {string} options.scope - List id, or ALL_LISTS.
+ * @param {string} options.scopeName - Shown in the run history.
+ * @param {object} options.settings - { newsSource, llmConfig (with API key), concurrency, clustering }.
+ * @param {object} [options.summaryCache] - Cache from createSummaryCache.
+ * @param {object[]} [options.directory] - Symbol master entries for company detection.
+ * @param {string} [options.trigger] - One of RUN_TRIGGERS; stored on the run.
+ * @param {AbortSignal} [options.signal] - Cancels the run; finished items are kept.
+ * @param {function} [options.onRunCreated] - (runId) once the run document exists.
+ * @param {function} [options.onJobsQueued] - (jobs) with one { key, symbol, title, status } per story.
+ * @param {function} [options.onJobUpdate] - (index, { status, error }) as each story progresses.
+ * @param {function} [options.onBriefing] - (runId | null) when the briefing starts and ends.
+ * @param {function} [options.onWarning] - (message, error) for tickers whose news could not be fetched, or a failed briefing,
+ *     alert or delivery step; the run still completes.
+ * @returns {Promise<object>} { status: 'complete' | 'cancelled' | 'failed', error, runId, items }.
+ *     A 'failed' run never got started (nothing to fetch, or the news source failed).
+ */
+export const runDigestPipeline = async ({
+    store,
+    scope,
+    scopeName,
+    settings,
+    summaryCache = null,
+    directory = [],
+    trigger = 'manual',
+    signal,
+    onRunCreated = () => {},
+    onJobsQueued = () => {},
+    onJobUpdate = () => {},
+    onBriefing = () => {},
+    onWarning = () => {},
+}) => {
+    const { newsSource, llmConfig, concurrency, clustering } = settings;
+    const failed = (error) => ({ status: 'failed', error, runId: null, items: [] });
+
+    // 0. Resolve the lists in scope and which lists hold each ticker
+    let listsByTicker;
+    try {
+        listsByTicker = indexListsByTicker(await store.loadScope(scope));
+    } catch (e) {
+        return failed(`Could not load the tickers of your lists: ${e.message}`);
+    }
+    const runTickers = Object.keys(listsByTicker).sort();
+    if (runTickers.length === 0) {
+        return failed(scope === ALL_LISTS ? "All of your lists are empty. Add a ticker first." : "Portfolio is empty. Add a ticker first.");
+    }
+
+    // 1. Fetch articles for tracked tickers from the configured news source
+    let articlesToProcess;
+    try {
+        articlesToProcess = await fetchNewsArticles(runTickers, newsSource, { signal, onWarning });
+    } catch (e) {
+        if (isAbortError(e, signal)) return { status: 'cancelled', error: null, runId: null, items: [] };
+        return failed(`Could not fetch news: ${e.message}`);
+    }
+
+    if (articlesToProcess.length === 0) {
+        return failed(newsSource.type === 'mock'
+            ? "No mock news found for your current portfolio. Try adding GOOG, AAPL, or MSFT."
+            : "The configured news source returned no articles for your current portfolio.");
+    }
+
+    // 2. Start a new digest run (previous runs are kept as history)
+    let runId;
+    try {
+        runId = await store.createRun({
+            version: await store.allocateRunVersion(),
+            createdAt: new Date().toISOString(),
+            heartbeatAt: new Date().toISOString(),
+            tickers: runTickers,
+            scope,
+            scopeName,
+            trigger,
+            itemCount: 0,
+            status: 'running',
+        });
+    } catch (e) {
+        return failed(`Failed to start a new digest run: ${e.message}`);
+    }
+    onRunCreated(runId);
+
+    // Keeps the run from being taken for one whose tab closed or whose process crashed
+    const heartbeat = setInterval(() => {
+        store.updateRun(runId, { heartbeatAt: new Date().toISOString() }).catch(e => console.warn("Could not refresh the run heartbeat:", e.message));
+    }, RUN_HEARTBEAT_MS);
+
+    // 3. Process articles with bounded concurrency using the configured AI provider.
+    // Each story (the same article fetched for several tickers, or reported by several outlets)
+    // is analyzed once and mapped to every holding it affects.
+    const uniqueArticles = clusterArticles(mergeDuplicateArticles(articlesToProcess), clustering);
+    onJobsQueued(uniqueArticles.map((article, index) => ({
+        key: `${index}-${article.symbol}`,
+        symbol: article.symbols.join(', '),
+        title: article.title,
+        status: JOB_STATUS.QUEUED,
+    })));
+
+    const processArticle = async (article) => {
+        // Call the AI summarization
+        const aiResult = await summarizeNews(article.content, llmConfig, { cache: summaryCache, signal, directory });
+
+        // Combine original article data with AI-generated data, one item per affected ticker
+        const createdAt = new Date().toISOString();
+        const processedItems = mapArticleToTickers(article, aiResult, runTickers).map(({ symbol, sentiment, impact }) => ({
+            runId,
+            symbol,
+            // Lists the ticker belongs to (names are copied so history survives renames and deletes)
+            listIds: listsByTicker[symbol].map(list => list.id),
+            listNames: listsByTicker[symbol].map(list => list.name),
+            title: article.title,
+            url: article.url,
+            source: article.source,
+            sources: article.sources, // Every outlet that reported the story
+            content: article.content, // Kept so the card can be re-analyzed later
+            publishedAt: article.publishedAt,
+            createdAt,
+            // A failed analysis is stored with its reason rather than a made-up sentiment
+            status: aiResult.status,
+            error: aiResult.error || null,
+            summary: aiResult.summary || null,
+            sentiment,
+            impact,
+            companies: aiResult.companies || [], // Per-company breakdown of the whole article
+            ...getAnalysisDetails(aiResult),
+            provider: llmConfig.provider,
+            model: llmConfig.model || LLM_PROVIDERS[llmConfig.provider]?.defaultModel || '',
+            fromCache: Boolean(aiResult.fromCache),
+        }));
+
+        // Store the results (skipped if the run was cancelled meanwhile)
+        if (signal?.aborted) {
+            throw new DOMException('Digest generation cancelled.', 'AbortError');
+        }
+        return store.writeItems(processedItems);
+    };
+
+    let outcomes;
+    try {
+        outcomes = await runJobs(uniqueArticles, processArticle, { concurrency, signal, onUpdate: onJobUpdate });
+    } finally {
+        clearInterval(heartbeat);
+    }
+
+    // 4. Mark the run as complete (or cancelled)
+    const storedItems = outcomes.filter(outcome => outcome.status === JOB_STATUS.DONE).flatMap(outcome => outcome.result);
+    const status = signal?.aborted ? 'cancelled' : 'complete';
+    try {
+        await store.updateRun(runId, {
+            itemCount: storedItems.length,
+            failedCount: storedItems.filter(isFailedItem).length,
+            status,
+            completedAt: new Date().toISOString(),
+        });
+    } catch (e) {
+        onWarning("Could not finalize the digest run.", e);
+    }
+
+    if (status === 'complete' && storedItems.length > 0) {
+        // 5. Synthesize the portfolio briefing from the stored items
+        onBriefing(runId);
+        try {
+            await writeRunBriefing(store, runId, storedItems, llmConfig, signal);
+        } catch (e) {
+            if (!isAbortError(e, signal)) onWarning("Failed to generate the portfolio briefing.", e);
+        } finally {
+            onBriefing(null);
+        }
+
+        // 6. Raise alerts for items matching the user's rules
+        try {
+            const triggered = evaluateAlertRules(await store.loadAlertRules(), storedItems);
+            if (triggered.length > 0) await store.addAlerts(triggered);
+        } catch (e) {
+            onWarning("Failed to record triggered alerts.", e);
+        }
+
+        // 7. Queue the run on the user's delivery channels (the worker sends it)
+        try {
+            const deliveries = planDeliveries(await store.loadDeliveryChannels(), runId);
+            if (deliveries.length > 0) await store.queueDeliveries(deliveries);
+        } catch (e) {
+            onWarning("Failed to queue the digest for delivery.", e);
+        }
+    }
+
+    return { status, error: null, runId, items: storedItems };
+};
@@ -0,0 +1,193 @@
+// --- DIGEST SCHEDULE ---
+//
+// When the worker (worker/digestWorker.js) generates a user's digest. The schedule is stored
+// with the other settings in `settings/preferences`:
+//
+//   schedule: { enabled, preset, cron, timezone, scope, lastRunAt, lastStatus, lastError }
+//
+// `cron` is a standard five-field expression (minute hour day-of-month month day-of-week) read
+// in `timezone`, so "0 8 * * 1-5" in America/New_York stays at 8:00 across daylight saving
+// changes. Presets fill in cron and timezone for the usual market-hours runs. The last* fields
+// are written by the worker after each scheduled run.
+
+import { DEFAULT_LIST_ID } from './portfolioLists';
+
+export const SCHEDULE_PRESETS = {
+    'pre-market': { id: 'pre-market', label: 'Pre-market (8:00 ET, weekdays)', cron: '0 8 * * 1-5', timezone: 'America/New_York' },
+    'post-close': { id: 'post-close', label: 'Post-close (16:30 ET, weekdays)', cron: '30 16 * * 1-5', timezone: 'America/New_York' },
+    custom: { id: 'custom', label: 'Custom (cron)', cron: null, timezone: null },
+};
+
+export const DEFAULT_SCHEDULE = {
+    enabled: false,
+    preset: 'pre-market',
+    cron: SCHEDULE_PRESETS['pre-market'].cron,
+    timezone: SCHEDULE_PRESETS['pre-market'].timezone,
+    scope: DEFAULT_LIST_ID,
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+// Expands one cron field ("*", "5", "1-5", "*/15", "0-30/10", "1,15") into the values it allows.
+const parseCronField = (text, { name, min, max }) => {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${name} "${part}".`);
+        const step = match[4] ? Number(match[4]) : 1;
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`The ${name} must be between ${min} and ${max} (got "${part}").`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+};
+
+/**
+ * Parses a five-field cron expression.
+ * @param {string} expression
+ * @returns {object} { minute, hour, dayOfMonth, month, dayOfWeek } sets, plus whether the two
+ *     day fields are restricted (when both are, a day matching either one counts, as in cron).
+ * @throws {Error} If the expression is malformed.
+ */
+export const parseCron = (expression) => {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week.');
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        restrictsDayOfMonth: fields[2] !== '*',
+        restrictsDayOfWeek: fields[4] !== '*',
+    };
+};
+
+/**
+ * Whether a string is an IANA time zone the runtime knows.
+ * @param {string} timezone
+ */
+export const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return Boolean(timezone);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * The cron expression and time zone a schedule runs on (a preset's own, or the custom ones).
+ * @param {object} schedule
+ * @returns {{ cron: string, timezone: string }}
+ */
+export const resolveSchedule = (schedule) => {
+    const preset = SCHEDULE_PRESETS[schedule.preset];
+    return preset?.cron
+        ? { cron: preset.cron, timezone: preset.timezone }
+        : { cron: schedule.cron, timezone: schedule.timezone };
+};
+
+/**
+ * Validates a schedule before it is saved.
+ * @param {object} schedule
+ * @returns {string|null} An error message, or null if the schedule is acceptable.
+ */
+export const validateSchedule = (schedule) => {
+    const { cron, timezone } = resolveSchedule(schedule);
+    try {
+        parseCron(cron);
+    } catch (e) {
+        return e.message;
+    }
+    if (!isValidTimezone(timezone)) return `Unknown time zone "${timezone}".`;
+    return null;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock fields of an instant in a time zone.
+const getZonedParts = (date, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23', weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        dayOfMonth: Number(parts.day),
+        month: Number(parts.month),
+        dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    };
+};
+
+const matchesDay = (cron, parts) => {
+    if (!cron.month.has(parts.month)) return false;
+    const byMonthDay = cron.dayOfMonth.has(parts.dayOfMonth);
+    const byWeekDay = cron.dayOfWeek.has(parts.dayOfWeek);
+    if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) return byMonthDay || byWeekDay;
+    return byMonthDay && byWeekDay;
+};
+
+/**
+ * Whether a cron expression fires in the minute containing `date`, read in a time zone.
+ * @param {string} expression
+ * @param {Date} date
+ * @param {string} timezone - IANA time zone.
+ */
+export const cronMatches = (expression, date, timezone) => {
+    const cron = parseCron(expression);
+    const parts = getZonedParts(date, timezone);
+    return matchesDay(cron, parts) && cron.hour.has(parts.hour) && cron.minute.has(parts.minute);
+};
+
+/**
+ * Next time a cron expression fires after `from`, searching up to a year ahead.
+ * @param {string} expression
+ * @param {string} timezone - IANA time zone.
+ * @param {Date} [from]
+ * @returns {Date|null} Start of the matching minute, or null if none within a year.
+ */
+export const getNextRun = (expression, timezone, from = new Date()) => {
+    const cron = parseCron(expression);
+    const limit = from.getTime() + 366 * 24 * 3600000;
+    let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+    while (time < limit) {
+        const parts = getZonedParts(new Date(time), timezone);
+        if (!matchesDay(cron, parts) || !cron.hour.has(parts.hour)) {
+            time += (60 - parts.minute) * 60000; // Skip to the next hour
+        } else if (!cron.minute.has(parts.minute)) {
+            time += 60000;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+};
+
+/**
+ * Whether a scheduled run is due: enabled, and the cron has fired since the last run. A time the
+ * worker missed (it was down, or a check ran late) is caught up with one run on the next check.
+ * A schedule that has never run waits for the cron to fire.
+ * @param {object} schedule
+ * @param {Date} [now]
+ */
+export const isScheduleDue = (schedule, now = new Date()) => {
+    if (!schedule?.enabled || validateSchedule(schedule)) return false;
+    const { cron, timezone } = resolveSchedule(schedule);
+    const lastRun = Date.parse(schedule.lastRunAt);
+    if (isNaN(lastRun)) return cronMatches(cron, now, timezone);
+    const nextRun = getNextRun(cron, timezone, new Date(lastRun));
+    return nextRun !== null && nextRun <= now;
+};
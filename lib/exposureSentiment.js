@@ -0,0 +1,98 @@
+// --- EXPOSURE-WEIGHTED SENTIMENT ---
+//
+// Weighs a digest's news by how much of the portfolio it touches. Every item counts with its
+// holding's portfolio weight times its impact (Low 1, Medium 2, High 3), so a high-impact story
+// about a 20% position outweighs a dozen minor ones about a 0.5% position. The heatmap has one
+// row per holding and one cell per sentiment and impact:
+//
+//   { score, totals: { POSITIVE, NEGATIVE, NEUTRAL }, unweighted: [symbol],
+//     rows: [{ symbol, weight, cells: { 'NEGATIVE|High': { count, exposure } } }], maxExposure, hotspots: [{ symbol, weight, count }] }
+
+import { computeWeights, splitByBaseCurrency } from './holdings';
+import { isFailedItem } from './digestHistory';
+import { IMPACTS, IMPACT_WEIGHTS, SENTIMENTS } from './analysisValidation';
+
+export const HOTSPOT_MIN_WEIGHT = 0.1; // Negative high-impact news on a position this large is flagged
+
+/**
+ * Key of a heatmap cell.
+ * @param {string} sentiment
+ * @param {string} impact
+ */
+export const getCellKey = (sentiment, impact) => `${sentiment}|${impact}`;
+
+/**
+ * Portfolio weights used for exposure. Positions are weighted by value against one portfolio-wide
+ * total; there are no exchange rates to convert with, so only positions in the base currency are
+ * weighted and the others are listed in `excluded` (weighting each currency on its own would let
+ * a €10 position count as much as a $200k one). A list without any recorded positions (a
+ * watchlist, or a portfolio before shares are entered) weights every ticker equally.
+ * @param {object[]} holdings - Normalized holdings.
+ * @param {function} [valueOf] - Returns a holding's value (see computeWeights).
+ * @returns {{ weights: Object<string, number>, equal: boolean, baseCurrency: string|null, excluded: object[] }}
+ *     excluded lists the positions left out as { ticker, currency }.
+ */
+export const computeExposureWeights = (holdings, valueOf) => {
+    const positions = holdings.filter(holding => holding.quantity > 0);
+    if (positions.length > 0) {
+        const { baseCurrency, included, excluded } = splitByBaseCurrency(positions);
+        return {
+            weights: computeWeights(included, valueOf),
+            equal: false,
+            baseCurrency,
+            excluded: excluded.map(({ ticker, currency }) => ({ ticker, currency })),
+        };
+    }
+    return {
+        weights: Object.fromEntries(holdings.map(holding => [holding.ticker, 1 / holdings.length])),
+        equal: true,
+        baseCurrency: null,
+        excluded: [],
+    };
+};
+
+/**
+ * Exposure-weighted sentiment of a digest.
+ * @param {object[]} items - Digest items of one run.
+ * @param {Object<string, number>} weights - Portfolio weight by ticker.
+ * @returns {object} Score, weighted totals and heatmap (see the header comment). `score` runs
+ *     from -1 (all exposure-weighted news negative) to +1, and is null without weighted news.
+ *     `unweighted` lists tickers with news but no weight (not in the list, or no position).
+ */
+export const computeExposureSentiment = (items, weights) => {
+    const totals = { POSITIVE: 0, NEGATIVE: 0, NEUTRAL: 0 };
+    const unweighted = new Set();
+    const rows = Object.entries(weights)
+        .filter(([, weight]) => weight > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([symbol, weight]) => ({ symbol, weight, cells: {} }));
+    const rowsBySymbol = Object.fromEntries(rows.map(row => [row.symbol, row]));
+
+    items.filter(item => !isFailedItem(item) && SENTIMENTS.includes(item.sentiment)).forEach(item => {
+        const row = rowsBySymbol[item.symbol];
+        if (!row) {
+            unweighted.add(item.symbol);
+            return;
+        }
+        const impact = IMPACTS.includes(item.impact) ? item.impact : 'Low';
+        const exposure = row.weight * IMPACT_WEIGHTS[impact];
+        const cell = row.cells[getCellKey(item.sentiment, impact)] = row.cells[getCellKey(item.sentiment, impact)] || { count: 0, exposure: 0 };
+        cell.count += 1;
+        cell.exposure += exposure;
+        totals[item.sentiment] += exposure;
+    });
+
+    const total = totals.POSITIVE + totals.NEGATIVE + totals.NEUTRAL;
+    const hotspots = rows
+        .filter(row => row.weight >= HOTSPOT_MIN_WEIGHT && row.cells[getCellKey('NEGATIVE', 'High')])
+        .map(row => ({ symbol: row.symbol, weight: row.weight, count: row.cells[getCellKey('NEGATIVE', 'High')].count }));
+
+    return {
+        score: total > 0 ? (totals.POSITIVE - totals.NEGATIVE) / total : null,
+        totals,
+        unweighted: [...unweighted],
+        rows,
+        maxExposure: Math.max(0, ...rows.flatMap(row => Object.values(row.cells).map(cell => cell.exposure))),
+        hotspots,
+    };
+};
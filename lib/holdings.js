@@ -0,0 +1,131 @@
+// --- HOLDINGS MODEL ---
+//
+// A portfolio document stores one holding:
+//
+//   { ticker, addedAt, currency, lots: [{ quantity, price, date }], quantity, averageCost }
+//
+// Lots are the source of truth; quantity and averageCost are derived from them and stored
+// alongside so listeners and queries don't have to recompute them. Documents created before
+// positions existed ({ ticker, addedAt }) read as a holding with no lots.
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'CHF', 'AUD', 'HKD', 'INR'];
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Cleans a list of purchase lots, dropping rows without a positive quantity.
+ * @param {object[]} lots - Raw lots ({ quantity, price, date }).
+ * @returns {object[]} Lots with numeric quantity/price and a date string ('' if unknown).
+ */
+export const sanitizeLots = (lots = []) => lots
+    .map(lot => ({
+        quantity: Number(lot.quantity) || 0,
+        price: Math.max(0, Number(lot.price) || 0),
+        date: lot.date || '',
+    }))
+    .filter(lot => lot.quantity > 0);
+
+/**
+ * Aggregates lots into a position.
+ * @param {object[]} lots - Sanitized lots.
+ * @returns {{ quantity: number, averageCost: number, costBasis: number }}
+ */
+export const summarizeLots = (lots) => {
+    const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    return { quantity, averageCost: quantity > 0 ? costBasis / quantity : 0, costBasis };
+};
+
+/**
+ * Builds the Firestore document for a holding.
+ * @param {string} ticker
+ * @param {object} fields - { currency, lots, addedAt }
+ * @returns {object} The document data, including derived quantity and averageCost.
+ */
+export const buildHoldingDoc = (ticker, { currency = DEFAULT_CURRENCY, lots = [], addedAt = new Date().toISOString() } = {}) => {
+    const cleanLots = sanitizeLots(lots);
+    const { quantity, averageCost } = summarizeLots(cleanLots);
+    return { ticker, addedAt, currency, lots: cleanLots, quantity, averageCost };
+};
+
+/**
+ * Reads a portfolio document into a holding, tolerating legacy documents.
+ * @param {object} data - Firestore document data.
+ * @returns {object} { ticker, addedAt, currency, lots, quantity, averageCost, costBasis }
+ */
+export const normalizeHolding = (data) => {
+    const lots = sanitizeLots(data.lots);
+    return {
+        ticker: data.ticker,
+        addedAt: data.addedAt || null,
+        currency: data.currency || DEFAULT_CURRENCY,
+        lots,
+        ...summarizeLots(lots),
+    };
+};
+
+/**
+ * Currency a portfolio's totals are computed in: the one most positions are held in, preferring
+ * the default currency on a tie.
+ * @param {object[]} positions - Normalized holdings.
+ * @returns {string|null} ISO 4217 code, or null without positions.
+ */
+export const pickBaseCurrency = (positions) => {
+    const counts = {};
+    positions.forEach(position => {
+        counts[position.currency] = (counts[position.currency] || 0) + 1;
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || (b === DEFAULT_CURRENCY) - (a === DEFAULT_CURRENCY))[0] || null;
+};
+
+/**
+ * Splits positions into those in the base currency and the rest. There are no exchange rates to
+ * convert with, so portfolio totals and weights only count the base-currency positions.
+ * @param {object[]} positions - Normalized holdings.
+ * @returns {{ baseCurrency: string|null, included: object[], excluded: object[] }}
+ */
+export const splitByBaseCurrency = (positions) => {
+    const baseCurrency = pickBaseCurrency(positions);
+    return {
+        baseCurrency,
+        included: positions.filter(position => position.currency === baseCurrency),
+        excluded: positions.filter(position => position.currency !== baseCurrency),
+    };
+};
+
+/**
+ * Computes each holding's weight in the portfolio. Values are not converted between
+ * currencies, so weights are computed within each currency; pass positions in one currency
+ * (see splitByBaseCurrency) for weights that add up to 100%.
+ * @param {object[]} holdings - Normalized holdings.
+ * @param {function} [valueOf] - Returns a holding's value; defaults to its cost basis.
+ * @returns {Object<string, number>} Weight in [0, 1] keyed by ticker (0 for holdings without a value).
+ */
+export const computeWeights = (holdings, valueOf = (holding) => holding.costBasis) => {
+    const totals = {};
+    holdings.forEach(holding => {
+        totals[holding.currency] = (totals[holding.currency] || 0) + (valueOf(holding) || 0);
+    });
+
+    const weights = {};
+    holdings.forEach(holding => {
+        const total = totals[holding.currency];
+        weights[holding.ticker] = total > 0 ? (valueOf(holding) || 0) / total : 0;
+    });
+    return weights;
+};
+
+/**
+ * Value of a position: market value where a quote exists, otherwise its cost basis.
+ * @param {object} holding - Normalized holding.
+ * @param {Object<string, { price: number }>} quotes - Quotes by ticker.
+ */
+export const getPositionValue = (holding, quotes) =>
+    quotes[holding.ticker] ? holding.quantity * quotes[holding.ticker].price : holding.costBasis;
+
+/**
+ * Formats an amount in a currency for display.
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code.
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
@@ -0,0 +1,205 @@
+// --- HTTP UTILITIES ---
+//
+// Fetch with classified retries: only 429, 5xx, network errors and per-attempt timeouts are
+// retried (honoring Retry-After); other 4xx responses fail immediately. A per-origin circuit
+// breaker stops sending requests after repeated failures. Time is read through a pluggable
+// clock so the whole policy can be unit tested without real timers.
+
+export const DEFAULT_RETRY_POLICY = {
+    maxRetries: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60000, // Also caps Retry-After
+    timeoutMs: 30000, // Per attempt
+};
+
+/**
+ * Real-time clock. Tests can pass a fake with the same shape.
+ * sleep(ms, signal) resolves after ms, or rejects with an AbortError if the signal aborts first.
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    sleep: (ms, signal) => new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const id = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(id);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }),
+};
+
+const httpError = (message, fields) => Object.assign(new Error(message), fields);
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|null} value - The header value.
+ * @param {number} now - Current epoch milliseconds.
+ * @returns {number|null} Milliseconds to wait, or null if the header is absent or invalid.
+ */
+export const parseRetryAfter = (value, now) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * True for responses worth retrying: rate limiting and server-side errors.
+ * @param {number} status - HTTP status code.
+ */
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Creates a circuit breaker. After `failureThreshold` consecutive failures it opens and rejects
+ * calls for `cooldownMs`; then a single trial call is let through (half-open) which either
+ * closes it again or re-opens it. A trial the caller cancels re-opens it too.
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold]
+ * @param {number} [options.cooldownMs]
+ * @param {function} [options.now] - Clock returning epoch milliseconds.
+ */
+export const createCircuitBreaker = ({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) => {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+
+    return {
+        getState: () => state,
+        /** Throws if the circuit is open (or a half-open trial is in flight); lets one trial through after the cooldown. */
+        assertCanRequest: () => {
+            if (state === 'closed') return;
+            const remaining = openedAt + cooldownMs - now();
+            if (state === 'half-open' || remaining > 0) {
+                throw httpError(`Circuit open after repeated failures. Retry in ${Math.max(1, Math.ceil(remaining / 1000))}s.`, { circuitOpen: true, retryable: false });
+            }
+            state = 'half-open';
+        },
+        recordSuccess: () => {
+            state = 'closed';
+            failures = 0;
+        },
+        /** Ends a half-open trial that was cancelled before it said anything about the service; the cooldown starts over. */
+        releaseTrial: () => {
+            if (state !== 'half-open') return;
+            state = 'open';
+            openedAt = now();
+        },
+        recordFailure: () => {
+            failures++;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                state = 'open';
+                openedAt = now();
+            }
+        },
+    };
+};
+
+/**
+ * Creates a fetch function with the retry policy, timeouts and per-origin circuit breakers.
+ * @param {object} [options]
+ * @param {function} [options.fetchImpl] - fetch implementation.
+ * @param {object} [options.clock] - { now, sleep, setTimeout, clearTimeout } (see systemClock).
+ * @param {function} [options.random] - Jitter source in [0, 1).
+ * @param {object} [options.policy] - Overrides for DEFAULT_RETRY_POLICY.
+ * @param {object} [options.breakerOptions] - Options for each origin's circuit breaker.
+ * @returns {function} async (url, options, retries?) => parsed JSON body.
+ */
+export const createBackoffFetch = ({ fetchImpl = (...args) => fetch(...args), clock = systemClock, random = Math.random, policy = {}, breakerOptions = {} } = {}) => {
+    const { maxRetries, baseDelayMs, maxDelayMs, timeoutMs } = { ...DEFAULT_RETRY_POLICY, ...policy };
+    const breakers = new Map();
+
+    const getBreaker = (url) => {
+        const origin = new URL(url).origin;
+        if (!breakers.has(origin)) {
+            breakers.set(origin, createCircuitBreaker({ now: clock.now, ...breakerOptions }));
+        }
+        return breakers.get(origin);
+    };
+
+    // One attempt with its own timeout, which also covers reading the body of a successful
+    // response (a stalled body would otherwise hang forever); the caller's signal still cancels it.
+    // Resolves to { response, body }, with body only for a 2xx response.
+    const attempt = async (url, options) => {
+        const controller = new AbortController();
+        const externalSignal = options?.signal;
+        const onExternalAbort = () => controller.abort(externalSignal.reason);
+        externalSignal?.addEventListener('abort', onExternalAbort, { once: true });
+
+        let timedOut = false;
+        const timer = clock.setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        try {
+            const response = await fetchImpl(url, { ...options, signal: controller.signal });
+            return { response, body: response.ok ? await response.json() : null };
+        } catch (error) {
+            if (externalSignal?.aborted) throw error;
+            if (timedOut) throw httpError(`Request timed out after ${timeoutMs / 1000}s`, { retryable: true });
+            if (error instanceof SyntaxError) throw httpError(`Invalid JSON response: ${error.message}`, { retryable: false, cause: error });
+            throw httpError(`Network error: ${error.message}`, { retryable: true, cause: error });
+        } finally {
+            clock.clearTimeout(timer);
+            externalSignal?.removeEventListener('abort', onExternalAbort);
+        }
+    };
+
+    return async function backoffFetch(url, options = {}, retries = maxRetries) {
+        const breaker = getBreaker(url);
+
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            breaker.assertCanRequest();
+
+            let error;
+            let retryAfterMs = null;
+            try {
+                const { response, body } = await attempt(url, options);
+                if (response.ok) {
+                    breaker.recordSuccess();
+                    return body;
+                }
+                retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'), clock.now());
+                error = httpError(`HTTP error! status: ${response.status}`, { status: response.status, retryable: isRetryableStatus(response.status) });
+            } catch (attemptError) {
+                if (options.signal?.aborted) {
+                    // Otherwise an aborted trial would leave the circuit half-open, rejecting every later call
+                    breaker.releaseTrial();
+                    throw attemptError;
+                }
+                error = attemptError;
+            }
+
+            if (!error.retryable) {
+                // The service answered; a client error says nothing about its health.
+                breaker.recordSuccess();
+                throw error;
+            }
+            breaker.recordFailure();
+
+            if (attemptNumber >= retries) {
+                throw httpError(`Fetch failed after ${attemptNumber + 1} attempts: ${error.message}`, { status: error.status, retryable: false });
+            }
+
+            const backoff = Math.pow(2, attemptNumber) * baseDelayMs + random() * baseDelayMs;
+            const delay = Math.min(maxDelayMs, Math.max(backoff, retryAfterMs ?? 0));
+            console.warn(`${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s...`);
+            await clock.sleep(delay, options.signal);
+        }
+    };
+};
+
+/**
+ * Utility for performing fetch requests with classified retries and exponential backoff.
+ * @param {string} url - The URL to fetch.
+ * @param {object} options - Fetch options (method, headers, body, signal, etc.). An aborted signal is never retried.
+ * @param {number} retries - Maximum number of retries.
+ * @returns {Promise<object>} The parsed JSON response body.
+ */
+export const exponentialBackoffFetch = createBackoffFetch();
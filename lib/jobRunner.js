@@ -0,0 +1,64 @@
+// --- BOUNDED-CONCURRENCY JOB RUNNER ---
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 10;
+
+/**
+ * True if an error was caused by an AbortSignal (fetch rejects with a DOMException named AbortError).
+ * @param {Error} error
+ * @param {AbortSignal} [signal]
+ */
+export const isAbortError = (error, signal) => Boolean(signal?.aborted) || error?.name === 'AbortError';
+
+/**
+ * Runs a worker over every item with at most `concurrency` workers in flight.
+ * A failing item does not stop the others; aborting the signal stops queued items from
+ * starting and is forwarded to the workers so in-flight requests can be cancelled.
+ * @param {Array} items - Inputs to process.
+ * @param {function} worker - async (item, { signal }) => result.
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Maximum number of workers running at once.
+ * @param {AbortSignal} [options.signal] - Cancels the run.
+ * @param {function} [options.onUpdate] - Called with (index, { status, result, error }) on every status change.
+ * @returns {Promise<Array<{status: string, result?: any, error?: Error}>>} One entry per item, in input order.
+ */
+export const runJobs = async (items, worker, { concurrency = DEFAULT_CONCURRENCY, signal, onUpdate = () => {} } = {}) => {
+    const outcomes = items.map(() => ({ status: JOB_STATUS.QUEUED }));
+    const update = (index, outcome) => {
+        outcomes[index] = outcome;
+        onUpdate(index, outcome);
+    };
+
+    let nextIndex = 0;
+    const lane = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            if (signal?.aborted) {
+                update(index, { status: JOB_STATUS.CANCELLED });
+                continue;
+            }
+
+            update(index, { status: JOB_STATUS.RUNNING });
+            try {
+                const result = await worker(items[index], { signal });
+                update(index, { status: JOB_STATUS.DONE, result });
+            } catch (error) {
+                update(index, isAbortError(error, signal)
+                    ? { status: JOB_STATUS.CANCELLED }
+                    : { status: JOB_STATUS.FAILED, error });
+            }
+        }
+    };
+
+    const laneCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: laneCount }, lane));
+    return outcomes;
+};
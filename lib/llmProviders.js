@@ -0,0 +1,414 @@
+// --- LLM PROVIDERS ---
+//
+// summarizeNews() delegates to a provider selected in the user's settings. Every provider
+// returns the model's raw text, which summarizeNews validates into the same structured contract:
+//
+//   { status: 'ok', summary: string, sentiment: 'POSITIVE' | 'NEGATIVE' | 'NEUTRAL', impact: 'Low' | 'Medium' | 'High',
+//     companies: [{ symbol, sentiment, impact }],   (every company the article affects, from its own point of view)
+//     keyPoints: string[], catalysts: string[], risks: string[], timeHorizon: 'short' | 'medium' | 'long' | null,
+//     confidence: number (0-1) | null, whyItMatters: string | null }   (details a model leaves out are [] or null)
+//   { status: 'failed', error: string }   (after a repair pass could not fix the output)
+//
+// A provider is a plain object:
+//   { id, label, defaultModel, needsBaseUrl, needsApiKey, usesDirectory?, analyze(articleContent, config, { signal, repair, directory }),
+//     complete?({ system, user, schema }, config, { signal }) }
+// where repair, when present, is { previousOutput, errors } from a response that failed validation, and
+// directory lists known companies ([{ symbol, name }]) for providers that cannot recognize them on their own
+// (those set usesDirectory, which adds the directory to their cache key).
+// complete() runs an arbitrary JSON prompt and backs generateStructured(); providers without it (the offline
+// rule-based one) rely on each stage's own offline fallback.
+
+import { exponentialBackoffFetch } from './http';
+import { hashDirectory, hashSummaryKey } from './summaryCache';
+import { isAbortError } from './jobRunner';
+import { IMPACTS, SENTIMENTS, TIME_HORIZONS, parseModelOutput, validateAnalysis } from './analysisValidation';
+
+export { IMPACTS, SENTIMENTS, TIME_HORIZONS };
+
+// Number of times an invalid response is sent back to the model for correction.
+const MAX_REPAIR_ATTEMPTS = 1;
+
+export const DEFAULT_LLM_CONFIG = {
+    provider: 'gemini',
+    model: 'gemini-2.5-flash-preview-05-20',
+    baseUrl: '',
+    apiKey: '',
+};
+
+// --- SHARED PROMPT ---
+
+// Bump whenever SYSTEM_PROMPT or RESPONSE_SCHEMA changes so cached summaries are invalidated.
+export const PROMPT_VERSION = 3;
+
+export const SYSTEM_PROMPT = `You are a world-class financial analyst. Your task is to process a news article and output a strictly valid JSON object. Do not include any text outside the JSON block.
+
+    The JSON object must strictly adhere to this schema:
+    {
+      "summary": "A concise, 1-2 sentence summary of the article's core financial news.",
+      "sentiment": "POSITIVE, NEGATIVE, or NEUTRAL",
+      "impact": "Low, Medium, or High",
+      "companies": [
+        { "symbol": "Ticker of a publicly traded company the article affects", "sentiment": "POSITIVE, NEGATIVE, or NEUTRAL", "impact": "Low, Medium, or High" }
+      ],
+      "keyPoints": ["1-5 short bullet points with the key facts"],
+      "catalysts": ["Events or drivers that could move the stock up (may be empty)"],
+      "risks": ["Risks or headwinds raised by the article (may be empty)"],
+      "timeHorizon": "short, medium, or long (when the effect is likely to play out)",
+      "confidence": "A number from 0 to 1: how confident you are in this assessment",
+      "whyItMatters": "One line on why this matters to someone holding the stock"
+    }
+
+    "sentiment" and "impact" describe the article overall. "companies" lists every publicly traded company the article mentions or clearly affects, each judged from that company's own point of view (a contract won by one company is a loss for the competitor it was won from). Use [] if no listed company is involved.
+    `;
+
+// Appends the validation errors of a rejected response so the model can correct it.
+const appendRepair = (query, repair) => {
+    if (!repair) return query;
+    return `${query}
+
+Your previous response was rejected:
+${repair.errors.map(error => `- ${error}`).join('\n')}
+
+Previous response: ${repair.previousOutput}
+
+Return only a corrected JSON object that satisfies the schema.`;
+};
+
+const buildUserQuery = (articleContent, repair) =>
+    appendRepair(`Summarize the following financial news article and extract the required fields as a JSON object: "${articleContent}"`, repair);
+
+// Gemini-style response schema (OpenAPI subset)
+const RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        summary: { type: "STRING", description: "A concise, 1-2 sentence summary of the article's core financial news." },
+        sentiment: { type: "STRING", enum: SENTIMENTS, description: "The immediate financial sentiment." },
+        impact: { type: "STRING", enum: IMPACTS, description: "The anticipated market impact." },
+        companies: {
+            type: "ARRAY",
+            description: "Every publicly traded company the article affects, each from its own point of view.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    symbol: { type: "STRING", description: "The company's ticker symbol." },
+                    sentiment: { type: "STRING", enum: SENTIMENTS },
+                    impact: { type: "STRING", enum: IMPACTS }
+                },
+                required: ["symbol", "sentiment", "impact"]
+            }
+        },
+        keyPoints: { type: "ARRAY", items: { type: "STRING" }, description: "1-5 short bullet points with the key facts." },
+        catalysts: { type: "ARRAY", items: { type: "STRING" }, description: "Potential upside drivers." },
+        risks: { type: "ARRAY", items: { type: "STRING" }, description: "Risks or headwinds." },
+        timeHorizon: { type: "STRING", enum: TIME_HORIZONS, description: "When the effect is likely to play out." },
+        confidence: { type: "NUMBER", description: "Confidence in the assessment, from 0 to 1." },
+        whyItMatters: { type: "STRING", description: "One line on why this matters to holders." }
+    },
+    required: ["summary", "sentiment", "impact", "companies", "keyPoints", "catalysts", "risks", "timeHorizon", "confidence", "whyItMatters"]
+};
+
+// --- PROVIDERS ---
+
+const completeWithGemini = async ({ system, user, schema }, config, { signal } = {}) => {
+    const payload = {
+        contents: [{ parts: [{ text: user }] }],
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            ...(schema ? { responseSchema: schema } : {})
+        }
+    };
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.apiKey}`;
+    const result = await exponentialBackoffFetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+    });
+
+    const jsonString = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!jsonString) {
+        throw new Error("Gemini API returned no valid JSON content.");
+    }
+    return jsonString;
+};
+
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash-preview-05-20',
+    needsBaseUrl: false,
+    needsApiKey: true,
+    complete: completeWithGemini,
+    analyze: (articleContent, config, { signal, repair } = {}) =>
+        completeWithGemini({ system: SYSTEM_PROMPT, user: buildUserQuery(articleContent, repair), schema: RESPONSE_SCHEMA }, config, { signal }),
+};
+
+// Works with OpenAI and any server exposing the same /chat/completions API (Ollama, llama.cpp, vLLM...).
+// JSON mode does not take a schema; the prompt describes it instead.
+const completeWithChatApi = async ({ system, user }, config, { signal } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const result = await exponentialBackoffFetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: config.model,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: user },
+            ],
+        }),
+        signal
+    });
+
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+        throw new Error("Chat completion returned no content.");
+    }
+    return text;
+};
+
+const openAiCompatibleProvider = {
+    id: 'openai',
+    label: 'OpenAI-Compatible Endpoint',
+    defaultModel: 'llama3.1',
+    needsBaseUrl: true,
+    needsApiKey: false,
+    complete: completeWithChatApi,
+    analyze: (articleContent, config, { signal, repair } = {}) =>
+        completeWithChatApi({ system: SYSTEM_PROMPT, user: buildUserQuery(articleContent, repair) }, config, { signal }),
+};
+
+// --- OFFLINE RULE-BASED PROVIDER ---
+
+const POSITIVE_TERMS = ['beat', 'beats', 'bump', 'gain', 'gains', 'growth', 'rebound', 'record', 'rise', 'rises', 'rally', 'secures', 'soar', 'strong', 'surge', 'upgrade', 'win', 'wins', 'positive', 'dominance', 'outperform', 'awarded', 'strengthens'];
+const NEGATIVE_TERMS = ['cautious', 'constraints', 'cut', 'cuts', 'decline', 'downgrade', 'drop', 'fall', 'falls', 'fine', 'fraud', 'lawsuit', 'loss', 'losses', 'miss', 'misses', 'plunge', 'probe', 'recall', 'slump', 'weak', 'negative', 'layoffs', 'blow'];
+const HIGH_IMPACT_TERMS = ['billion', 'acquisition', 'merger', 'contract', 'guidance', 'bankruptcy', 'investigation', 'lawsuit', 'ceo', 'earnings', 'department of defense'];
+
+// A company named right after one of these lost to whoever the sentence is about ("a win over Amazon").
+const COMPETITOR_MARKERS = ['over', 'against', 'from', 'beat', 'beats', 'outperform', 'outperforms', 'rival'];
+
+const countTerms = (words, terms) => words.filter(word => terms.includes(word)).length;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Amazon.com, Inc." -> "Amazon", "The Coca-Cola Company" -> "Coca-Cola"
+const shortCompanyName = (name) => name
+    .replace(/\(.*?\)/g, '')
+    .replace(/^the\s+/i, '')
+    .replace(/(\.com)?,?\s+(inc|corp|corporation|company|co|plc|ltd|limited|incorporated|holdings?|group|n\.v|s\.e|a\/s)\.?(\s.*)?$/i, '')
+    .replace(/\.com$/i, '')
+    .trim();
+
+const scoreText = (text) => {
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    return countTerms(words, POSITIVE_TERMS) - countTerms(words, NEGATIVE_TERMS);
+};
+
+const toSentiment = (score) => score > 0 ? 'POSITIVE' : score < 0 ? 'NEGATIVE' : 'NEUTRAL';
+
+// Scores each directory company on the sentences that mention it (by name or "$TICKER"/"(TICKER)").
+const ruleBasedCompanies = (sentences, directory, articleImpact) => directory.flatMap(({ symbol, name }) => {
+    const names = [shortCompanyName(name || ''), `$${symbol}`, `(${symbol})`].filter(n => n.length > 2);
+    const pattern = new RegExp(`(^|[^A-Za-z0-9])(${names.map(escapeRegExp).join('|')})(?=[^A-Za-z0-9]|$)`);
+    const competitorPattern = new RegExp(`\\b(${COMPETITOR_MARKERS.join('|')})\\s+(${names.map(escapeRegExp).join('|')})(?=[^A-Za-z0-9]|$)`, 'i');
+    const mentions = sentences.filter(sentence => pattern.test(sentence));
+    if (mentions.length === 0) return [];
+
+    const score = mentions.reduce((sum, sentence) => {
+        const sentenceScore = scoreText(sentence);
+        return sum + (competitorPattern.test(sentence) ? -Math.max(1, Math.abs(sentenceScore)) : sentenceScore);
+    }, 0);
+    // A company mentioned only in passing is affected one step less than the article's subject
+    const impact = mentions.length > 1 ? articleImpact : IMPACTS[Math.max(0, IMPACTS.indexOf(articleImpact) - 1)];
+    return [{ symbol, sentiment: toSentiment(score), impact }];
+});
+
+const LONG_HORIZON_TERMS = ['long-term', 'years', 'decade', 'strategic', 'multi-year'];
+const SHORT_HORIZON_TERMS = ['today', 'this week', 'quarter', 'q1', 'q2', 'q3', 'q4', 'earnings', 'bump', 'shares fell', 'shares rose'];
+
+const cleanSentence = (sentence) => sentence.replace(/\s+/g, ' ').trim();
+
+// Deterministic keyword scoring: the same article always yields the same analysis.
+const ruleBasedProvider = {
+    id: 'rule-based',
+    label: 'Offline Rule-Based (deterministic)',
+    defaultModel: 'keywords-v3',
+    needsBaseUrl: false,
+    needsApiKey: false,
+    usesDirectory: true,
+    analyze: async (articleContent, config, { directory = [] } = {}) => {
+        const text = articleContent.toLowerCase();
+        const score = scoreText(articleContent);
+        const highSignals = HIGH_IMPACT_TERMS.filter(term => text.includes(term)).length;
+        const impact = highSignals >= 2 ? 'High' : highSignals === 1 || Math.abs(score) >= 2 ? 'Medium' : 'Low';
+
+        // Split after sentence punctuation followed by whitespace, so "1.5%" stays in one sentence
+        const sentences = articleContent.trim().split(/(?<=[.!?])\s+/).filter(Boolean);
+        const sentiment = toSentiment(score);
+        const timeHorizon = LONG_HORIZON_TERMS.some(term => text.includes(term)) ? 'long'
+            : SHORT_HORIZON_TERMS.some(term => text.includes(term)) ? 'short' : 'medium';
+        // Confidence grows with the number of keyword signals; it is a heuristic, so it stays below 0.9
+        const signals = Math.abs(score) + highSignals;
+
+        return JSON.stringify({
+            summary: sentences.slice(0, 2).join(' ').replace(/\s+/g, ' ').trim(),
+            sentiment,
+            impact,
+            companies: ruleBasedCompanies(sentences, directory, impact),
+            keyPoints: sentences.slice(0, 3).map(cleanSentence),
+            catalysts: sentences.filter(sentence => scoreText(sentence) > 0).map(cleanSentence),
+            risks: sentences.filter(sentence => scoreText(sentence) < 0).map(cleanSentence),
+            timeHorizon,
+            confidence: Math.round(Math.min(0.85, 0.3 + 0.1 * signals) * 100) / 100,
+            whyItMatters: `${sentiment === 'NEUTRAL' ? 'Mixed' : sentiment === 'POSITIVE' ? 'Positive' : 'Negative'} ${timeHorizon}-term signal with ${impact.toLowerCase()} expected impact on the position.`,
+        });
+    },
+};
+
+export const LLM_PROVIDERS = {
+    [geminiProvider.id]: geminiProvider,
+    [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+    [ruleBasedProvider.id]: ruleBasedProvider,
+};
+
+// --- CORE SUMMARIZATION ---
+
+/**
+ * Asks the model for JSON, validating the output and re-asking with the validation errors when
+ * it does not satisfy the schema.
+ * @param {string} providerId - For log messages.
+ * @param {function} ask - (repair) => Promise<string> raw model output.
+ * @param {function} validate - (parsed) => { valid, errors, value }
+ * @returns {Promise<*>} The validated value.
+ * @throws {Error} With the last validation errors if every attempt was invalid.
+ */
+const requestWithRepair = async (providerId, ask, validate) => {
+    let repair = null;
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const text = await ask(repair);
+
+        let errors;
+        try {
+            const result = validate(parseModelOutput(text));
+            if (result.valid) return result.value;
+            errors = result.errors;
+        } catch (parseError) {
+            errors = [parseError.message];
+        }
+
+        console.warn(`Invalid ${providerId} response (attempt ${attempt + 1}):`, errors);
+        repair = { previousOutput: text, errors };
+    }
+    throw new Error(`Invalid AI response: ${repair.errors.join(' ')}`);
+};
+
+const validateAnalysisValue = (parsed) => {
+    const { valid, errors, analysis } = validateAnalysis(parsed);
+    return { valid, errors, value: analysis };
+};
+
+/**
+ * Summarizes an article and extracts structured data using the configured provider.
+ * @param {string} articleContent - The text of the news article.
+ * @param {object} llmConfig - The user's provider settings ({ provider, model, baseUrl, apiKey }).
+ * @param {object} [options]
+ * @param {object} [options.cache] - A summary cache (see createSummaryCache); only valid analyses are stored in it.
+ * @param {boolean} [options.forceRefresh] - Skip the cache lookup and re-analyze the article.
+ * @param {AbortSignal} [options.signal] - Cancels the provider request; an aborted call rejects instead of failing.
+ * @param {object[]} [options.directory] - Known companies ([{ symbol, name }]) for the offline provider's company detection.
+ * @returns {Promise<object>} { status: 'ok', summary, sentiment, impact, companies } (plus fromCache: true when served
+ *     from the cache), or { status: 'failed', error } when the provider errored or never produced a valid analysis.
+ */
+export const summarizeNews = async (articleContent, llmConfig = DEFAULT_LLM_CONFIG, { cache = null, forceRefresh = false, signal, directory = [] } = {}) => {
+    const provider = LLM_PROVIDERS[llmConfig.provider];
+
+    try {
+        if (!provider) {
+            throw new Error(`Unknown LLM provider: ${llmConfig.provider}`);
+        }
+        const model = llmConfig.model || provider.defaultModel;
+
+        const cacheKey = cache
+            ? await hashSummaryKey({
+                content: articleContent,
+                provider: provider.id,
+                model,
+                promptVersion: PROMPT_VERSION,
+                directoryHash: provider.usesDirectory ? await hashDirectory(directory) : null,
+            })
+            : null;
+        if (cache && !forceRefresh) {
+            const cached = await cache.get(cacheKey);
+            if (cached) {
+                return { ...cached, status: 'ok', fromCache: true };
+            }
+        }
+
+        const config = { ...llmConfig, model };
+        const analysis = await requestWithRepair(
+            provider.id,
+            (repair) => provider.analyze(articleContent, config, { signal, repair, directory }),
+            validateAnalysisValue
+        );
+
+        if (cache) {
+            await cache.set(cacheKey, analysis, { provider: provider.id, model, promptVersion: PROMPT_VERSION });
+        }
+        return { ...analysis, status: 'ok' };
+
+    } catch (error) {
+        if (isAbortError(error, signal)) {
+            throw error;
+        }
+        console.error(`Error during ${llmConfig.provider} call or response validation:`, error);
+        return { status: 'failed', error: error.message };
+    }
+};
+
+/**
+ * Runs a structured prompt for a later pipeline stage (e.g. the portfolio briefing) through the
+ * configured provider, with the same validation and repair pass as summarizeNews.
+ * @param {object} request - { system, user, schema } where schema is the Gemini-style response schema (optional).
+ * @param {function} validate - (parsed) => { valid, errors, value }
+ * @param {object} llmConfig - The user's provider settings.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {function} [options.offline] - Produces the value without a model; used by providers that cannot
+ *     follow free-form prompts (the rule-based provider).
+ * @returns {Promise<object>} { status: 'ok', value } or { status: 'failed', error }. Aborts reject.
+ */
+export const generateStructured = async (request, validate, llmConfig = DEFAULT_LLM_CONFIG, { signal, offline } = {}) => {
+    const provider = LLM_PROVIDERS[llmConfig.provider];
+
+    try {
+        if (!provider) {
+            throw new Error(`Unknown LLM provider: ${llmConfig.provider}`);
+        }
+        if (!provider.complete) {
+            if (!offline) throw new Error(`${provider.label} cannot run this prompt.`);
+            return { status: 'ok', value: await offline() };
+        }
+
+        const config = { ...llmConfig, model: llmConfig.model || provider.defaultModel };
+        const value = await requestWithRepair(
+            provider.id,
+            (repair) => provider.complete({ ...request, user: appendRepair(request.user, repair) }, config, { signal }),
+            validate
+        );
+        return { status: 'ok', value };
+
+    } catch (error) {
+        if (isAbortError(error, signal)) {
+            throw error;
+        }
+        console.error(`Error during ${llmConfig.provider} structured generation:`, error);
+        return { status: 'failed', error: error.message };
+    }
+};
@@ -0,0 +1,244 @@
+// --- NEWS SOURCE ADAPTERS ---
+//
+// Every adapter resolves to the same article shape so the summarization
+// pipeline never has to know where the news came from:
+//
+//   { symbol, title, url, source, content, publishedAt }
+//
+// An adapter is a plain object: { id, label, requiresUrl, fetchArticles(tickers, config, { signal, onWarning }) }.
+
+// Mock News Data - used by the mock adapter and for offline demos
+export const MOCK_NEWS_ARTICLES = [
+  {
+    symbol: 'GOOG',
+    title: 'Google Cloud Unveils New AI-Powered Enterprise Search Features',
+    url: 'https://example.com/goog-ai-search',
+    source: 'TechCrunch',
+    publishedAt: '2025-05-20T13:30:00.000Z',
+    content: "Google Cloud announced major updates to its Vertex AI platform, including new features for enterprise search and data handling. Analysts view this as a strategic move to capture more market share from competitors in the generative AI space. The stock saw a 1.5% bump on the news."
+  },
+  {
+    symbol: 'AAPL',
+    title: 'iPhone Sales Expected to Soar After Holiday Quarter',
+    url: 'https://example.com/aapl-sales-forecast',
+    source: 'Financial Times',
+    publishedAt: '2025-05-20T09:15:00.000Z',
+    content: "Despite supply chain constraints easing, analysts are cautious about Q4 results but predict a strong rebound for Apple's iPhone and Services divisions in the following quarter, driven by aggressive pricing strategies in key Asian markets. The outlook remains mixed."
+  },
+  {
+    symbol: 'MSFT',
+    title: 'Microsoft Secures Multi-Billion Dollar Government Cloud Contract',
+    url: 'https://example.com/msft-contract-win',
+    source: 'Reuters',
+    publishedAt: '2025-05-19T21:45:00.000Z',
+    content: "Microsoft has signed a massive contract with the Department of Defense to modernize its cloud infrastructure over the next five years. This is a significant win over Amazon and reinforces Microsoft's dominance in the public sector cloud space. This is a clear positive for long-term growth."
+  },
+  // The same two stories as reported by other outlets; story clustering merges them with the originals.
+  {
+    symbol: 'MSFT',
+    title: 'Microsoft Wins Pentagon Cloud Contract Worth Billions',
+    url: 'https://example.com/msft-pentagon-cloud',
+    source: 'Bloomberg',
+    publishedAt: '2025-05-19T23:10:00.000Z',
+    content: "The Department of Defense awarded Microsoft a multi-billion dollar contract to modernize its cloud infrastructure, a blow to rival Amazon. The five-year deal strengthens Microsoft's position in government cloud computing."
+  },
+  {
+    symbol: 'GOOG',
+    title: 'Google Adds AI-Powered Enterprise Search to Vertex AI',
+    url: 'https://example.com/goog-vertex-search',
+    source: 'The Verge',
+    publishedAt: '2025-05-20T15:00:00.000Z',
+    content: "Google Cloud is rolling out new enterprise search features for its Vertex AI platform, along with improved data handling tools, as it competes for generative AI market share."
+  },
+];
+
+export const DEFAULT_NEWS_SOURCE = { type: 'mock', url: '' };
+
+/**
+ * Coerces a raw article-like object into the common article shape.
+ * @param {object} raw - Article data from any adapter.
+ * @param {object} defaults - Fallback values (e.g. symbol, source) for missing fields.
+ * @returns {object|null} The normalized article, or null if it has no usable title or content.
+ */
+export const normalizeArticle = (raw, defaults = {}) => {
+    const title = (raw.title || '').trim();
+    const content = (raw.content || raw.summary || raw.description || title).trim();
+    if (!title && !content) return null;
+
+    const publishedAt = raw.publishedAt ? new Date(raw.publishedAt) : null;
+    return {
+        symbol: (raw.symbol || defaults.symbol || '').toUpperCase(),
+        title: title || content.slice(0, 120),
+        url: raw.url || raw.link || '',
+        source: raw.source || defaults.source || 'Unknown',
+        content,
+        publishedAt: publishedAt && !isNaN(publishedAt) ? publishedAt.toISOString() : new Date().toISOString(),
+    };
+};
+
+/**
+ * Escapes regex metacharacters, which tickers such as "BRK.B" contain.
+ * @param {string} text
+ */
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the portfolio tickers that an article mentions by symbol (e.g. "AAPL" or "$AAPL").
+ * @param {object} article - Article with title and content.
+ * @param {string[]} tickers - Tickers to look for.
+ * @returns {string[]} The matching tickers.
+ */
+export const findMentionedTickers = (article, tickers) => {
+    const text = `${article.title} ${article.content}`;
+    return tickers.filter(ticker => new RegExp(`(^|[^A-Za-z0-9])\\$?${escapeRegExp(ticker)}([^A-Za-z0-9]|$)`).test(text));
+};
+
+/**
+ * Assigns articles without a symbol to every ticker they mention, and drops articles that
+ * belong to none of the requested tickers.
+ */
+const assignToTickers = (articles, tickers) => articles.flatMap(article => {
+    if (article.symbol) {
+        return tickers.includes(article.symbol) ? [article] : [];
+    }
+    return findMentionedTickers(article, tickers).map(symbol => ({ ...article, symbol }));
+});
+
+const fetchText = async (url, signal) => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.text();
+};
+
+// --- RSS / ATOM PARSING ---
+
+const decodeEntities = (text) => text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const readTag = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? stripTags(decodeEntities(match[1])) : '';
+};
+
+const readAtomLink = (xml) => {
+    const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(m => m[1]);
+    const alternate = links.find(attrs => !/rel=/.test(attrs) || /rel=["']alternate["']/.test(attrs));
+    const href = alternate && alternate.match(/href=["']([^"']+)["']/);
+    return href ? decodeEntities(href[1]) : '';
+};
+
+/**
+ * Parses an RSS 2.0 or Atom document into raw article objects. Regex-based rather than
+ * DOMParser so the same code runs in the browser and in Node.
+ * @param {string} xml - The feed document.
+ * @returns {object[]} Raw articles (title, url, content, publishedAt, source).
+ */
+export const parseFeed = (xml) => {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+    const channelTitle = readTag(xml.split(isAtom ? /<entry[\s>]/i : /<item[\s>]/i)[0], 'title');
+    const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+
+    return blocks.map(block => ({
+        title: readTag(block, 'title'),
+        url: isAtom ? readAtomLink(block) : readTag(block, 'link'),
+        content: isAtom
+            ? (readTag(block, 'content') || readTag(block, 'summary'))
+            : (readTag(block, 'content:encoded') || readTag(block, 'description')),
+        publishedAt: isAtom
+            ? (readTag(block, 'published') || readTag(block, 'updated'))
+            : (readTag(block, 'pubDate') || readTag(block, 'dc:date')),
+        source: readTag(block, 'source') || channelTitle,
+    }));
+};
+
+// --- ADAPTERS ---
+
+const mockAdapter = {
+    id: 'mock',
+    label: 'Mock Articles (GOOG, AAPL, MSFT)',
+    requiresUrl: false,
+    fetchArticles: async (tickers) => MOCK_NEWS_ARTICLES
+        .filter(article => tickers.includes(article.symbol))
+        .map(article => normalizeArticle(article)),
+};
+
+// A feed URL containing "{symbol}" is fetched once per ticker (per-symbol headline feeds);
+// otherwise the feed is fetched once and articles are matched to the tickers they mention.
+// A per-ticker feed that fails is reported through onWarning; only when all of them fail
+// does the fetch fail.
+const rssAdapter = {
+    id: 'rss',
+    label: 'RSS / Atom Feed',
+    requiresUrl: true,
+    fetchArticles: async (tickers, config, { signal, onWarning = () => {} } = {}) => {
+        if (config.url.includes('{symbol}')) {
+            const perTicker = await Promise.allSettled(tickers.map(async (symbol) => {
+                const xml = await fetchText(config.url.replaceAll('{symbol}', encodeURIComponent(symbol)), signal);
+                return parseFeed(xml).map(raw => normalizeArticle(raw, { symbol }));
+            }));
+            if (signal?.aborted) throw signal.reason;
+
+            const failures = tickers
+                .map((symbol, index) => ({ symbol, reason: perTicker[index].reason }))
+                .filter((_, index) => perTicker[index].status === 'rejected');
+            if (failures.length > 0) {
+                const details = failures.map(({ symbol, reason }) => `${symbol} (${reason.message})`).join(', ');
+                if (failures.length === tickers.length) throw new Error(`Every ticker feed failed: ${details}`);
+                onWarning(`Could not fetch news for ${failures.map(f => f.symbol).join(', ')}.`, new Error(details));
+            }
+            return perTicker.flatMap(result => result.value || []).filter(Boolean);
+        }
+        const xml = await fetchText(config.url, signal);
+        const articles = parseFeed(xml).map(raw => normalizeArticle(raw)).filter(Boolean);
+        return assignToTickers(articles, tickers);
+    },
+};
+
+// Expects either an array of articles or an object with an "articles" array.
+const jsonFileAdapter = {
+    id: 'json',
+    label: 'JSON File / Feed Server',
+    requiresUrl: true,
+    fetchArticles: async (tickers, config, { signal } = {}) => {
+        const data = JSON.parse(await fetchText(config.url, signal));
+        const rawArticles = Array.isArray(data) ? data : (data.articles || []);
+        const articles = rawArticles.map(raw => normalizeArticle(raw)).filter(Boolean);
+        return assignToTickers(articles, tickers);
+    },
+};
+
+export const NEWS_SOURCE_ADAPTERS = {
+    [mockAdapter.id]: mockAdapter,
+    [rssAdapter.id]: rssAdapter,
+    [jsonFileAdapter.id]: jsonFileAdapter,
+};
+
+/**
+ * Fetches articles for the given tickers from the configured news source.
+ * @param {string[]} tickers - Portfolio tickers to fetch news for.
+ * @param {object} sourceConfig - The user's news source settings ({ type, url }).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels in-flight feed requests.
+ * @param {function} [options.onWarning] - (message, error) for tickers whose news could not be fetched while others succeeded.
+ * @returns {Promise<object[]>} Articles in the common article shape.
+ */
+export const fetchNewsArticles = async (tickers, sourceConfig = DEFAULT_NEWS_SOURCE, { signal, onWarning } = {}) => {
+    const adapter = NEWS_SOURCE_ADAPTERS[sourceConfig.type];
+    if (!adapter) {
+        throw new Error(`Unknown news source: ${sourceConfig.type}`);
+    }
+    if (adapter.requiresUrl && !sourceConfig.url) {
+        throw new Error(`The ${adapter.label} news source requires a URL.`);
+    }
+    return adapter.fetchArticles(tickers, sourceConfig, { signal, onWarning });
+};
@@ -0,0 +1,273 @@
+// --- PORTFOLIO IMPORT / EXPORT ---
+//
+// Imports are parsed into rows ({ symbol, quantity, cost, currency, date }), then classified
+// against the current portfolio for a preview before anything is written. Several rows for the
+// same symbol become purchase lots of one holding.
+
+import { CURRENCIES, DEFAULT_CURRENCY, buildHoldingDoc } from './holdings';
+import { SYMBOL_PATTERN } from './symbolMaster';
+
+/**
+ * Splits CSV text into rows of cells, honoring double-quoted fields ("a,b" and "" escapes).
+ * @param {string} text - CSV content.
+ * @returns {string[][]} Rows of trimmed cells; blank lines are dropped.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    return rows.filter(r => r.some(c => c !== ''));
+};
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Reads portfolio rows from CSV. Requires a symbol (or ticker) and quantity (or shares) column;
+ * cost (or price / average cost), currency and date columns are optional. A row with an empty
+ * quantity is a ticker-only holding (as exported for holdings without lots).
+ * @param {string} text - CSV content.
+ * @returns {object[]} Raw rows { line, symbol, quantity, cost, currency, date }.
+ */
+export const parsePortfolioCsv = (text) => {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error('The CSV file is empty.');
+
+    const headers = header.map(h => h.toLowerCase());
+    const column = (...names) => headers.findIndex(h => names.includes(h));
+    const cols = {
+        symbol: column('symbol', 'ticker'),
+        quantity: column('quantity', 'shares', 'qty', 'units'),
+        cost: column('cost', 'price', 'average cost', 'avg cost', 'cost basis per share'),
+        currency: column('currency'),
+        date: column('date', 'purchase date', 'trade date'),
+    };
+    if (cols.symbol === -1 || cols.quantity === -1) {
+        throw new Error('The CSV needs a "symbol" and a "quantity" column.');
+    }
+
+    return lines.map((cells, index) => ({
+        line: index + 2,
+        symbol: cells[cols.symbol] || '',
+        quantity: toNumber(cells[cols.quantity]),
+        cost: cols.cost === -1 ? null : toNumber(cells[cols.cost]),
+        currency: cols.currency === -1 ? '' : cells[cols.currency] || '',
+        date: cols.date === -1 ? '' : cells[cols.date] || '',
+    }));
+};
+
+// OFX 1.x is SGML (closing tags optional), OFX 2.x is XML; reading a value up to the next tag handles both.
+const ofxValue = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+};
+
+const ofxBlocks = (text, tag) => text.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+
+const ofxDate = (value) => /^\d{8}/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : '';
+
+const BUY_TAGS = ['BUYSTOCK', 'BUYMF', 'BUYOTHER', 'REINVEST'];
+const SELL_TAGS = ['SELLSTOCK', 'SELLMF', 'SELLOTHER'];
+const POSITION_TAGS = ['POSSTOCK', 'POSMF', 'POSOTHER'];
+
+// Fund units have many decimals; keeps FIFO arithmetic from leaving 1e-15 remainders
+const roundUnits = (units) => Math.round(units * 1e8) / 1e8;
+
+// Removes units from lots, oldest first
+const sellFirstInFirstOut = (lots, units) => {
+    let remaining = units;
+    return lots.flatMap(lot => {
+        const sold = Math.min(lot.quantity, remaining);
+        remaining = roundUnits(remaining - sold);
+        const left = roundUnits(lot.quantity - sold);
+        return left > 0 ? [{ ...lot, quantity: left }] : [];
+    });
+};
+
+// Makes lots add up to the reported position: a statement's transactions may not reach back to
+// every purchase (the missing units get an unknown cost) or forward to every sale.
+const reconcileWithPosition = (lots, units) => {
+    if (!Number.isFinite(units) || units <= 0) return [{ quantity: units, cost: null, date: '' }]; // Flagged invalid in the preview
+    const held = roundUnits(lots.reduce((sum, lot) => sum + lot.quantity, 0));
+    if (held > units) return sellFirstInFirstOut(lots, roundUnits(held - units));
+    if (held < units) return [{ quantity: roundUnits(units - held), cost: null, date: '' }, ...lots];
+    return lots;
+};
+
+/**
+ * Reads portfolio rows from an OFX/QFX brokerage export. Quantities come from the position list
+ * when the file has one; buys (less sells, first in first out) supply the lots and their trade
+ * prices, and units without buy history are imported with an unknown cost. A file with
+ * transactions only is imported as buys less sells.
+ * @param {string} text - OFX or QFX content.
+ * @returns {object[]} Raw rows { line, symbol, quantity, cost, currency, date }.
+ */
+export const parseOfx = (text) => {
+    const currency = ofxValue(text, 'CURDEF') || DEFAULT_CURRENCY;
+
+    // Map security ids (usually CUSIPs) to tickers
+    const tickers = {};
+    ofxBlocks(text, 'SECINFO').forEach(info => {
+        tickers[ofxValue(info, 'UNIQUEID')] = ofxValue(info, 'TICKER');
+    });
+    const symbolOf = (block) => tickers[ofxValue(block, 'UNIQUEID')] || ofxValue(block, 'UNIQUEID');
+    const readBlocks = (tags) => tags.flatMap(tag => ofxBlocks(text, tag)).map(block => ({
+        symbol: symbolOf(block),
+        units: toNumber(ofxValue(block, 'UNITS')),
+        cost: toNumber(ofxValue(block, 'UNITPRICE')),
+        date: ofxDate(ofxValue(block, 'DTTRADE')),
+    }));
+
+    const buys = readBlocks(BUY_TAGS);
+    const sells = readBlocks(SELL_TAGS);
+    const positions = readBlocks(POSITION_TAGS);
+    if (buys.length === 0 && positions.length === 0) {
+        throw new Error('No positions or buy transactions found in the OFX file.');
+    }
+
+    // Buy lots per symbol, oldest first; buys without a usable quantity are kept as rows for the preview to flag
+    const lotsBySymbol = new Map();
+    const invalidBuys = buys.filter(buy => !Number.isFinite(buy.units) || buy.units <= 0);
+    buys.filter(buy => !invalidBuys.includes(buy))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(({ symbol, units, cost, date }) => {
+            lotsBySymbol.set(symbol, [...(lotsBySymbol.get(symbol) || []), { quantity: units, cost, date }]);
+        });
+
+    // Sells report negative units
+    const soldUnits = {};
+    sells.filter(sell => Number.isFinite(sell.units)).forEach(({ symbol, units }) => {
+        soldUnits[symbol] = roundUnits((soldUnits[symbol] || 0) + Math.abs(units));
+    });
+
+    const positionUnits = new Map();
+    positions.forEach(({ symbol, units }) => positionUnits.set(symbol, roundUnits((positionUnits.get(symbol) || 0) + units)));
+
+    // With a position list, symbols missing from it have been sold off
+    const symbols = positions.length > 0 ? [...positionUnits.keys()] : [...lotsBySymbol.keys()];
+    let line = 0;
+    const rows = symbols.flatMap(symbol => {
+        let lots = sellFirstInFirstOut(lotsBySymbol.get(symbol) || [], soldUnits[symbol] || 0);
+        if (positions.length > 0) lots = reconcileWithPosition(lots, positionUnits.get(symbol));
+        return lots.map(lot => ({ line: ++line, symbol, ...lot, currency }));
+    });
+    invalidBuys.forEach(buy => rows.push({ line: ++line, symbol: buy.symbol, quantity: buy.units ?? NaN, cost: buy.cost, currency, date: buy.date }));
+
+    if (rows.length === 0) {
+        throw new Error('Every position in the OFX file has been sold.');
+    }
+    return rows;
+};
+
+/**
+ * Parses an import file by extension.
+ * @param {string} fileName
+ * @param {string} text - File content.
+ * @returns {object[]} Raw rows.
+ */
+export const parseImportFile = (fileName, text) => {
+    if (/\.(ofx|qfx)$/i.test(fileName)) return parseOfx(text);
+    return parsePortfolioCsv(text);
+};
+
+const validateRow = (row) => {
+    const symbol = row.symbol.trim().toUpperCase();
+    const currency = (row.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) return { symbol, reason: `Invalid symbol "${row.symbol}".` };
+    if (Number.isNaN(row.quantity) || (row.quantity !== null && row.quantity <= 0)) return { symbol, reason: 'Quantity must be a positive number.' };
+    if (Number.isNaN(row.cost) || (row.cost !== null && row.cost < 0)) return { symbol, reason: 'Cost must be a non-negative number.' };
+    if (!CURRENCIES.includes(currency)) return { symbol, reason: `Unsupported currency "${row.currency}".` };
+    return { symbol, currency, reason: null };
+};
+
+/**
+ * Classifies imported rows against the current portfolio for the preview.
+ * @param {object[]} rows - Raw rows from a parser.
+ * @param {string[]} existingTickers - Tickers already in the portfolio.
+ * @returns {{ rows: object[], holdings: object[] }} Every row with status 'new' | 'duplicate' | 'invalid'
+ *     (and a reason), plus the holdings ({ ticker, currency, lots }) that would be created. Rows without
+ *     a quantity add the ticker with no lots.
+ */
+export const classifyImportRows = (rows, existingTickers) => {
+    const holdings = new Map();
+    const classified = rows.map(row => {
+        const { symbol, currency, reason } = validateRow(row);
+        if (reason) return { ...row, symbol, status: 'invalid', reason };
+        if (existingTickers.includes(symbol)) return { ...row, symbol, status: 'duplicate', reason: 'Already in portfolio; skipped.' };
+
+        const holding = holdings.get(symbol) || { ticker: symbol, currency, lots: [] };
+        if (holding.currency !== currency) {
+            return { ...row, symbol, status: 'invalid', reason: `Currency ${currency} differs from earlier ${symbol} rows (${holding.currency}).` };
+        }
+        holdings.set(symbol, holding);
+        if (row.quantity === null) return { ...row, symbol, currency, status: 'new', reason: 'No quantity; added without a position.' };
+        holding.lots.push({ quantity: row.quantity, price: row.cost ?? 0, date: row.date });
+        return { ...row, symbol, currency, status: 'new', reason: row.cost === null ? 'Cost unknown; recorded as 0.' : null };
+    });
+    return { rows: classified, holdings: [...holdings.values()] };
+};
+
+// --- EXPORT ---
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes holdings to CSV, one row per lot (holdings without lots get a single row with no quantity,
+ * which the importer reads back as a ticker-only holding), in the same columns the importer reads.
+ * @param {object[]} holdings - Normalized holdings.
+ * @returns {string} CSV text.
+ */
+export const exportHoldingsCsv = (holdings) => {
+    const lines = [['symbol', 'quantity', 'cost', 'currency', 'date']];
+    holdings.forEach(holding => {
+        if (holding.lots.length === 0) {
+            lines.push([holding.ticker, '', '', holding.currency, '']);
+        }
+        holding.lots.forEach(lot => lines.push([holding.ticker, lot.quantity, lot.price, holding.currency, lot.date]));
+    });
+    return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Serializes holdings to JSON in the stored document shape.
+ * @param {object[]} holdings - Normalized holdings.
+ * @returns {string} Pretty-printed JSON.
+ */
+export const exportHoldingsJson = (holdings) =>
+    JSON.stringify(holdings.map(holding => buildHoldingDoc(holding.ticker, holding)), null, 2);
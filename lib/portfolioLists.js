@@ -0,0 +1,74 @@
+// --- PORTFOLIOS & WATCHLISTS ---
+//
+// A user owns any number of named lists, each either a portfolio (holdings with positions)
+// or a watchlist (tickers only). List metadata lives in `lists/{listId}`:
+//
+//   { name, type: 'portfolio' | 'watchlist', createdAt }
+//
+// Holdings of a list live in `lists/{listId}/holdings/{ticker}`. The default list keeps using
+// the original `portfolios` collection, so data from before lists existed needs no migration.
+
+export const LIST_TYPES = {
+    portfolio: { id: 'portfolio', label: 'Portfolio' },
+    watchlist: { id: 'watchlist', label: 'Watchlist' },
+};
+
+export const DEFAULT_LIST_ID = 'default';
+export const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: 'My Portfolio', type: 'portfolio', createdAt: null };
+
+// Digest scope meaning "every list" rather than a single list id
+export const ALL_LISTS = 'all';
+
+/**
+ * Firestore collection path holding a list's tickers.
+ * @param {string} userPath - `/artifacts/{appId}/users/{userId}`
+ * @param {string} listId
+ */
+export const getHoldingsPath = (userPath, listId) =>
+    listId === DEFAULT_LIST_ID ? `${userPath}/portfolios` : `${userPath}/lists/${listId}/holdings`;
+
+/**
+ * Builds the list of lists from `lists` documents, always including the default list first
+ * (it has no document until it is renamed).
+ * @param {object[]} listDocs - [{ id, name, type, createdAt }]
+ * @returns {object[]} Lists sorted with the default first, then by creation time.
+ */
+export const withDefaultList = (listDocs) => {
+    const storedDefault = listDocs.find(list => list.id === DEFAULT_LIST_ID);
+    const others = listDocs
+        .filter(list => list.id !== DEFAULT_LIST_ID)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    return [{ ...DEFAULT_LIST, ...storedDefault, type: 'portfolio' }, ...others];
+};
+
+/**
+ * Validates a list name against the user's existing lists.
+ * @param {string} name
+ * @param {object[]} lists - Existing lists.
+ * @param {string} [ignoreId] - List being renamed.
+ * @returns {string|null} An error message, or null if the name is acceptable.
+ */
+export const validateListName = (name, lists, ignoreId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'List name is required.';
+    if (trimmed.length > 60) return 'List name must be at most 60 characters.';
+    if (lists.some(list => list.id !== ignoreId && list.name.toLowerCase() === trimmed.toLowerCase())) {
+        return `A list named "${trimmed}" already exists.`;
+    }
+    return null;
+};
+
+/**
+ * Maps each ticker to the lists that contain it.
+ * @param {object[]} listHoldings - [{ list, tickers }]
+ * @returns {Object<string, object[]>} { [ticker]: [list, ...] }
+ */
+export const indexListsByTicker = (listHoldings) => {
+    const index = {};
+    listHoldings.forEach(({ list, tickers }) => {
+        tickers.forEach(ticker => {
+            (index[ticker] = index[ticker] || []).push(list);
+        });
+    });
+    return index;
+};
@@ -0,0 +1,207 @@
+// --- PRICE DATA PROVIDERS ---
+//
+// A price provider supplies quotes and daily closing history:
+//
+//   getQuotes(tickers)  -> { [ticker]: { price, asOf } }
+//   getHistory(tickers) -> { [ticker]: [{ date: 'YYYY-MM-DD', close }] }   (oldest first)
+//
+// Tickers the provider knows nothing about are simply absent from the result.
+// The local adapters read a CSV or JSON file so the widget works fully offline.
+
+export const DEFAULT_PRICE_SOURCE = { type: 'none', url: '' };
+
+/**
+ * Parses price rows from CSV with a header row containing date, symbol and close columns
+ * (extra columns are ignored; "ticker" and "price" are accepted as aliases).
+ * @param {string} text - CSV content.
+ * @returns {object[]} Rows of { symbol, date, close }.
+ */
+export const parsePriceCsv = (text) => {
+    const [headerLine, ...lines] = text.trim().split(/\r?\n/);
+    const headers = headerLine.split(',').map(h => h.trim().toLowerCase());
+    const column = (...names) => headers.findIndex(h => names.includes(h));
+    const dateCol = column('date');
+    const symbolCol = column('symbol', 'ticker');
+    const closeCol = column('close', 'adj close', 'price');
+    if (dateCol === -1 || symbolCol === -1 || closeCol === -1) {
+        throw new Error('Price CSV must have date, symbol and close columns.');
+    }
+
+    return lines.map(line => {
+        const cells = line.split(',').map(c => c.trim());
+        return { symbol: cells[symbolCol], date: cells[dateCol], close: Number(cells[closeCol]) };
+    });
+};
+
+/**
+ * Parses price rows from JSON: either an array of { symbol, date, close } rows or an object
+ * mapping each symbol to its [{ date, close }] history.
+ * @param {object|object[]} data - Parsed JSON.
+ * @returns {object[]} Rows of { symbol, date, close }.
+ */
+export const parsePriceJson = (data) => {
+    if (Array.isArray(data)) {
+        return data.map(row => ({ symbol: row.symbol || row.ticker, date: row.date, close: Number(row.close ?? row.price) }));
+    }
+    return Object.entries(data).flatMap(([symbol, points]) =>
+        points.map(point => ({ symbol, date: point.date, close: Number(point.close ?? point.price) })));
+};
+
+// Groups valid rows into per-symbol histories sorted by date.
+const groupHistory = (rows) => {
+    const history = {};
+    rows
+        .filter(row => row.symbol && /^\d{4}-\d{2}-\d{2}/.test(row.date || '') && Number.isFinite(row.close) && row.close > 0)
+        .forEach(row => {
+            const symbol = row.symbol.toUpperCase();
+            (history[symbol] = history[symbol] || []).push({ date: row.date.slice(0, 10), close: row.close });
+        });
+    Object.values(history).forEach(points => points.sort((a, b) => a.date.localeCompare(b.date)));
+    return history;
+};
+
+// Local file provider: the file is fetched once and served from memory afterwards.
+const createLocalFileProvider = (url, parse) => {
+    let historyPromise = null;
+    const loadHistory = () => {
+        if (!historyPromise) {
+            historyPromise = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.text();
+                })
+                .then(text => groupHistory(parse(text)))
+                .catch(error => {
+                    historyPromise = null; // Allow a retry on the next call
+                    throw error;
+                });
+        }
+        return historyPromise;
+    };
+
+    return {
+        getHistory: async (tickers) => {
+            const history = await loadHistory();
+            return Object.fromEntries(tickers.filter(t => history[t]).map(t => [t, history[t]]));
+        },
+        getQuotes: async (tickers) => {
+            const history = await loadHistory();
+            return Object.fromEntries(tickers.filter(t => history[t]).map(t => {
+                const last = history[t][history[t].length - 1];
+                return [t, { price: last.close, asOf: last.date }];
+            }));
+        },
+    };
+};
+
+export const PRICE_SOURCES = {
+    none: { id: 'none', label: 'None', requiresUrl: false, create: () => null },
+    csv: { id: 'csv', label: 'Local CSV File', requiresUrl: true, create: (url) => createLocalFileProvider(url, parsePriceCsv) },
+    json: { id: 'json', label: 'Local JSON File', requiresUrl: true, create: (url) => createLocalFileProvider(url, text => parsePriceJson(JSON.parse(text))) },
+};
+
+/**
+ * Creates the price provider for the user's settings.
+ * @param {object} sourceConfig - { type, url }
+ * @returns {object|null} The provider, or null when no price source is configured.
+ */
+export const createPriceProvider = (sourceConfig = DEFAULT_PRICE_SOURCE) => {
+    const source = PRICE_SOURCES[sourceConfig.type];
+    if (!source || (source.requiresUrl && !sourceConfig.url)) return null;
+    return source.create(sourceConfig.url);
+};
+
+// --- PORTFOLIO PERFORMANCE ---
+
+/**
+ * Builds the daily value of the current holdings over time. A ticker's last known close is
+ * carried forward over days it has no price (e.g. different exchange holidays); days before
+ * the first price of every ticker are skipped so the series never jumps when a ticker's data starts.
+ * @param {object[]} holdings - Normalized holdings ({ ticker, quantity }).
+ * @param {object} history - { [ticker]: [{ date, close }] }
+ * @returns {object[]} [{ date, value }] oldest first.
+ */
+export const buildValueSeries = (holdings, history) => {
+    const priced = holdings.filter(holding => holding.quantity > 0 && history[holding.ticker]?.length);
+    if (priced.length === 0) return [];
+
+    const start = priced.map(h => history[h.ticker][0].date).sort().pop();
+    const dates = [...new Set(priced.flatMap(h => history[h.ticker].map(point => point.date)))]
+        .filter(date => date >= start)
+        .sort();
+
+    const cursors = Object.fromEntries(priced.map(h => [h.ticker, 0]));
+    return dates.map(date => {
+        const value = priced.reduce((sum, holding) => {
+            const points = history[holding.ticker];
+            while (cursors[holding.ticker] + 1 < points.length && points[cursors[holding.ticker] + 1].date <= date) {
+                cursors[holding.ticker]++;
+            }
+            return sum + holding.quantity * points[cursors[holding.ticker]].close;
+        }, 0);
+        return { date, value };
+    });
+};
+
+// Value on the last day on or before the given date (null if the series starts later).
+const valueOnOrBefore = (series, date) => {
+    for (let i = series.length - 1; i >= 0; i--) {
+        if (series[i].date <= date) return series[i].value;
+    }
+    return null;
+};
+
+/**
+ * Moves a YYYY-MM-DD date by a number of days.
+ * @param {string} date
+ * @param {number} days - Negative to go back.
+ */
+export const shiftDate = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Computes returns of a value series relative to its latest point.
+ * @param {object[]} series - [{ date, value }] oldest first.
+ * @returns {{ oneDay: number|null, oneWeek: number|null, ytd: number|null }} Fractional returns
+ *     (0.05 = +5%), null when the series does not reach back far enough.
+ */
+export const computeReturns = (series) => {
+    if (series.length < 2) return { oneDay: null, oneWeek: null, ytd: null };
+
+    const latest = series[series.length - 1];
+    const change = (base) => (base ? latest.value / base - 1 : null);
+    const yearStart = `${latest.date.slice(0, 4)}-01-01`;
+
+    return {
+        oneDay: change(series[series.length - 2].value),
+        oneWeek: change(valueOnOrBefore(series, shiftDate(latest.date, -7))),
+        // YTD is measured from the last close of the previous year, or the first close this year if history starts later
+        ytd: change(valueOnOrBefore(series, shiftDate(yearStart, -1)) ?? series.find(point => point.date >= yearStart).value),
+    };
+};
+
+export const CHART_RANGES = [
+    { key: '1M', label: '1M', days: 31 },
+    { key: '3M', label: '3M', days: 92 },
+    { key: 'YTD', label: 'YTD', days: null },
+    { key: '1Y', label: '1Y', days: 366 },
+    { key: 'ALL', label: 'All', days: Infinity },
+];
+
+/**
+ * Slices a value series to a chart range ending at its latest point.
+ * @param {object[]} series - [{ date, value }] oldest first.
+ * @param {string} rangeKey - One of CHART_RANGES' keys.
+ */
+export const sliceSeries = (series, rangeKey) => {
+    if (series.length === 0) return series;
+    const range = CHART_RANGES.find(r => r.key === rangeKey) || CHART_RANGES[CHART_RANGES.length - 1];
+    if (range.days === Infinity) return series;
+
+    const latestDate = series[series.length - 1].date;
+    const from = range.days === null ? shiftDate(`${latestDate.slice(0, 4)}-01-01`, -1) : shiftDate(latestDate, -range.days);
+    return series.filter(point => point.date >= from);
+};
@@ -0,0 +1,94 @@
+// --- SENTIMENT TREND ---
+//
+// Turns stored digest items from every run into a daily net sentiment series per ticker. Each
+// item scores +1 (POSITIVE), -1 (NEGATIVE) or 0 (NEUTRAL) times its impact weight, and counts
+// on the day the article was published. An article stored by several runs counts once. Days
+// without news are filled in so every series has one point per day:
+//
+//   { [symbol]: [{ date: 'YYYY-MM-DD', net, positive, negative, neutral }] }   (oldest first)
+
+import { shiftDate } from './priceData';
+import { getArticleKey } from './companyMentions';
+import { isFailedItem } from './digestHistory';
+import { IMPACT_WEIGHTS } from './analysisValidation';
+
+export const TREND_DAYS = 90; // Days of digest items loaded for the trend
+export const SPARKLINE_DAYS = 14;
+
+export const TREND_RANGES = [
+    { key: '7D', label: '7D', days: 7 },
+    { key: '30D', label: '30D', days: 30 },
+    { key: '90D', label: '90D', days: 90 },
+];
+
+const SENTIMENT_SCORES = { POSITIVE: 1, NEGATIVE: -1, NEUTRAL: 0 };
+
+/**
+ * Impact-weighted sentiment of one digest item (-3 to +3).
+ * @param {object} item - Digest item ({ sentiment, impact }).
+ */
+export const scoreItem = (item) => (SENTIMENT_SCORES[item.sentiment] ?? 0) * (IMPACT_WEIGHTS[item.impact] || 1);
+
+/**
+ * Day an item counts on: its publication date, or the day it was stored when that is unknown.
+ * @param {object} item - Digest item.
+ * @returns {string} YYYY-MM-DD (UTC).
+ */
+export const getItemDate = (item) => {
+    const published = Date.parse(item.publishedAt);
+    return new Date(Number.isNaN(published) ? item.createdAt : published).toISOString().slice(0, 10);
+};
+
+/**
+ * Drops failed analyses and repeat copies of an article stored by later runs (the newest copy wins).
+ * @param {object[]} items - Stored digest items, newest first.
+ * @returns {object[]} One item per ticker and article.
+ */
+export const dedupeTrendItems = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        if (isFailedItem(item) || !item.sentiment) return false;
+        const key = `${item.symbol}|${getArticleKey(item)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Builds the daily net sentiment series of every ticker with items in the window.
+ * @param {object[]} items - Stored digest items from any number of runs, newest first.
+ * @param {object} [options]
+ * @param {string} [options.endDate] - Last day of the series (YYYY-MM-DD); defaults to today (UTC).
+ * @param {number} [options.days] - Length of each series.
+ * @param {string[]} [options.symbols] - Tickers that get a (flat) series even without news.
+ * @returns {object} Series by symbol (see the header comment).
+ */
+export const buildSentimentTrend = (items, { endDate = new Date().toISOString().slice(0, 10), days = TREND_DAYS, symbols = [] } = {}) => {
+    const startDate = shiftDate(endDate, -(days - 1));
+    const dates = Array.from({ length: days }, (_, index) => shiftDate(startDate, index));
+    const emptySeries = () => dates.map(date => ({ date, net: 0, positive: 0, negative: 0, neutral: 0 }));
+
+    const trend = Object.fromEntries(symbols.map(symbol => [symbol, emptySeries()]));
+    dedupeTrendItems(items).forEach(item => {
+        const date = getItemDate(item);
+        if (date < startDate || date > endDate) return;
+
+        const series = trend[item.symbol] = trend[item.symbol] || emptySeries();
+        const point = series[dates.indexOf(date)];
+        point.net += scoreItem(item);
+        point[(item.sentiment || 'NEUTRAL').toLowerCase()] += 1;
+    });
+    return trend;
+};
+
+/**
+ * Net sentiment over the last days of a series.
+ * @param {object[]} points - A ticker's series.
+ * @param {number} [days] - Trailing days to add up; the whole series by default.
+ * @returns {{ net: number, count: number }} Summed net score and number of items.
+ */
+export const summarizeTrend = (points = [], days = points.length) => points.slice(-days).reduce(
+    (total, point) => ({ net: total.net + point.net, count: total.count + point.positive + point.negative + point.neutral }),
+    { net: 0, count: 0 }
+);
@@ -0,0 +1,120 @@
+// --- STORY CLUSTERING ---
+//
+// Runs between fetching and summarizing: the same story reported by several outlets is
+// grouped into one cluster so it is analyzed once and shown as one digest entry listing every
+// source. Articles are compared with TF-IDF cosine similarity over their title and content;
+// pairs above the threshold (and published close enough in time) are linked, and linked
+// articles form a story (single-link clustering).
+
+export const DEFAULT_CLUSTERING = {
+    enabled: true,
+    threshold: 0.35, // Minimum cosine similarity (0-1) for two articles to be the same story
+    windowHours: 48, // Articles published further apart are never merged
+};
+
+const STOPWORDS = new Set(('a an and are as at be been but by for from has have in into is it its new of on or over '
+    + 'said says that the their this to was were will with after before about than more most also which who while').split(' '));
+
+/**
+ * Splits text into normalized terms (lowercase, stopwords and very short words dropped, plural "s" stripped).
+ * @param {string} text
+ * @returns {string[]} Terms.
+ */
+export const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+// The title is counted twice: headlines are short but the most telling part of a story.
+const articleTerms = (article) => tokenize(`${article.title} ${article.title} ${article.content}`);
+
+/**
+ * Builds TF-IDF vectors for a batch of articles (IDF is computed over the batch itself).
+ * @param {object[]} articles - Articles with title and content.
+ * @returns {Map<string, number>[]} One sparse vector per article.
+ */
+export const buildTfIdfVectors = (articles) => {
+    const termCounts = articles.map(article => {
+        const counts = new Map();
+        articleTerms(article).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    });
+
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+    const total = articles.length;
+    return termCounts.map(counts => {
+        const vector = new Map();
+        counts.forEach((count, term) => {
+            const idf = Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1;
+            vector.set(term, (1 + Math.log(count)) * idf);
+        });
+        return vector;
+    });
+};
+
+/**
+ * Cosine similarity of two sparse vectors.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} Similarity in [0, 1].
+ */
+export const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    a.forEach((weight, term) => {
+        if (b.has(term)) dot += weight * b.get(term);
+    });
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+};
+
+const hoursApart = (a, b) => {
+    const diff = Math.abs(Date.parse(a.publishedAt) - Date.parse(b.publishedAt));
+    return Number.isNaN(diff) ? 0 : diff / 3600000; // Unknown dates never block a merge
+};
+
+/**
+ * Groups articles about the same story.
+ * @param {object[]} articles - Merged articles ({ symbols, title, content, source, url, publishedAt }).
+ * @param {object} [options] - Overrides for DEFAULT_CLUSTERING.
+ * @returns {object[]} One entry per story: the representative article (the one with the most
+ *     content) with `symbols` merged across the cluster and `sources` listing every contributing
+ *     article ({ source, title, url, publishedAt }), earliest first.
+ */
+export const clusterArticles = (articles, options = {}) => {
+    const { enabled, threshold, windowHours } = { ...DEFAULT_CLUSTERING, ...options };
+
+    // Union-find over article indexes
+    const parent = articles.map((_, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    if (enabled && articles.length > 1) {
+        const vectors = buildTfIdfVectors(articles);
+        for (let i = 0; i < articles.length; i++) {
+            for (let j = i + 1; j < articles.length; j++) {
+                if (hoursApart(articles[i], articles[j]) > windowHours) continue;
+                if (cosineSimilarity(vectors[i], vectors[j]) >= threshold) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+    }
+
+    const clusters = new Map();
+    articles.forEach((article, index) => {
+        const root = find(index);
+        clusters.set(root, [...(clusters.get(root) || []), article]);
+    });
+
+    return [...clusters.values()].map(members => {
+        const representative = members.reduce((best, article) => (article.content.length > best.content.length ? article : best));
+        return {
+            ...representative,
+            symbols: [...new Set(members.flatMap(article => article.symbols || [article.symbol]))],
+            sources: members
+                .map(({ source, title, url, publishedAt }) => ({ source, title, url, publishedAt }))
+                .sort((a, b) => (a.publishedAt || '').localeCompare(b.publishedAt || '')),
+        };
+    });
+};
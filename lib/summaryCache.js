@@ -0,0 +1,86 @@
+// --- SUMMARY CACHE ---
+//
+// AI summaries are cached under a SHA-256 hash of the article content, provider, model and
+// prompt version (plus the company directory for providers that read it), so re-running a
+// digest only pays for articles that actually changed.
+// An in-memory Map sits in front of a pluggable persistent store ({ get(key), set(key, entry) }),
+// which the app backs with Firestore.
+
+export const SUMMARY_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const sha256Hex = async (input) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Builds the cache key for an article analysis.
+ * @param {object} parts - { content, provider, model, promptVersion, directoryHash }, where directoryHash
+ *     (from hashDirectory) is given only for providers whose output depends on the company directory.
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest.
+ */
+export const hashSummaryKey = ({ content, provider, model, promptVersion, directoryHash = null }) => {
+    const parts = [promptVersion, provider, model, content];
+    return sha256Hex(JSON.stringify(directoryHash ? [...parts, directoryHash] : parts));
+};
+
+const directoryHashes = new WeakMap(); // The directory is one shared array, so it is hashed once
+
+/**
+ * Fingerprint of a company directory, so analyses made with an older symbol list are not reused.
+ * @param {object[]} directory - Known companies ([{ symbol, name }]).
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest.
+ */
+export const hashDirectory = (directory) => {
+    if (!directoryHashes.has(directory)) {
+        directoryHashes.set(directory, sha256Hex(JSON.stringify(directory.map(({ symbol, name }) => [symbol, name]))));
+    }
+    return directoryHashes.get(directory);
+};
+
+/**
+ * Creates a two-level (memory + persistent store) summary cache.
+ * @param {object} options
+ * @param {object} [options.store] - Persistent store with async get(key) and set(key, entry); optional.
+ * @param {number} [options.ttlMs] - Entries older than this are treated as missing.
+ * @param {function} [options.now] - Clock returning epoch milliseconds (injectable for tests).
+ * @returns {{ get: function, set: function, clearMemory: function }}
+ */
+export const createSummaryCache = ({ store = null, ttlMs = SUMMARY_CACHE_TTL_MS, now = Date.now } = {}) => {
+    const memory = new Map();
+    const isFresh = (entry) => entry && now() - entry.cachedAt < ttlMs;
+
+    return {
+        /** Returns the cached analysis for a key, or null on a miss or expired entry. */
+        get: async (key) => {
+            const memoryEntry = memory.get(key);
+            if (isFresh(memoryEntry)) return memoryEntry.analysis;
+            memory.delete(key);
+
+            if (!store) return null;
+            try {
+                const storedEntry = await store.get(key);
+                if (!isFresh(storedEntry)) return null;
+                memory.set(key, storedEntry);
+                return storedEntry.analysis;
+            } catch (error) {
+                console.warn("Summary cache read failed, treating as a miss:", error);
+                return null;
+            }
+        },
+
+        /** Stores an analysis in memory and in the persistent store. */
+        set: async (key, analysis, metadata = {}) => {
+            const entry = { ...metadata, analysis, cachedAt: now() };
+            memory.set(key, entry);
+            if (!store) return;
+            try {
+                await store.set(key, entry);
+            } catch (error) {
+                console.warn("Summary cache write failed:", error);
+            }
+        },
+
+        clearMemory: () => memory.clear(),
+    };
+};
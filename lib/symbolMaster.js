@@ -0,0 +1,79 @@
+// --- SYMBOL MASTER ---
+//
+// Reference list of tradable symbols loaded from a bundled file (data/symbols.json):
+//
+//   [{ symbol, name, exchange, assetType: 'stock' | 'etf' | ..., sector }]
+//
+// Used to autocomplete the add-ticker input, catch typos before they reach a portfolio and
+// show company names next to tickers.
+
+export const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+
+export const MAX_SUGGESTIONS = 8;
+
+/**
+ * Builds a symbol master from raw rows, dropping rows without a valid symbol.
+ * @param {object[]} rows - [{ symbol, name, exchange, assetType, sector }]
+ * @returns {object} { entries, lookup(symbol), search(query, limit) }
+ */
+export const createSymbolMaster = (rows = []) => {
+    const bySymbol = new Map();
+    rows.forEach(row => {
+        const symbol = String(row.symbol || '').trim().toUpperCase();
+        if (!SYMBOL_PATTERN.test(symbol) || bySymbol.has(symbol)) return;
+        bySymbol.set(symbol, {
+            symbol,
+            name: row.name || symbol,
+            exchange: row.exchange || '',
+            assetType: row.assetType || 'stock',
+            sector: row.sector || '',
+        });
+    });
+    const entries = [...bySymbol.values()];
+
+    return {
+        entries,
+        /** The entry for a symbol, or null if unknown. */
+        lookup: (symbol) => bySymbol.get(String(symbol || '').toUpperCase()) || null,
+        /**
+         * Finds entries by ticker prefix or company name. Exact ticker matches come first, then
+         * ticker prefixes, then names starting with the query, then names containing it.
+         * @param {string} query
+         * @param {number} [limit]
+         */
+        search: (query, limit = MAX_SUGGESTIONS) => {
+            const q = query.trim().toLowerCase();
+            if (!q) return [];
+
+            const rank = (entry) => {
+                const symbol = entry.symbol.toLowerCase();
+                const name = entry.name.toLowerCase();
+                if (symbol === q) return 0;
+                if (symbol.startsWith(q)) return 1;
+                if (name.startsWith(q)) return 2;
+                if (name.split(/\s+/).some(word => word.startsWith(q))) return 3;
+                return null;
+            };
+            return entries
+                .map(entry => ({ entry, score: rank(entry) }))
+                .filter(({ score }) => score !== null)
+                .sort((a, b) => a.score - b.score || a.entry.symbol.localeCompare(b.entry.symbol))
+                .slice(0, limit)
+                .map(({ entry }) => entry);
+        },
+    };
+};
+
+/**
+ * Checks a ticker typed by the user against the symbol master.
+ * @param {string} input - Raw input.
+ * @param {object} master - A symbol master.
+ * @returns {{ symbol: string, status: 'known'|'unknown'|'invalid', entry: object|null }}
+ *     'unknown' symbols are well-formed but not in the master (possibly a typo, possibly just not bundled).
+ */
+export const checkTicker = (input, master) => {
+    const symbol = input.trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) return { symbol, status: 'invalid', entry: null };
+    const entry = master.lookup(symbol);
+    return { symbol, status: entry ? 'known' : 'unknown', entry };
+};
@@ -0,0 +1,72 @@
+// Validation and repair of model output in lib/analysisValidation.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_WHY_IT_MATTERS_LENGTH, validateAnalysis } from '../lib/analysisValidation';
+
+const CORE = {
+    summary: 'Microsoft won a multi-billion dollar Pentagon cloud contract.',
+    sentiment: 'positive',
+    impact: 'HIGH',
+    companies: [{ symbol: 'NASDAQ:MSFT', sentiment: 'POSITIVE', impact: 'High' }],
+};
+
+describe('validateAnalysis', () => {
+    it('accepts an analysis with only the core fields and defaults the details', () => {
+        const { valid, errors, analysis } = validateAnalysis(CORE);
+        assert.deepEqual(errors, []);
+        assert.equal(valid, true);
+        assert.deepEqual(analysis, {
+            summary: CORE.summary,
+            sentiment: 'POSITIVE',
+            impact: 'High',
+            companies: [{ symbol: 'MSFT', sentiment: 'POSITIVE', impact: 'High' }],
+            keyPoints: [],
+            catalysts: [],
+            risks: [],
+            timeHorizon: null,
+            confidence: null,
+            whyItMatters: null,
+        });
+    });
+
+    it('keeps well-formed details and repairs their format', () => {
+        const { valid, analysis } = validateAnalysis({
+            ...CORE,
+            keyPoints: [' Five-year deal ', '', 'Win over Amazon', 'a', 'b', 'c', 'd'],
+            catalysts: ['Government cloud demand'],
+            risks: [],
+            timeHorizon: 'Long',
+            confidence: '85%',
+            whyItMatters: 'Adds  recurring   revenue.',
+        });
+        assert.equal(valid, true);
+        assert.deepEqual(analysis.keyPoints, ['Five-year deal', 'Win over Amazon', 'a', 'b', 'c']);
+        assert.equal(analysis.timeHorizon, 'long');
+        assert.equal(analysis.confidence, 0.85);
+        assert.equal(analysis.whyItMatters, 'Adds recurring revenue.');
+    });
+
+    it('drops malformed details instead of failing the analysis', () => {
+        const { valid, analysis } = validateAnalysis({
+            ...CORE,
+            keyPoints: 'not a list',
+            timeHorizon: 'someday',
+            confidence: 7000,
+            whyItMatters: 'word '.repeat(100),
+        });
+        assert.equal(valid, true);
+        assert.deepEqual(analysis.keyPoints, []);
+        assert.equal(analysis.timeHorizon, null);
+        assert.equal(analysis.confidence, null);
+        assert.ok(analysis.whyItMatters.length <= MAX_WHY_IT_MATTERS_LENGTH && analysis.whyItMatters.endsWith('word…'));
+    });
+
+    it('still requires summary, sentiment, impact and companies', () => {
+        const { valid, errors } = validateAnalysis({ summary: 'Too short', sentiment: 'bullish' });
+        assert.equal(valid, false);
+        assert.equal(errors.length, 4);
+    });
+});
@@ -0,0 +1,182 @@
+// Filters, retry schedule and payloads of lib/deliveryChannels.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DELIVERY_STATUS,
+    MAX_DELIVERY_ATTEMPTS,
+    buildDeliveryPayload,
+    filterDeliveryItems,
+    isDeliveryDue,
+    planDeliveries,
+    recordDeliveryAttempt,
+} from '../lib/deliveryChannels';
+
+const NOW = new Date('2025-05-20T12:00:00Z');
+
+const item = (id, symbol, sentiment, impact, fields = {}) => ({
+    id,
+    symbol,
+    title: `${symbol} ${sentiment.toLowerCase()} story`,
+    url: `https://example.com/${id}`,
+    source: 'Reuters',
+    publishedAt: '2025-05-20T10:00:00Z',
+    status: 'ok',
+    summary: `Summary of ${id}.`,
+    sentiment,
+    impact,
+    ...fields,
+});
+
+const ITEMS = [
+    item('a', 'MSFT', 'POSITIVE', 'High'),
+    item('b', 'MSFT', 'NEGATIVE', 'Low'),
+    item('c', 'AAPL', 'NEGATIVE', 'Medium'),
+    item('d', 'AAPL', 'NEUTRAL', 'Low', { status: 'failed', error: 'The AI response could not be validated.', summary: null, sentiment: null, impact: null }),
+];
+
+const RUN = {
+    runId: 'run-1',
+    version: 7,
+    createdAt: '2025-05-20T11:00:00Z',
+    tickers: ['AAPL', 'MSFT'],
+    scopeName: 'Core',
+    trigger: 'schedule',
+    briefing: { status: 'ok', tone: 'MIXED', overview: [{ text: 'Cloud wins offset supply worries.', citations: ['a'] }], watchList: [], conflicts: [] },
+};
+
+const ids = (items) => items.map(entry => entry.id);
+
+describe('recordDeliveryAttempt', () => {
+    it('retries after 1, 5, 15 and 60 minutes, then marks the delivery failed', () => {
+        let delivery = { status: DELIVERY_STATUS.PENDING, attempts: 0 };
+        const delays = [];
+        for (let attempt = 1; attempt < MAX_DELIVERY_ATTEMPTS; attempt++) {
+            delivery = { ...delivery, ...recordDeliveryAttempt(delivery, 'HTTP 500', NOW) };
+            assert.equal(delivery.status, DELIVERY_STATUS.PENDING);
+            assert.equal(delivery.attempts, attempt);
+            delays.push((Date.parse(delivery.nextAttemptAt) - NOW.getTime()) / 60000);
+        }
+        assert.deepEqual(delays, [1, 5, 15, 60]);
+
+        const last = recordDeliveryAttempt(delivery, 'HTTP 500', NOW);
+        assert.equal(last.status, DELIVERY_STATUS.FAILED);
+        assert.equal(last.attempts, MAX_DELIVERY_ATTEMPTS);
+        assert.equal(last.nextAttemptAt, null);
+        assert.equal(last.lastError, 'HTTP 500');
+    });
+
+    it('records a sent delivery and clears the last error', () => {
+        const sent = recordDeliveryAttempt({ attempts: 2, lastError: 'HTTP 500' }, null, NOW);
+        assert.deepEqual(sent, {
+            status: DELIVERY_STATUS.SENT,
+            attempts: 3,
+            nextAttemptAt: null,
+            lastError: null,
+            sentAt: NOW.toISOString(),
+            updatedAt: NOW.toISOString(),
+        });
+    });
+});
+
+describe('planDeliveries and isDeliveryDue', () => {
+    it('queues enabled channels only, due at once', () => {
+        const planned = planDeliveries([{ id: 'c1', name: 'Desk', type: 'slack', enabled: true }, { id: 'c2', name: 'Off', type: 'email', enabled: false }], 'run-1', NOW);
+        assert.deepEqual(ids(planned), ['run-1_c1']);
+        assert.equal(isDeliveryDue(planned[0], NOW), true);
+    });
+
+    it('waits for the next attempt time', () => {
+        const retry = { status: DELIVERY_STATUS.PENDING, nextAttemptAt: '2025-05-20T12:05:00Z' };
+        assert.equal(isDeliveryDue(retry, NOW), false);
+        assert.equal(isDeliveryDue(retry, new Date('2025-05-20T12:05:00Z')), true);
+        assert.equal(isDeliveryDue({ ...retry, status: DELIVERY_STATUS.SENT }, new Date('2025-05-21T00:00:00Z')), false);
+    });
+});
+
+describe('filterDeliveryItems', () => {
+    it('keeps every analyzed item with the default filters', () => {
+        assert.deepEqual(ids(filterDeliveryItems({}, ITEMS)), ['a', 'b', 'c']);
+    });
+
+    it('filters by ticker', () => {
+        assert.deepEqual(ids(filterDeliveryItems({ tickers: ['AAPL'] }, ITEMS)), ['c']);
+    });
+
+    it('filters by sentiment', () => {
+        assert.deepEqual(ids(filterDeliveryItems({ sentiments: ['NEGATIVE'] }, ITEMS)), ['b', 'c']);
+    });
+
+    it('filters by minimum impact', () => {
+        assert.deepEqual(ids(filterDeliveryItems({ minImpact: 'Medium' }, ITEMS)), ['a', 'c']);
+        assert.deepEqual(ids(filterDeliveryItems({ minImpact: 'High' }, ITEMS)), ['a']);
+    });
+
+    it('includes failed analyses only when asked, whatever the sentiment and impact filters', () => {
+        assert.deepEqual(ids(filterDeliveryItems({ includeFailed: true, minImpact: 'High', sentiments: ['POSITIVE'] }, ITEMS)), ['a', 'd']);
+        assert.deepEqual(ids(filterDeliveryItems({ includeFailed: true, tickers: ['MSFT'] }, ITEMS)), ['a', 'b']);
+    });
+});
+
+describe('buildDeliveryPayload', () => {
+    it('builds an email with the run title, tone and item count', () => {
+        const { subject, html, text } = buildDeliveryPayload('email', RUN, ITEMS.slice(0, 2));
+        assert.equal(subject, 'FinGen Digest — Run #7 (MIXED) · 2 item(s)');
+        assert.match(html, /^<!DOCTYPE html>/i);
+        assert.match(html, /Summary of a\./);
+        assert.match(text, /Cloud wins offset supply worries\. \[1\]/);
+    });
+
+    it('builds a JSON webhook body without the article text', () => {
+        const body = buildDeliveryPayload('webhook', RUN, [{ ...ITEMS[0], content: 'Full article text' }]);
+        assert.equal(body.event, 'digest.completed');
+        assert.deepEqual(body.run, {
+            runId: 'run-1',
+            version: 7,
+            createdAt: '2025-05-20T11:00:00Z',
+            scopeName: 'Core',
+            tickers: ['AAPL', 'MSFT'],
+            trigger: 'schedule',
+            briefing: RUN.briefing,
+        });
+        assert.equal(body.items[0].id, 'a');
+        assert.deepEqual([body.items[0].keyPoints, body.items[0].confidence], [[], null]);
+        assert.equal('content' in body.items[0], false);
+    });
+
+    it('builds Slack blocks with one section per ticker', () => {
+        const body = buildDeliveryPayload('slack', RUN, ITEMS, { getCompanyName: (symbol) => (symbol === 'MSFT' ? 'Microsoft Corp' : null) });
+        assert.equal(body.text, 'FinGen Digest — Run #7: 4 item(s), MIXED');
+        assert.deepEqual(body.blocks.map(block => block.type), ['header', 'section', 'divider', 'section', 'section']);
+        assert.match(body.blocks[1].text.text, /Morning Briefing \(MIXED\)/);
+        const [aapl, msft] = body.blocks.slice(3).map(block => block.text.text);
+        assert.match(aapl, /^\*AAPL\*\n/);
+        assert.match(aapl, /_Analysis failed_\nThe AI response could not be validated\./);
+        assert.match(msft, /^\*MSFT\* Microsoft Corp\n• <https:\/\/example\.com\/a\|MSFT positive story> — _POSITIVE \/ High Impact_/);
+    });
+
+    it('keeps Slack links whole when a section is too long', () => {
+        const many = Array.from({ length: 40 }, (_, index) =>
+            item(`m${index}`, 'MSFT', 'POSITIVE', 'High', { url: `https://example.com/${'segment/'.repeat(10)}${index}`, summary: 'A long summary. '.repeat(8) }));
+        const text = buildDeliveryPayload('slack', RUN, many).blocks.at(-1).text.text;
+        assert.ok(text.length <= 3000);
+        assert.match(text, /\n_…and \d+ more_$/);
+        assert.equal((text.match(/</g) || []).length, (text.match(/>/g) || []).length);
+        text.split('\n').filter(line => line.startsWith('•')).forEach(line => assert.match(line, /^• <https:\/\/[^<>]+\|[^<>]+> — /));
+    });
+
+    it('builds a Teams card with one section per ticker', () => {
+        const body = buildDeliveryPayload('teams', RUN, ITEMS.slice(0, 3));
+        assert.equal(body['@type'], 'MessageCard');
+        assert.equal(body.themeColor, 'd97706');
+        assert.equal(body.text, '**Morning Briefing (MIXED)**: Cloud wins offset supply worries.');
+        assert.deepEqual(body.sections.map(section => section.activityTitle), ['**AAPL**', '**MSFT**']);
+        assert.match(body.sections[1].text, /^\[MSFT positive story\]\(https:\/\/example\.com\/a\) — \*POSITIVE \/ High Impact\*/);
+    });
+
+    it('rejects an unknown channel type', () => {
+        assert.throws(() => buildDeliveryPayload('fax', RUN, ITEMS), /Unknown channel type: fax/);
+    });
+});
@@ -0,0 +1,34 @@
+// Item retrieval of lib/digestChat.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { retrieveDigestItems } from '../lib/digestChat';
+
+const item = (symbol, title, summary) => ({ symbol, title, summary, url: `https://example.com/${encodeURIComponent(symbol)}`, status: 'ok' });
+
+const ITEMS = [
+    item('BRK.B.X', 'Insurance float grows', 'Berkshire float reached a record.'),
+    item('BRKXBXX', 'Unrelated listing', 'A listing that only looks similar.'),
+    item('^GSPC', 'Index closes higher', 'The broad index closed higher on earnings.'),
+    item('C+D', 'Merger talks', 'The companies confirmed merger talks.'),
+];
+
+const symbols = (question) => retrieveDigestItems(question, ITEMS).map(result => result.symbol);
+
+describe('retrieveDigestItems', () => {
+    it('matches a ticker with several dots literally', () => {
+        assert.equal(symbols('Any news on BRK.B.X?')[0], 'BRK.B.X');
+        assert.equal(symbols('Any news on BRKXBXX?')[0], 'BRKXBXX');
+    });
+
+    it('accepts tickers with other regex metacharacters', () => {
+        assert.doesNotThrow(() => symbols('What moved ^GSPC and C+D?'));
+        assert.deepEqual(symbols('What moved ^GSPC and C+D?').slice(0, 2).sort(), ['C+D', '^GSPC']);
+    });
+
+    it('skips failed items', () => {
+        assert.deepEqual(retrieveDigestItems('BRK.B.X', [{ ...ITEMS[0], status: 'failed', summary: null }]), []);
+    });
+});
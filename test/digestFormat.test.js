@@ -0,0 +1,62 @@
+// Report formatters of lib/digestFormat.js, including items stored before the detail fields existed.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLegacyRun } from '../lib/digestHistory';
+import { formatDigest } from '../lib/digestFormat';
+
+// Shape of an item from before key points, catalysts and risks were stored
+const LEGACY_ITEM = {
+    id: 'legacy-1',
+    symbol: 'MSFT',
+    title: 'Microsoft wins cloud contract',
+    url: 'https://example.com/msft',
+    source: 'Reuters',
+    publishedAt: '2024-03-01T14:00:00Z',
+    createdAt: '2024-03-01T15:00:00Z',
+    summary: 'Microsoft won a multi-year cloud contract.',
+    sentiment: 'POSITIVE',
+    impact: 'High',
+};
+
+const DETAILED_ITEM = {
+    ...LEGACY_ITEM,
+    id: 'item-2',
+    symbol: 'AAPL',
+    title: 'Apple supplier warns on demand',
+    runId: 'run-1',
+    keyPoints: ['Orders cut for the next quarter'],
+    catalysts: ['New product launch'],
+    risks: ['Weaker <China> demand'],
+    whyItMatters: 'Apple depends on the supplier.',
+    confidence: 0.8,
+};
+
+const legacyDigest = { run: buildLegacyRun([LEGACY_ITEM]), items: [LEGACY_ITEM] };
+
+describe('formatDigest', () => {
+    it('exports items stored without detail fields', () => {
+        const markdown = formatDigest(legacyDigest, 'markdown');
+        assert.match(markdown, /\*\*AI Summary:\*\* Microsoft won a multi-year cloud contract\./);
+        assert.doesNotMatch(markdown, /Catalysts:|Risks:/);
+
+        const html = formatDigest(legacyDigest, 'html');
+        assert.match(html, /Microsoft won a multi-year cloud contract\./);
+        assert.doesNotMatch(html, /Catalysts:|Risks:/);
+    });
+
+    it('lists key points, catalysts and risks when the item has them', () => {
+        const digest = { run: { runId: 'run-1', version: 2, createdAt: '2025-05-20T12:00:00Z', tickers: ['AAPL'], status: 'complete' }, items: [DETAILED_ITEM] };
+
+        const markdown = formatDigest(digest, 'markdown');
+        assert.match(markdown, /- Orders cut for the next quarter/);
+        assert.match(markdown, /Catalysts:\n\n- New product launch/);
+        assert.match(markdown, /Risks:\n\n- Weaker <China> demand/);
+
+        const html = formatDigest(digest, 'html');
+        assert.match(html, /<li[^>]*>Orders cut for the next quarter<\/li>/);
+        assert.match(html, /Risks:<\/strong> Weaker &lt;China&gt; demand/);
+    });
+});
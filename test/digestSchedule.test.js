@@ -0,0 +1,72 @@
+// Cron parsing and due checks of lib/digestSchedule.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cronMatches, getNextRun, isScheduleDue, parseCron, validateSchedule } from '../lib/digestSchedule';
+
+const NEW_YORK = 'America/New_York';
+
+// Pre-market: 8:00 ET on weekdays. 2025-05-20 is a Tuesday; 8:00 EDT is 12:00 UTC.
+const schedule = (fields = {}) => ({ enabled: true, preset: 'pre-market', ...fields });
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+    it('expands ranges, steps and lists', () => {
+        const cron = parseCron('0-30/10 8,16 * * 1-5');
+        assert.deepEqual([...cron.minute], [0, 10, 20, 30]);
+        assert.deepEqual([...cron.hour], [8, 16]);
+        assert.deepEqual([...cron.dayOfWeek].sort(), [1, 2, 3, 4, 5]);
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => parseCron('0 8 * *'));
+        assert.throws(() => parseCron('60 8 * * *'));
+    });
+});
+
+describe('cronMatches and getNextRun', () => {
+    it('reads the expression in the time zone', () => {
+        assert.equal(cronMatches('0 8 * * 1-5', at('2025-05-20T12:00:30Z'), NEW_YORK), true);
+        assert.equal(cronMatches('0 8 * * 1-5', at('2025-05-20T08:00:00Z'), NEW_YORK), false);
+    });
+
+    it('skips the weekend', () => {
+        assert.equal(getNextRun('0 8 * * 1-5', NEW_YORK, at('2025-05-23T12:00:00Z')).toISOString(), '2025-05-26T12:00:00.000Z');
+    });
+
+    it('follows daylight saving time', () => {
+        // 8:00 EST is 13:00 UTC once the clocks go back on 2025-11-02
+        assert.equal(getNextRun('0 8 * * 1-5', NEW_YORK, at('2025-10-31T12:00:00Z')).toISOString(), '2025-11-03T13:00:00.000Z');
+    });
+});
+
+describe('isScheduleDue', () => {
+    it('is due in the minute the cron fires', () => {
+        assert.equal(isScheduleDue(schedule({ lastRunAt: '2025-05-19T12:00:01Z' }), at('2025-05-20T12:00:05Z')), true);
+    });
+
+    it('is not due again once the run has started', () => {
+        assert.equal(isScheduleDue(schedule({ lastRunAt: '2025-05-20T12:00:01Z' }), at('2025-05-20T12:00:40Z')), false);
+        assert.equal(isScheduleDue(schedule({ lastRunAt: '2025-05-20T12:00:01Z' }), at('2025-05-20T20:00:00Z')), false);
+    });
+
+    it('catches up a run whose minute was missed', () => {
+        assert.equal(isScheduleDue(schedule({ lastRunAt: '2025-05-19T12:00:01Z' }), at('2025-05-20T12:01:10Z')), true);
+        // Down over several runs: still due, and the run it starts resets lastRunAt
+        assert.equal(isScheduleDue(schedule({ lastRunAt: '2025-05-14T12:00:01Z' }), at('2025-05-20T09:00:00Z')), true);
+    });
+
+    it('waits for the cron when the schedule has never run', () => {
+        assert.equal(isScheduleDue(schedule(), at('2025-05-20T12:30:00Z')), false);
+        assert.equal(isScheduleDue(schedule(), at('2025-05-20T12:00:10Z')), true);
+    });
+
+    it('is never due when disabled or invalid', () => {
+        assert.equal(isScheduleDue(schedule({ enabled: false, lastRunAt: '2025-05-19T12:00:01Z' }), at('2025-05-20T12:00:05Z')), false);
+        const invalid = schedule({ preset: 'custom', cron: 'every morning', timezone: NEW_YORK, lastRunAt: '2025-05-19T12:00:01Z' });
+        assert.notEqual(validateSchedule(invalid), null);
+        assert.equal(isScheduleDue(invalid, at('2025-05-20T12:00:05Z')), false);
+    });
+});
@@ -0,0 +1,61 @@
+// Exposure weights and exposure-weighted sentiment of lib/exposureSentiment.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeExposureSentiment, computeExposureWeights } from '../lib/exposureSentiment';
+import { normalizeHolding } from '../lib/holdings';
+
+const holding = (ticker, currency, quantity, price) => normalizeHolding({ ticker, currency, lots: quantity ? [{ quantity, price }] : [] });
+const item = (symbol, sentiment, impact) => ({ symbol, sentiment, impact, status: 'ok' });
+
+describe('computeExposureWeights', () => {
+    it('weights positions against one total', () => {
+        const { weights, equal, excluded } = computeExposureWeights([holding('AAPL', 'USD', 300, 100), holding('MSFT', 'USD', 100, 100)]);
+        assert.deepEqual(weights, { AAPL: 0.75, MSFT: 0.25 });
+        assert.equal(equal, false);
+        assert.deepEqual(excluded, []);
+    });
+
+    it('leaves out positions in other currencies than the base one', () => {
+        const { weights, baseCurrency, excluded } = computeExposureWeights([
+            holding('AAPL', 'USD', 1000, 200),
+            holding('MSFT', 'USD', 10, 400),
+            holding('SAP', 'EUR', 1, 10),
+        ]);
+        assert.equal(baseCurrency, 'USD');
+        assert.deepEqual(Object.keys(weights), ['AAPL', 'MSFT']);
+        assert.deepEqual(excluded, [{ ticker: 'SAP', currency: 'EUR' }]);
+    });
+
+    it('takes the currency most positions are held in, the default currency on a tie', () => {
+        assert.equal(computeExposureWeights([holding('SAP', 'EUR', 1, 10), holding('ASML', 'EUR', 1, 10), holding('AAPL', 'USD', 1, 10)]).baseCurrency, 'EUR');
+        assert.equal(computeExposureWeights([holding('SAP', 'EUR', 1, 10), holding('AAPL', 'USD', 1, 10)]).baseCurrency, 'USD');
+    });
+
+    it('weights a list without positions equally', () => {
+        const { weights, equal } = computeExposureWeights([holding('AAPL', 'USD'), holding('SAP', 'EUR')]);
+        assert.deepEqual(weights, { AAPL: 0.5, SAP: 0.5 });
+        assert.equal(equal, true);
+    });
+});
+
+describe('computeExposureSentiment', () => {
+    it('does not let a tiny position in another currency cancel out a large one', () => {
+        const { weights } = computeExposureWeights([holding('AAPL', 'USD', 1000, 200), holding('SAP', 'EUR', 1, 10)]);
+        const exposure = computeExposureSentiment([item('AAPL', 'POSITIVE', 'High'), item('SAP', 'NEGATIVE', 'High')], weights);
+        assert.equal(exposure.score, 1);
+        assert.deepEqual(exposure.unweighted, ['SAP']);
+    });
+
+    it('weights each item by position weight times impact', () => {
+        const exposure = computeExposureSentiment(
+            [item('AAPL', 'POSITIVE', 'Low'), item('MSFT', 'NEGATIVE', 'High'), { ...item('MSFT', null, null), status: 'failed' }],
+            { AAPL: 0.75, MSFT: 0.25 },
+        );
+        assert.deepEqual(exposure.totals, { POSITIVE: 0.75, NEGATIVE: 0.75, NEUTRAL: 0 });
+        assert.equal(exposure.score, 0);
+        assert.deepEqual(exposure.hotspots, [{ symbol: 'MSFT', weight: 0.25, count: 1 }]);
+    });
+});
@@ -0,0 +1,69 @@
+// Articles for test/storyClustering.test.js, in the merged shape clusterArticles receives
+// ({ symbols, title, content, source, url, publishedAt }). Two stories are each reported by
+// several outlets; the others are unrelated headlines about the same companies.
+
+const article = (symbol, source, slug, publishedAt, title, content) => ({
+    symbol,
+    symbols: [symbol],
+    source,
+    url: `https://example.com/${slug}`,
+    publishedAt,
+    title,
+    content,
+});
+
+export const MSFT_CONTRACT_REUTERS = article('MSFT', 'Reuters', 'msft-contract-win', '2025-05-19T21:45:00.000Z',
+    'Microsoft Secures Multi-Billion Dollar Government Cloud Contract',
+    "Microsoft has signed a massive contract with the Department of Defense to modernize its cloud infrastructure over the next five years. This is a significant win over Amazon and reinforces Microsoft's dominance in the public sector cloud space.");
+
+export const MSFT_CONTRACT_BLOOMBERG = article('MSFT', 'Bloomberg', 'msft-pentagon-cloud', '2025-05-19T23:10:00.000Z',
+    'Microsoft Wins Pentagon Cloud Contract Worth Billions',
+    "The Department of Defense awarded Microsoft a multi-billion dollar contract to modernize its cloud infrastructure, a blow to rival Amazon. The five-year deal strengthens Microsoft's position in government cloud computing.");
+
+// The same contract reported from Amazon's side, fetched for AMZN
+export const MSFT_CONTRACT_AMZN = article('AMZN', 'CNBC', 'amzn-loses-pentagon-cloud', '2025-05-20T08:00:00.000Z',
+    'Amazon Loses Pentagon Cloud Contract to Microsoft',
+    "Amazon Web Services lost the multi-billion dollar Department of Defense cloud infrastructure contract to Microsoft, which will modernize the Pentagon's cloud over five years.");
+
+export const GOOG_SEARCH_TECHCRUNCH = article('GOOG', 'TechCrunch', 'goog-ai-search', '2025-05-20T13:30:00.000Z',
+    'Google Cloud Unveils New AI-Powered Enterprise Search Features',
+    'Google Cloud announced major updates to its Vertex AI platform, including new features for enterprise search and data handling. Analysts view this as a strategic move to capture more market share from competitors in the generative AI space.');
+
+export const GOOG_SEARCH_VERGE = article('GOOG', 'The Verge', 'goog-vertex-search', '2025-05-20T15:00:00.000Z',
+    'Google Adds AI-Powered Enterprise Search to Vertex AI',
+    'Google Cloud is rolling out new enterprise search features for its Vertex AI platform, along with improved data handling tools, as it competes for generative AI market share.');
+
+export const AAPL_IPHONE = article('AAPL', 'Financial Times', 'aapl-sales-forecast', '2025-05-20T09:15:00.000Z',
+    'iPhone Sales Expected to Soar After Holiday Quarter',
+    "Analysts predict a strong rebound for Apple's iPhone and Services divisions in the following quarter, driven by aggressive pricing strategies in key Asian markets.");
+
+export const MSFT_EARNINGS = article('MSFT', 'Wall Street Journal', 'msft-earnings', '2025-05-20T20:00:00.000Z',
+    'Microsoft Quarterly Earnings Beat Estimates on Azure Growth',
+    'Microsoft reported quarterly revenue above analyst estimates as Azure and Office subscriptions grew, and raised its dividend.');
+
+export const GOOG_ANTITRUST = article('GOOG', 'Reuters', 'goog-antitrust', '2025-05-20T11:00:00.000Z',
+    'Google Faces New Antitrust Lawsuit Over Advertising Technology',
+    'Regulators filed a lawsuit alleging that Google abused its dominance in advertising technology, seeking to break up parts of its ad business.');
+
+/**
+ * A copy of an article published at another time (and URL), for the time window tests.
+ * @param {object} original - A fixture article.
+ * @param {number} hoursLater - Hours after the original's publication.
+ */
+export const republished = (original, hoursLater) => ({
+    ...original,
+    source: `${original.source} (follow-up)`,
+    url: `${original.url}-follow-up`,
+    publishedAt: new Date(Date.parse(original.publishedAt) + hoursLater * 3600000).toISOString(),
+});
+
+export const ALL_ARTICLES = [
+    MSFT_CONTRACT_REUTERS,
+    MSFT_CONTRACT_BLOOMBERG,
+    MSFT_CONTRACT_AMZN,
+    GOOG_SEARCH_TECHCRUNCH,
+    GOOG_SEARCH_VERGE,
+    AAPL_IPHONE,
+    MSFT_EARNINGS,
+    GOOG_ANTITRUST,
+];
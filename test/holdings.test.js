@@ -0,0 +1,44 @@
+// Positions, base currency and weights of lib/holdings.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeWeights, getPositionValue, normalizeHolding, pickBaseCurrency, splitByBaseCurrency } from '../lib/holdings';
+
+const holding = (ticker, currency, quantity, price) => normalizeHolding({ ticker, currency, lots: [{ quantity, price }] });
+
+describe('pickBaseCurrency', () => {
+    it('picks the currency most positions are held in', () => {
+        assert.equal(pickBaseCurrency([holding('SAP', 'EUR', 1, 10), holding('ASML', 'EUR', 1, 10), holding('AAPL', 'USD', 1, 10)]), 'EUR');
+    });
+
+    it('prefers the default currency on a tie', () => {
+        assert.equal(pickBaseCurrency([holding('SAP', 'EUR', 1, 10), holding('AAPL', 'USD', 1, 10)]), 'USD');
+    });
+
+    it('is null without positions', () => {
+        assert.equal(pickBaseCurrency([]), null);
+    });
+});
+
+describe('splitByBaseCurrency', () => {
+    it('weights a mixed portfolio to 100% of its base-currency positions', () => {
+        const positions = [holding('AAPL', 'USD', 30, 100), holding('MSFT', 'USD', 10, 100), holding('SAP', 'EUR', 1000, 100)];
+        const { baseCurrency, included, excluded } = splitByBaseCurrency(positions);
+        assert.equal(baseCurrency, 'USD');
+        assert.deepEqual(excluded.map(position => position.ticker), ['SAP']);
+
+        const weights = computeWeights(included);
+        assert.deepEqual(weights, { AAPL: 0.75, MSFT: 0.25 });
+        assert.equal(Object.values(weights).reduce((sum, weight) => sum + weight, 0), 1);
+    });
+});
+
+describe('getPositionValue', () => {
+    it('uses the quote where there is one, otherwise the cost basis', () => {
+        const position = holding('AAPL', 'USD', 10, 100);
+        assert.equal(getPositionValue(position, { AAPL: { price: 150 } }), 1500);
+        assert.equal(getPositionValue(position, {}), 1000);
+    });
+});
@@ -0,0 +1,314 @@
+// Retry policy, timeouts and circuit breaker of lib/http.js, driven by a fake clock so no test
+// waits on real timers.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackoffFetch, createCircuitBreaker, isRetryableStatus, parseRetryAfter } from '../lib/http';
+
+// Time only moves when a test sleeps or calls advance()
+const createFakeClock = () => {
+    let time = Date.parse('2025-05-20T12:00:00Z');
+    let nextId = 1;
+    const timers = new Map();
+    const sleeps = [];
+
+    return {
+        sleeps,
+        now: () => time,
+        setTimeout: (fn, ms) => {
+            timers.set(nextId, { fn, at: time + ms });
+            return nextId++;
+        },
+        clearTimeout: (id) => timers.delete(id),
+        sleep: async (ms, signal) => {
+            if (signal?.aborted) throw signal.reason;
+            sleeps.push(ms);
+            time += ms;
+        },
+        // Moves time forward and fires the timers that became due
+        advance: (ms) => {
+            time += ms;
+            [...timers].filter(([, timer]) => timer.at <= time).forEach(([id, timer]) => {
+                timers.delete(id);
+                timer.fn();
+            });
+        },
+        pendingTimers: () => timers.size,
+    };
+};
+
+const jsonResponse = (status, body = {}, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body,
+});
+
+// Answers each call with the next entry: a response, or an error to throw
+const scriptedFetch = (...script) => {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push({ url, options });
+        const next = script[Math.min(calls.length, script.length) - 1];
+        if (next instanceof Error) throw next;
+        return next;
+    };
+    return { fetchImpl, calls };
+};
+
+// Never settles until the request's signal aborts
+const hangUntilAborted = (signal) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')), { once: true });
+});
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const URL_A = 'https://api.example.com/v1/summarize';
+const URL_B = 'https://other.example.com/v1/summarize';
+
+describe('parseRetryAfter', () => {
+    const now = Date.parse('2025-05-20T12:00:00Z');
+
+    it('reads delta-seconds', () => {
+        assert.equal(parseRetryAfter('7', now), 7000);
+        assert.equal(parseRetryAfter(' 0 ', now), 0);
+    });
+
+    it('reads an HTTP date relative to now, never negative', () => {
+        assert.equal(parseRetryAfter('Tue, 20 May 2025 12:00:30 GMT', now), 30000);
+        assert.equal(parseRetryAfter('Tue, 20 May 2025 11:59:00 GMT', now), 0);
+    });
+
+    it('ignores missing and invalid values', () => {
+        assert.equal(parseRetryAfter(null, now), null);
+        assert.equal(parseRetryAfter('soon', now), null);
+    });
+});
+
+describe('isRetryableStatus', () => {
+    it('retries rate limiting and server errors only', () => {
+        assert.deepEqual([429, 500, 502, 503].map(isRetryableStatus), [true, true, true, true]);
+        assert.deepEqual([400, 401, 403, 404, 422].map(isRetryableStatus), [false, false, false, false, false]);
+    });
+});
+
+describe('createBackoffFetch', () => {
+    const setup = (script, options = {}) => {
+        const clock = createFakeClock();
+        const { fetchImpl, calls } = scriptedFetch(...script);
+        const backoffFetch = createBackoffFetch({ fetchImpl, clock, random: () => 0, ...options });
+        return { clock, calls, backoffFetch };
+    };
+
+    it('returns the parsed body and clears the attempt timer', async () => {
+        const { clock, calls, backoffFetch } = setup([jsonResponse(200, { summary: 'ok' })]);
+        assert.deepEqual(await backoffFetch(URL_A), { summary: 'ok' });
+        assert.equal(calls.length, 1);
+        assert.equal(clock.pendingTimers(), 0);
+    });
+
+    it('retries 5xx responses with exponential backoff', async () => {
+        const { clock, calls, backoffFetch } = setup([jsonResponse(503), jsonResponse(500), jsonResponse(200, { n: 1 })]);
+        assert.deepEqual(await backoffFetch(URL_A), { n: 1 });
+        assert.equal(calls.length, 3);
+        assert.deepEqual(clock.sleeps, [1000, 2000]);
+    });
+
+    it('adds jitter of up to one base delay', async () => {
+        const clock = createFakeClock();
+        const { fetchImpl } = scriptedFetch(jsonResponse(503), jsonResponse(200));
+        await createBackoffFetch({ fetchImpl, clock, random: () => 0.5 })(URL_A);
+        assert.deepEqual(clock.sleeps, [1500]);
+    });
+
+    it('retries network errors', async () => {
+        const { calls, backoffFetch } = setup([new TypeError('fetch failed'), jsonResponse(200, { n: 2 })]);
+        assert.deepEqual(await backoffFetch(URL_A), { n: 2 });
+        assert.equal(calls.length, 2);
+    });
+
+    it('fails immediately on other 4xx responses', async () => {
+        const { clock, calls, backoffFetch } = setup([jsonResponse(400), jsonResponse(200)]);
+        await assert.rejects(backoffFetch(URL_A), { status: 400, message: 'HTTP error! status: 400' });
+        assert.equal(calls.length, 1);
+        assert.deepEqual(clock.sleeps, []);
+    });
+
+    it('does not retry a 2xx response whose body is not JSON', async () => {
+        const invalid = { ...jsonResponse(200), json: async () => JSON.parse('<html>') };
+        const { calls, backoffFetch } = setup([invalid, jsonResponse(200)]);
+        await assert.rejects(backoffFetch(URL_A), /Invalid JSON response/);
+        assert.equal(calls.length, 1);
+    });
+
+    it('waits for Retry-After when it is longer than the backoff', async () => {
+        const { clock, backoffFetch } = setup([jsonResponse(429, {}, { 'Retry-After': '7' }), jsonResponse(200)]);
+        await backoffFetch(URL_A);
+        assert.deepEqual(clock.sleeps, [7000]);
+    });
+
+    it('keeps the backoff when Retry-After is shorter', async () => {
+        const { clock, backoffFetch } = setup([jsonResponse(503), jsonResponse(503, {}, { 'Retry-After': '1' }), jsonResponse(200)]);
+        await backoffFetch(URL_A);
+        assert.deepEqual(clock.sleeps, [1000, 2000]);
+    });
+
+    it('caps Retry-After at maxDelayMs', async () => {
+        const { clock, backoffFetch } = setup([jsonResponse(429, {}, { 'Retry-After': '3600' }), jsonResponse(200)]);
+        await backoffFetch(URL_A);
+        assert.deepEqual(clock.sleeps, [60000]);
+    });
+
+    it('gives up after the allowed retries', async () => {
+        const { calls, backoffFetch } = setup([jsonResponse(500)]);
+        await assert.rejects(backoffFetch(URL_A, {}, 2), { status: 500, message: 'Fetch failed after 3 attempts: HTTP error! status: 500' });
+        assert.equal(calls.length, 3);
+    });
+
+    it('times out an attempt whose response never arrives', async () => {
+        const clock = createFakeClock();
+        const backoffFetch = createBackoffFetch({ fetchImpl: (url, { signal }) => hangUntilAborted(signal), clock });
+        const result = backoffFetch(URL_A, {}, 0);
+        await flushPromises();
+        clock.advance(30000);
+        await assert.rejects(result, { message: 'Fetch failed after 1 attempts: Request timed out after 30s' });
+    });
+
+    it('times out an attempt whose body stalls after the headers', async () => {
+        const clock = createFakeClock();
+        const fetchImpl = async (url, { signal }) => ({ ...jsonResponse(200), json: () => hangUntilAborted(signal) });
+        const backoffFetch = createBackoffFetch({ fetchImpl, clock });
+        const result = backoffFetch(URL_A, {}, 0);
+        await flushPromises();
+        assert.equal(clock.pendingTimers(), 1); // Still armed while the body is read
+        clock.advance(30000);
+        await assert.rejects(result, /Request timed out after 30s/);
+    });
+
+    it('never retries a request the caller aborted', async () => {
+        const controller = new AbortController();
+        let calls = 0;
+        const fetchImpl = async (url, { signal }) => {
+            calls++;
+            const pending = hangUntilAborted(signal);
+            controller.abort();
+            return pending;
+        };
+        const backoffFetch = createBackoffFetch({ fetchImpl, clock: createFakeClock(), random: () => 0 });
+        await assert.rejects(backoffFetch(URL_A, { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(calls, 1);
+    });
+
+    it('opens the circuit of an origin after repeated failures', async () => {
+        const { calls, backoffFetch } = setup([jsonResponse(503)], { breakerOptions: { failureThreshold: 2 } });
+        await assert.rejects(backoffFetch(URL_A), { circuitOpen: true });
+        assert.equal(calls.length, 2);
+
+        // Another origin has its own breaker
+        const other = setup([jsonResponse(200, { n: 3 })], { breakerOptions: { failureThreshold: 2 } });
+        assert.deepEqual(await other.backoffFetch(URL_B), { n: 3 });
+    });
+
+    it('lets a later request through after a half-open trial is aborted', async () => {
+        const clock = createFakeClock();
+        const controller = new AbortController();
+        let calls = 0;
+        const fetchImpl = async (url, { signal }) => {
+            calls++;
+            if (calls === 2) {
+                // The trial: the caller gives up while it is in flight
+                const pending = hangUntilAborted(signal);
+                controller.abort();
+                return pending;
+            }
+            return calls === 1 ? jsonResponse(503) : jsonResponse(200, { n: 4 });
+        };
+        const backoffFetch = createBackoffFetch({ fetchImpl, clock, random: () => 0, breakerOptions: { failureThreshold: 1, cooldownMs: 30000 } });
+
+        await assert.rejects(backoffFetch(URL_A, {}, 0), { status: 503 });
+        clock.advance(30000);
+        await assert.rejects(backoffFetch(URL_A, { signal: controller.signal }), { name: 'AbortError' });
+        await assert.rejects(backoffFetch(URL_A), { circuitOpen: true }); // The cooldown starts over
+        clock.advance(30000);
+        assert.deepEqual(await backoffFetch(URL_A), { n: 4 });
+        assert.equal(calls, 3);
+    });
+
+    it('does not count client errors against the circuit', async () => {
+        const { calls, backoffFetch } = setup([jsonResponse(404)], { breakerOptions: { failureThreshold: 1 } });
+        await assert.rejects(backoffFetch(URL_A), { status: 404 });
+        await assert.rejects(backoffFetch(URL_A), { status: 404 });
+        assert.equal(calls.length, 2);
+    });
+});
+
+describe('createCircuitBreaker', () => {
+    const setup = () => {
+        const clock = createFakeClock();
+        return { clock, breaker: createCircuitBreaker({ failureThreshold: 3, cooldownMs: 30000, now: clock.now }) };
+    };
+
+    it('opens after the threshold of consecutive failures', () => {
+        const { breaker } = setup();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.assertCanRequest();
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), 'open');
+        assert.throws(() => breaker.assertCanRequest(), { circuitOpen: true, message: /Retry in 30s/ });
+    });
+
+    it('resets the failure count on success', () => {
+        const { breaker } = setup();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), 'closed');
+    });
+
+    it('lets a single trial through after the cooldown and closes on success', () => {
+        const { clock, breaker } = setup();
+        [1, 2, 3].forEach(() => breaker.recordFailure());
+        clock.advance(29999);
+        assert.throws(() => breaker.assertCanRequest(), { circuitOpen: true });
+        clock.advance(1);
+        breaker.assertCanRequest();
+        assert.equal(breaker.getState(), 'half-open');
+        assert.throws(() => breaker.assertCanRequest(), { circuitOpen: true }); // Trial in flight
+        breaker.recordSuccess();
+        assert.equal(breaker.getState(), 'closed');
+        breaker.assertCanRequest();
+    });
+
+    it('re-opens when the trial is released without an outcome', () => {
+        const { clock, breaker } = setup();
+        [1, 2, 3].forEach(() => breaker.recordFailure());
+        clock.advance(30000);
+        breaker.assertCanRequest();
+        breaker.releaseTrial();
+        assert.equal(breaker.getState(), 'open');
+        clock.advance(30000);
+        breaker.assertCanRequest();
+        assert.equal(breaker.getState(), 'half-open');
+    });
+
+    it('ignores a release outside a trial', () => {
+        const { breaker } = setup();
+        breaker.releaseTrial();
+        assert.equal(breaker.getState(), 'closed');
+    });
+
+    it('re-opens when the trial fails', () => {
+        const { clock, breaker } = setup();
+        [1, 2, 3].forEach(() => breaker.recordFailure());
+        clock.advance(30000);
+        breaker.assertCanRequest();
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), 'open');
+        assert.throws(() => breaker.assertCanRequest(), { circuitOpen: true, message: /Retry in 30s/ });
+    });
+});
@@ -0,0 +1,49 @@
+// Caching of summarizeNews in lib/llmProviders.js, through the offline rule-based provider.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeNews } from '../lib/llmProviders';
+import { createSummaryCache, hashDirectory, hashSummaryKey } from '../lib/summaryCache';
+
+const ARTICLE = 'Microsoft Corporation won a record cloud contract, beating rival Amazon.com Inc. The deal lifts growth.';
+const RULE_BASED = { provider: 'rule-based', model: '', baseUrl: '', apiKey: '' };
+
+const MICROSOFT_ONLY = [{ symbol: 'MSFT', name: 'Microsoft Corporation' }];
+const WITH_AMAZON = [...MICROSOFT_ONLY, { symbol: 'AMZN', name: 'Amazon.com Inc.' }];
+
+const companySymbols = (analysis) => analysis.companies.map(company => company.symbol).sort();
+
+describe('summarizeNews cache', () => {
+    it('reuses an analysis made with the same directory', async () => {
+        const cache = createSummaryCache();
+        await summarizeNews(ARTICLE, RULE_BASED, { cache, directory: MICROSOFT_ONLY });
+        const second = await summarizeNews(ARTICLE, RULE_BASED, { cache, directory: [...MICROSOFT_ONLY] });
+        assert.equal(second.fromCache, true);
+    });
+
+    it('analyzes again once the directory changes', async () => {
+        const cache = createSummaryCache();
+        const first = await summarizeNews(ARTICLE, RULE_BASED, { cache, directory: MICROSOFT_ONLY });
+        assert.deepEqual(companySymbols(first), ['MSFT']);
+
+        const second = await summarizeNews(ARTICLE, RULE_BASED, { cache, directory: WITH_AMAZON });
+        assert.equal(second.fromCache, undefined);
+        assert.deepEqual(companySymbols(second), ['AMZN', 'MSFT']);
+    });
+});
+
+describe('hashSummaryKey', () => {
+    const parts = { content: ARTICLE, provider: 'gemini', model: 'gemini-2.5-flash-preview-05-20', promptVersion: 3 };
+
+    it('keeps the key of providers that do not read the directory', async () => {
+        assert.equal(await hashSummaryKey(parts), await hashSummaryKey({ ...parts, directoryHash: null }));
+    });
+
+    it('changes the key with the directory', async () => {
+        const [a, b] = await Promise.all([hashDirectory(MICROSOFT_ONLY), hashDirectory(WITH_AMAZON)]);
+        assert.notEqual(await hashSummaryKey({ ...parts, directoryHash: a }), await hashSummaryKey({ ...parts, directoryHash: b }));
+        assert.equal(await hashDirectory([...MICROSOFT_ONLY]), a);
+    });
+});
@@ -0,0 +1,92 @@
+// OFX and CSV import of lib/portfolioImport.js, including a CSV export read back in.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyImportRows, exportHoldingsCsv, parseOfx, parsePortfolioCsv } from '../lib/portfolioImport';
+import { normalizeHolding } from '../lib/holdings';
+
+const secInfo = (cusip, ticker) => `<SECINFO><SECID><UNIQUEID>${cusip}<UNIQUEIDTYPE>CUSIP</SECID><TICKER>${ticker}</SECINFO>`;
+const trade = (tag, cusip, units, price, date) =>
+    `<${tag}><INVBUY><SECID><UNIQUEID>${cusip}</SECID><UNITS>${units}<UNITPRICE>${price}</INVBUY><DTTRADE>${date}</${tag}>`;
+const position = (tag, cusip, units) => `<${tag}><INVPOS><SECID><UNIQUEID>${cusip}</SECID><UNITS>${units}</INVPOS></${tag}>`;
+
+const ofx = ({ trades = [], positions = [] }) => `OFXHEADER:100
+<OFX><INVSTMTMSGSRSV1><INVSTMTRS><CURDEF>USD
+<INVTRANLIST>${trades.join('')}</INVTRANLIST>
+${positions.length > 0 ? `<INVPOSLIST>${positions.join('')}</INVPOSLIST>` : ''}
+</INVSTMTRS></INVSTMTMSGSRSV1>
+<SECLISTMSGSRSV1><SECLIST>${secInfo('037833100', 'AAPL')}${secInfo('594918104', 'MSFT')}</SECLIST></SECLISTMSGSRSV1></OFX>`;
+
+const quantities = (rows) => {
+    const totals = {};
+    rows.forEach(row => { totals[row.symbol] = (totals[row.symbol] || 0) + row.quantity; });
+    return totals;
+};
+
+describe('parseOfx', () => {
+    it('takes the quantity from the position list and sells the oldest lots first', () => {
+        const rows = parseOfx(ofx({
+            trades: [
+                trade('BUYSTOCK', '037833100', 100, 150, '20240105'),
+                trade('BUYSTOCK', '037833100', 20, 180, '20240301'),
+                trade('SELLSTOCK', '037833100', -60, 190, '20240401'),
+            ],
+            positions: [position('POSSTOCK', '037833100', 60)],
+        }));
+        assert.deepEqual(rows.map(({ symbol, quantity, cost, date }) => ({ symbol, quantity, cost, date })), [
+            { symbol: 'AAPL', quantity: 40, cost: 150, date: '2024-01-05' },
+            { symbol: 'AAPL', quantity: 20, cost: 180, date: '2024-03-01' },
+        ]);
+    });
+
+    it('subtracts sells when the file has no position list', () => {
+        const rows = parseOfx(ofx({
+            trades: [trade('BUYSTOCK', '037833100', 100, 150, '20240105'), trade('SELLSTOCK', '037833100', -60, 190, '20240401')],
+        }));
+        assert.deepEqual(quantities(rows), { AAPL: 40 });
+    });
+
+    it('keeps positions without buy history, with an unknown cost for the units bought earlier', () => {
+        const rows = parseOfx(ofx({
+            trades: [trade('BUYSTOCK', '037833100', 10, 150, '20240105')],
+            positions: [position('POSSTOCK', '037833100', 25), position('POSSTOCK', '594918104', 5)],
+        }));
+        assert.deepEqual(quantities(rows), { AAPL: 25, MSFT: 5 });
+        assert.deepEqual(rows.filter(row => row.cost === null).map(row => [row.symbol, row.quantity]), [['AAPL', 15], ['MSFT', 5]]);
+    });
+
+    it('leaves out symbols that are no longer in the position list', () => {
+        const rows = parseOfx(ofx({
+            trades: [trade('BUYSTOCK', '037833100', 10, 150, '20240105'), trade('BUYSTOCK', '594918104', 3, 400, '20240105')],
+            positions: [position('POSSTOCK', '594918104', 3)],
+        }));
+        assert.deepEqual(quantities(rows), { MSFT: 3 });
+    });
+
+    it('reports a file whose positions were all sold', () => {
+        const text = ofx({ trades: [trade('BUYSTOCK', '037833100', 10, 150, '20240105'), trade('SELLSTOCK', '037833100', -10, 160, '20240201')] });
+        assert.throws(() => parseOfx(text), /has been sold/);
+    });
+});
+
+describe('CSV round trip', () => {
+    it('re-imports holdings without lots as ticker-only holdings', () => {
+        const holdings = [
+            normalizeHolding({ ticker: 'AAPL', currency: 'USD', lots: [{ quantity: 10, price: 150, date: '2024-01-05' }] }),
+            normalizeHolding({ ticker: 'MSFT' }),
+        ];
+        const { rows, holdings: imported } = classifyImportRows(parsePortfolioCsv(exportHoldingsCsv(holdings)), []);
+        assert.deepEqual(rows.map(row => row.status), ['new', 'new']);
+        assert.deepEqual(imported, [
+            { ticker: 'AAPL', currency: 'USD', lots: [{ quantity: 10, price: 150, date: '2024-01-05' }] },
+            { ticker: 'MSFT', currency: 'USD', lots: [] },
+        ]);
+    });
+
+    it('still rejects a quantity that is not a positive number', () => {
+        const { rows } = classifyImportRows(parsePortfolioCsv('symbol,quantity\nAAPL,0\nMSFT,ten\n'), []);
+        assert.deepEqual(rows.map(row => row.status), ['invalid', 'invalid']);
+    });
+});
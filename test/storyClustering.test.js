@@ -0,0 +1,121 @@
+// Story clustering of lib/storyClustering.js over the fixture articles in
+// test/fixtures/clusteringArticles.js.
+//
+//   npx tsx --test test/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CLUSTERING, buildTfIdfVectors, clusterArticles, cosineSimilarity, tokenize } from '../lib/storyClustering';
+import {
+    AAPL_IPHONE,
+    ALL_ARTICLES,
+    GOOG_SEARCH_TECHCRUNCH,
+    GOOG_SEARCH_VERGE,
+    MSFT_CONTRACT_AMZN,
+    MSFT_CONTRACT_BLOOMBERG,
+    MSFT_CONTRACT_REUTERS,
+    MSFT_EARNINGS,
+    republished,
+} from './fixtures/clusteringArticles';
+
+// Sources of each story, in story order
+const storySources = (stories) => stories.map(story => story.sources.map(source => source.source));
+
+describe('tokenize', () => {
+    it('drops stopwords and short words and strips plural s', () => {
+        assert.deepEqual(tokenize('The Contracts of an AI giant, and its rivals'), ['contract', 'giant', 'rival']);
+    });
+});
+
+describe('clusterArticles', () => {
+    it('groups near-duplicate reports of a story and keeps unrelated stories apart', () => {
+        assert.deepEqual(storySources(clusterArticles(ALL_ARTICLES)), [
+            ['Reuters', 'Bloomberg', 'CNBC'],
+            ['TechCrunch', 'The Verge'],
+            ['Financial Times'],
+            ['Wall Street Journal'],
+            ['Reuters'],
+        ]);
+    });
+
+    it('keeps the fullest article, every ticker and every source of a story', () => {
+        const [contract] = clusterArticles([MSFT_CONTRACT_REUTERS, MSFT_CONTRACT_BLOOMBERG, MSFT_CONTRACT_AMZN]);
+        assert.equal(contract.url, MSFT_CONTRACT_REUTERS.url);
+        assert.deepEqual(contract.symbols, ['MSFT', 'AMZN']);
+        assert.deepEqual(contract.sources.map(source => source.url), [
+            MSFT_CONTRACT_REUTERS.url,
+            MSFT_CONTRACT_BLOOMBERG.url,
+            MSFT_CONTRACT_AMZN.url,
+        ]);
+    });
+
+    it('does not merge stories about the same company', () => {
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, MSFT_EARNINGS]).length, 2);
+    });
+
+    it('leaves every article on its own when disabled', () => {
+        assert.equal(clusterArticles(ALL_ARTICLES, { enabled: false }).length, ALL_ARTICLES.length);
+    });
+
+    it('handles empty and single-article batches', () => {
+        assert.deepEqual(clusterArticles([]), []);
+        assert.deepEqual(storySources(clusterArticles([AAPL_IPHONE])), [['Financial Times']]);
+    });
+});
+
+describe('clusterArticles time window', () => {
+    it(`merges copies published up to ${DEFAULT_CLUSTERING.windowHours} hours apart`, () => {
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, republished(MSFT_CONTRACT_REUTERS, 47)]).length, 1);
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, republished(MSFT_CONTRACT_REUTERS, 48)]).length, 1);
+    });
+
+    it('never merges articles published further apart', () => {
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, republished(MSFT_CONTRACT_REUTERS, 49)]).length, 2);
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, republished(MSFT_CONTRACT_REUTERS, -49)]).length, 2);
+    });
+
+    it('uses the configured window', () => {
+        const followUp = republished(MSFT_CONTRACT_REUTERS, 6);
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, followUp], { windowHours: 5 }).length, 2);
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, followUp], { windowHours: 6 }).length, 1);
+    });
+
+    it('does not let an unknown publication date block a merge', () => {
+        const undated = { ...republished(MSFT_CONTRACT_REUTERS, 100), publishedAt: '' };
+        assert.equal(clusterArticles([MSFT_CONTRACT_REUTERS, undated]).length, 1);
+    });
+});
+
+describe('clusterArticles threshold', () => {
+    const pair = [GOOG_SEARCH_TECHCRUNCH, GOOG_SEARCH_VERGE];
+    const [first, second] = buildTfIdfVectors(pair);
+    const similarity = cosineSimilarity(first, second);
+
+    it('scores the fixture pair between the default threshold and 1', () => {
+        assert.ok(similarity >= DEFAULT_CLUSTERING.threshold && similarity < 1, `similarity ${similarity}`);
+    });
+
+    it('merges a pair whose similarity equals the threshold', () => {
+        assert.equal(clusterArticles(pair, { threshold: similarity }).length, 1);
+    });
+
+    it('keeps a pair apart when its similarity is just below the threshold', () => {
+        assert.equal(clusterArticles(pair, { threshold: similarity + 1e-9 }).length, 2);
+    });
+
+    it('keeps unrelated fixtures well below the default threshold', () => {
+        const vectors = buildTfIdfVectors(ALL_ARTICLES);
+        const index = (article) => ALL_ARTICLES.indexOf(article);
+        assert.ok(cosineSimilarity(vectors[index(MSFT_CONTRACT_REUTERS)], vectors[index(MSFT_EARNINGS)]) < DEFAULT_CLUSTERING.threshold / 2);
+        assert.ok(cosineSimilarity(vectors[index(GOOG_SEARCH_VERGE)], vectors[index(AAPL_IPHONE)]) < DEFAULT_CLUSTERING.threshold / 2);
+    });
+});
+
+describe('cosineSimilarity', () => {
+    it('is 1 for identical vectors and 0 for disjoint or empty ones', () => {
+        const vector = new Map([['cloud', 2], ['contract', 1]]);
+        assert.ok(Math.abs(cosineSimilarity(vector, vector) - 1) < 1e-12);
+        assert.equal(cosineSimilarity(vector, new Map([['iphone', 1]])), 0);
+        assert.equal(cosineSimilarity(vector, new Map()), 0);
+    });
+});
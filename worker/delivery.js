@@ -0,0 +1,179 @@
+// --- DIGEST DELIVERY ---
+//
+// Sends the delivery log entries the pipeline queues at the end of each run (see
+// lib/deliveryChannels.js): email over SMTP, and JSON, Slack and Teams payloads as HTTP POSTs.
+// The worker calls processDeliveries() once a minute; a failed attempt stays pending with a
+// later nextAttemptAt until it is sent or runs out of attempts. Run a single worker per app,
+// since entries are not locked while they are being sent.
+//
+// Environment: SMTP_URL (e.g. smtp://127.0.0.1:1025 for a local SMTP catcher), SMTP_FROM, and
+// ALLOW_PRIVATE_WEBHOOKS=1 to post to loopback or private addresses (refused by default, so a
+// user cannot point a webhook at internal services; set it to test with worker/httpSink.js).
+
+import { lookup as dnsLookup } from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { isIP } from 'node:net';
+import nodemailer from 'nodemailer';
+import {
+    DEFAULT_DELIVERY_CHANNEL,
+    DELIVERY_STATUS,
+    buildDeliveryPayload,
+    filterDeliveryItems,
+    isDeliveryDue,
+    parseRecipients,
+    recordDeliveryAttempt,
+} from '../lib/deliveryChannels';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Loopback, private, carrier-grade NAT, link-local and unique-local ranges
+const isPrivateAddress = (address) => {
+    if (isIP(address) === 4) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    }
+    const lower = address.toLowerCase();
+    // IPv4-mapped, dotted or in the hex form URLs normalize to (::ffff:7f00:1)
+    const mapped = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+        return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+};
+
+const refusePrivate = (hostname) => new Error(`Refusing to post to ${hostname}: it resolves to a private address.`);
+
+// dns.lookup that fails when the name resolves to a private address. It is the connection's own
+// lookup, so the address checked is the address connected to; a separate lookup before the request
+// could be answered differently (DNS rebinding).
+const publicOnlyLookup = (hostname, options, callback) => {
+    dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) return callback(refusePrivate(hostname));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// POSTs a JSON body through the agent for the URL's protocol and resolves to the response status.
+// Redirects are not followed, since the new location would not go through the address check.
+const postJson = (url, body, agents) => new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), 'User-Agent': 'FinGen-Delivery' },
+        agent: agents[url.protocol],
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (response) => {
+        response.resume(); // Only the status matters
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+    });
+    request.on('error', (error) => {
+        reject(error.name === 'AbortError' ? new Error(`The endpoint did not answer within ${WEBHOOK_TIMEOUT_MS / 1000}s.`) : error);
+    });
+    request.end(data);
+});
+
+/**
+ * Creates the transports deliveries are sent with.
+ * @param {object} [options]
+ * @param {string} [options.smtpUrl] - nodemailer connection URL; email channels fail without it.
+ * @param {string} [options.from] - Sender of digest emails.
+ * @param {boolean} [options.allowPrivateWebhooks] - Allow posting to loopback and private addresses.
+ * @returns {{ email: function, post: function, close: function }}
+ */
+export const createSenders = ({
+    smtpUrl = process.env.SMTP_URL,
+    from = process.env.SMTP_FROM || 'FinGen <digest@localhost>',
+    allowPrivateWebhooks = process.env.ALLOW_PRIVATE_WEBHOOKS === '1',
+} = {}) => {
+    let transport = null;
+    // Webhook connections get their own pool, so every new connection goes through the lookup
+    const lookup = allowPrivateWebhooks ? undefined : publicOnlyLookup;
+    const agents = { 'http:': new http.Agent({ keepAlive: true, lookup }), 'https:': new https.Agent({ keepAlive: true, lookup }) };
+
+    return {
+        email: async (recipients, { subject, html, text }) => {
+            if (!smtpUrl) throw new Error('Email delivery is not configured on the worker (SMTP_URL).');
+            transport = transport || nodemailer.createTransport(smtpUrl);
+            await transport.sendMail({ from, to: recipients.join(', '), subject, html, text });
+        },
+        post: async (url, body) => {
+            const target = new URL(url);
+            // An IP address in the URL is connected to without a lookup, so it is checked here
+            const hostname = target.hostname.replace(/^\[|\]$/g, '');
+            if (!allowPrivateWebhooks && isIP(hostname) && isPrivateAddress(hostname)) throw refusePrivate(hostname);
+
+            const status = await postJson(target, body, agents);
+            if (status < 200 || status >= 300) throw new Error(`The endpoint answered HTTP ${status}.`);
+        },
+        close: () => {
+            transport?.close();
+            Object.values(agents).forEach(agent => agent.destroy());
+        },
+    };
+};
+
+/**
+ * Sends one delivery with the channel's current settings and the run's current items.
+ * @returns {Promise<object>} { itemCount } once sent, or { skipped: reason, itemCount } if there was nothing to send.
+ * @throws {Error} If sending failed (the attempt is retried).
+ */
+const sendDelivery = async (db, userPath, delivery, senders, getCompanyName) => {
+    const channelSnapshot = await db.doc(`${userPath}/delivery_channels/${delivery.channelId}`).get();
+    if (!channelSnapshot.exists) return { skipped: 'The channel was deleted.', itemCount: null };
+    const channel = { ...DEFAULT_DELIVERY_CHANNEL, ...channelSnapshot.data() };
+    if (!channel.enabled) return { skipped: 'The channel is disabled.', itemCount: null };
+
+    const runSnapshot = await db.doc(`${userPath}/digest_runs/${delivery.runId}`).get();
+    if (!runSnapshot.exists) return { skipped: 'The digest run was deleted.', itemCount: null };
+    const itemsSnapshot = await db.collection(`${userPath}/news_digests`).where('runId', '==', delivery.runId).get();
+    const items = filterDeliveryItems(channel.filters, itemsSnapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    if (items.length === 0) return { skipped: "No items matched the channel's filters.", itemCount: 0 };
+
+    const payload = buildDeliveryPayload(channel.type, { runId: runSnapshot.id, ...runSnapshot.data() }, items, { getCompanyName });
+    if (channel.type === 'email') {
+        await senders.email(parseRecipients(channel.target), payload);
+    } else {
+        await senders.post(channel.target.trim(), payload);
+    }
+    return { itemCount: items.length };
+};
+
+/**
+ * Attempts every due delivery of the app's users, one at a time, and records the outcome in the log.
+ * @param {object} db - Admin Firestore instance.
+ * @param {string} appId
+ * @param {object} options
+ * @param {object} options.senders - From createSenders.
+ * @param {function} [options.getCompanyName] - (symbol) -> company name or null.
+ * @param {function} [options.log] - (message) for each attempt.
+ * @returns {Promise<number>} Number of deliveries attempted.
+ */
+export const processDeliveries = async (db, appId, { senders, getCompanyName = () => null, log = () => {} }) => {
+    const now = new Date();
+    const snapshot = await db.collectionGroup('deliveries').where('status', '==', DELIVERY_STATUS.PENDING).get();
+    const due = snapshot.docs.filter(d => d.ref.path.startsWith(`artifacts/${appId}/users/`) && isDeliveryDue(d.data(), now));
+
+    for (const deliveryDoc of due) {
+        const delivery = deliveryDoc.data();
+        const userPath = deliveryDoc.ref.parent.parent.path;
+        let fields;
+        try {
+            const { skipped, itemCount } = await sendDelivery(db, userPath, delivery, senders, getCompanyName);
+            fields = skipped
+                ? { status: DELIVERY_STATUS.SKIPPED, lastError: skipped, itemCount, nextAttemptAt: null, updatedAt: new Date().toISOString() }
+                : { ...recordDeliveryAttempt(delivery, null), itemCount };
+        } catch (e) {
+            fields = recordDeliveryAttempt(delivery, e.message);
+        }
+        await deliveryDoc.ref.set(fields, { merge: true });
+        log(`${deliveryDoc.ref.parent.parent.id}: ${delivery.type} delivery "${delivery.channelName}" of run ${delivery.runId} ${fields.status}${fields.lastError ? ` (${fields.lastError})` : ''}`);
+    }
+    return due.length;
+};
@@ -0,0 +1,217 @@
+// --- SCHEDULED DIGEST WORKER ---
+//
+// Generates digests without a browser, on each user's schedule (Settings → Schedule). Once a
+// minute it looks for users whose schedule is due and runs lib/digestPipeline.js for them; a run
+// missed while the worker was down is caught up on its next check. It writes to the same Firestore
+// paths as the app, so an open tab shows the new run through its listeners. Each minute it also
+// starts sending the digests queued for delivery (worker/delivery.js), whether the run came from
+// a schedule, the app or the command line.
+//
+// Local run against the Firestore emulator:
+//
+//   firebase emulators:start --only firestore --project demo-fingen
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 GCLOUD_PROJECT=demo-fingen npx tsx worker/digestWorker.js
+//
+// Options:
+//   --once               Check the schedules once, wait for the runs it started, send due deliveries, and exit.
+//   --run-now <userId>   Run that user's digest immediately, ignoring the schedule, send due deliveries, and exit.
+//
+// Environment: APP_ID (defaults to the app's 'default-fingen-app'), GEMINI_API_KEY (used when a
+// user has no key in Settings), the delivery settings described in worker/delivery.js and, for a
+// real project, GOOGLE_APPLICATION_CREDENTIALS.
+
+import { readFileSync } from 'node:fs';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { runDigestPipeline } from '../lib/digestPipeline';
+import { DEFAULT_SCHEDULE, isScheduleDue } from '../lib/digestSchedule';
+import { ALL_LISTS } from '../lib/portfolioLists';
+import { DEFAULT_NEWS_SOURCE } from '../lib/newsSources';
+import { DEFAULT_LLM_CONFIG } from '../lib/llmProviders';
+import { DEFAULT_CONCURRENCY } from '../lib/jobRunner';
+import { DEFAULT_CLUSTERING } from '../lib/storyClustering';
+import { createSymbolMaster } from '../lib/symbolMaster';
+import { createFirestoreDigestStore, createFirestoreSummaryCache, getUserPath, loadLists } from './firestoreStore';
+import { createSenders, processDeliveries } from './delivery';
+
+const APP_ID = process.env.APP_ID || 'default-fingen-app';
+const API_KEY = process.env.GEMINI_API_KEY || '';
+
+const symbolMaster = createSymbolMaster(JSON.parse(readFileSync(new URL('../data/symbols.json', import.meta.url), 'utf8')));
+const senders = createSenders();
+
+initializeApp(); // Project and credentials come from the environment (or FIRESTORE_EMULATOR_HOST)
+const db = getFirestore();
+
+const log = (message, ...rest) => console.log(`[${new Date().toISOString()}] ${message}`, ...rest);
+
+/**
+ * Runs one user's digest with their saved settings.
+ * @param {string} userId
+ * @param {object} settings - The user's settings/preferences document data.
+ * @param {AbortSignal} signal
+ * @returns {Promise<object>} The pipeline result.
+ */
+const runUserDigest = async (userId, settings, signal) => {
+    const userPath = getUserPath(APP_ID, userId);
+    const schedule = { ...DEFAULT_SCHEDULE, ...settings.schedule };
+    const llmConfig = { ...DEFAULT_LLM_CONFIG, ...settings.llm };
+    const store = createFirestoreDigestStore(db, userPath);
+
+    const scopeName = schedule.scope === ALL_LISTS
+        ? 'All lists'
+        : (await loadLists(db, userPath)).find(list => list.id === schedule.scope)?.name || 'Deleted list';
+
+    return runDigestPipeline({
+        store,
+        scope: schedule.scope,
+        scopeName,
+        settings: {
+            newsSource: { ...DEFAULT_NEWS_SOURCE, ...settings.newsSource },
+            llmConfig: { ...llmConfig, apiKey: llmConfig.apiKey || API_KEY },
+            concurrency: settings.pipeline?.concurrency || DEFAULT_CONCURRENCY,
+            clustering: { ...DEFAULT_CLUSTERING, ...settings.pipeline?.clustering },
+        },
+        summaryCache: createFirestoreSummaryCache(db, userPath),
+        directory: symbolMaster.entries,
+        trigger: 'schedule',
+        signal,
+        onRunCreated: (runId) => log(`${userId}: started run ${runId}`),
+        onJobUpdate: (index, { error }) => {
+            if (error) log(`${userId}: story ${index + 1} failed: ${error.message}`);
+        },
+        onWarning: (message, error) => log(`${userId}: ${message}`, error?.message || ''),
+    });
+};
+
+const running = new Map(); // userId -> run promise; a user never has two runs at once
+const abortController = new AbortController();
+
+/**
+ * Starts a user's digest unless one is already running, recording the outcome on the schedule.
+ * @param {string} userId
+ * @param {object} settings - The user's settings/preferences document data.
+ */
+const startRun = (userId, settings) => {
+    if (running.has(userId)) {
+        log(`${userId}: previous run still in progress, skipping`);
+        return running.get(userId);
+    }
+
+    const settingsRef = db.doc(`${getUserPath(APP_ID, userId)}/settings/preferences`);
+    const run = (async () => {
+        // Record the start first so a later check in the same minute does not run it again
+        await settingsRef.set({ schedule: { lastRunAt: new Date().toISOString() } }, { merge: true });
+        try {
+            const result = await runUserDigest(userId, settings, abortController.signal);
+            log(`${userId}: ${result.status}${result.error ? ` (${result.error})` : ''}, ${result.items.length} item(s)`);
+            await settingsRef.set({ schedule: { lastStatus: result.status, lastError: result.error } }, { merge: true });
+        } catch (e) {
+            log(`${userId}: run failed`, e);
+            await settingsRef.set({ schedule: { lastStatus: 'failed', lastError: e.message } }, { merge: true });
+        }
+    })().finally(() => running.delete(userId));
+
+    running.set(userId, run);
+    return run;
+};
+
+/**
+ * Starts a run for every user whose schedule is due now.
+ * @returns {Promise<void>[]} The runs started.
+ */
+const checkSchedules = async () => {
+    const now = new Date();
+    const snapshot = await db.collectionGroup('settings').where('schedule.enabled', '==', true).get();
+    return snapshot.docs
+        .filter(d => d.id === 'preferences' && d.ref.path.startsWith(`artifacts/${APP_ID}/users/`))
+        .filter(d => isScheduleDue({ ...DEFAULT_SCHEDULE, ...d.data().schedule }, now))
+        .map(d => startRun(d.ref.parent.parent.id, d.data()));
+};
+
+/**
+ * Sends the deliveries that are due, logging instead of throwing so the worker keeps running.
+ */
+const sendDueDeliveries = async () => {
+    try {
+        await processDeliveries(db, APP_ID, {
+            senders,
+            getCompanyName: (symbol) => symbolMaster.lookup(symbol)?.name || null,
+            log,
+        });
+    } catch (e) {
+        log('Could not process deliveries', e);
+    }
+};
+
+let delivering = null; // The send in progress; checks that find one still running skip sending
+
+/**
+ * Sends the due deliveries in the background, unless a send is still in progress.
+ * @returns {Promise<void>} The send in progress.
+ */
+const startDeliveries = () => {
+    if (!delivering) {
+        delivering = sendDueDeliveries().finally(() => {
+            delivering = null;
+        });
+    }
+    return delivering;
+};
+
+const shutdown = async () => {
+    senders.close();
+    await db.terminate();
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+
+    if (args[0] === '--run-now') {
+        if (!args[1]) throw new Error('Usage: --run-now <userId>');
+        const settings = (await db.doc(`${getUserPath(APP_ID, args[1])}/settings/preferences`).get()).data() || {};
+        await startRun(args[1], settings);
+        await sendDueDeliveries();
+        await shutdown();
+        return;
+    }
+
+    if (args[0] === '--once') {
+        await Promise.all(await checkSchedules());
+        await sendDueDeliveries();
+        await shutdown();
+        return;
+    }
+
+    // Check at the start of every minute until stopped; runs in progress are cancelled on exit
+    let timer = null;
+    const stop = async () => {
+        log('Stopping; cancelling runs in progress');
+        clearTimeout(timer);
+        abortController.abort();
+        await Promise.all([...running.values(), delivering]);
+        await shutdown();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    log(`Digest worker started for app ${APP_ID}${process.env.FIRESTORE_EMULATOR_HOST ? ` (emulator at ${process.env.FIRESTORE_EMULATOR_HOST})` : ''}`);
+    const tick = async () => {
+        try {
+            await checkSchedules();
+        } catch (e) {
+            log('Could not check schedules', e);
+        }
+        // Sending can take a while (retries, slow webhooks); it must not delay the next check
+        startDeliveries();
+        if (!abortController.signal.aborted) {
+            timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 1000);
+        }
+    };
+    await tick();
+};
+
+main().catch((e) => {
+    log('Worker failed', e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,100 @@
+// --- FIRESTORE DIGEST STORE (ADMIN SDK) ---
+//
+// The digest store of lib/digestPipeline.js and the summary cache on the Admin SDK, shared by
+// the scheduled worker (worker/digestWorker.js) and the command line (cli/digest.js). Both
+// read and write the same per-user paths as the app.
+
+import { ALL_LISTS, getHoldingsPath, withDefaultList } from '../lib/portfolioLists';
+import { DEFAULT_ALERT_RULE } from '../lib/alertRules';
+import { DEFAULT_DELIVERY_CHANNEL } from '../lib/deliveryChannels';
+import { RUN_COUNTER_PATH } from '../lib/digestHistory';
+import { createSummaryCache } from '../lib/summaryCache';
+
+/**
+ * Firestore path of a user's data.
+ * @param {string} appId
+ * @param {string} userId
+ */
+export const getUserPath = (appId, userId) => `artifacts/${appId}/users/${userId}`;
+
+/**
+ * A user's lists, including the default list when it has no document yet.
+ * @param {object} db - Admin Firestore instance.
+ * @param {string} userPath
+ */
+export const loadLists = async (db, userPath) =>
+    withDefaultList((await db.collection(`${userPath}/lists`).get()).docs.map(d => ({ id: d.id, ...d.data() })));
+
+/**
+ * Digest store (see lib/digestPipeline.js) bound to one user's data.
+ * @param {object} db - Admin Firestore instance.
+ * @param {string} userPath
+ */
+export const createFirestoreDigestStore = (db, userPath) => ({
+    loadScope: async (scope) => {
+        const lists = (await loadLists(db, userPath)).filter(list => scope === ALL_LISTS || list.id === scope);
+        return Promise.all(lists.map(async (list) => {
+            const snapshot = await db.collection(getHoldingsPath(userPath, list.id)).get();
+            return { list, tickers: snapshot.docs.map(d => d.data().ticker) };
+        }));
+    },
+    allocateRunVersion: () => db.runTransaction(async (transaction) => {
+        const counterRef = db.doc(`${userPath}/${RUN_COUNTER_PATH}`);
+        const counter = await transaction.get(counterRef);
+        let version = counter.data()?.version;
+        if (version === undefined) { // Runs from before the counter existed
+            const newest = await transaction.get(db.collection(`${userPath}/digest_runs`).orderBy('createdAt', 'desc').limit(1));
+            version = newest.empty ? 0 : newest.docs[0].data().version || 0;
+        }
+        transaction.set(counterRef, { version: version + 1 });
+        return version + 1;
+    }),
+    createRun: async (data) => {
+        const runRef = db.collection(`${userPath}/digest_runs`).doc();
+        await runRef.set({ runId: runRef.id, ...data });
+        return runRef.id;
+    },
+    updateRun: (runId, fields) => db.doc(`${userPath}/digest_runs/${runId}`).set(fields, { merge: true }),
+    writeItems: async (items) => {
+        const batch = db.batch();
+        const storedItems = items.map(item => {
+            const itemRef = db.collection(`${userPath}/news_digests`).doc();
+            batch.set(itemRef, item);
+            return { id: itemRef.id, ...item };
+        });
+        await batch.commit();
+        return storedItems;
+    },
+    loadAlertRules: async () => (await db.collection(`${userPath}/alert_rules`).get()).docs
+        .map(d => ({ id: d.id, ...DEFAULT_ALERT_RULE, ...d.data() })),
+    // Alerts already raised for the same rule and story keep their read and snooze state
+    addAlerts: async (triggered) => {
+        const refs = triggered.map(alert => db.doc(`${userPath}/alerts/${alert.id}`));
+        const existing = await db.getAll(...refs);
+        const batch = db.batch();
+        const createdAt = new Date().toISOString();
+        triggered.forEach(({ id, ...alert }, index) => {
+            if (!existing[index].exists) batch.set(refs[index], { ...alert, createdAt, read: false, snoozedUntil: null });
+        });
+        await batch.commit();
+    },
+    loadDeliveryChannels: async () => (await db.collection(`${userPath}/delivery_channels`).get()).docs
+        .map(d => ({ id: d.id, ...DEFAULT_DELIVERY_CHANNEL, ...d.data() })),
+    queueDeliveries: async (entries) => {
+        const batch = db.batch();
+        entries.forEach(({ id, ...entry }) => batch.set(db.doc(`${userPath}/deliveries/${id}`), entry));
+        await batch.commit();
+    },
+});
+
+/**
+ * Summary cache backed by the user's summary_cache collection, like the app's.
+ * @param {object} db - Admin Firestore instance.
+ * @param {string} userPath
+ */
+export const createFirestoreSummaryCache = (db, userPath) => createSummaryCache({
+    store: {
+        get: async (key) => (await db.doc(`${userPath}/summary_cache/${key}`).get()).data() || null,
+        set: (key, entry) => db.doc(`${userPath}/summary_cache/${key}`).set(entry),
+    },
+});
@@ -0,0 +1,51 @@
+// --- LOCAL HTTP SINK ---
+//
+// Stands in for webhook endpoints while testing delivery: prints every request it receives and
+// answers 200, or 500 to the first --fail <n> requests so retries can be watched in the
+// delivery log.
+//
+//   npx tsx worker/httpSink.js --port 8787 --fail 2
+//
+// Point a webhook, Slack or Teams channel at http://127.0.0.1:8787/<anything> and start the
+// worker with ALLOW_PRIVATE_WEBHOOKS=1.
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        fail: { type: 'string', default: '0' },
+    },
+});
+
+let remainingFailures = Number.parseInt(values.fail, 10) || 0;
+let received = 0;
+
+const server = createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+        received += 1;
+        const body = Buffer.concat(chunks).toString('utf8');
+        let printed = body;
+        try {
+            printed = JSON.stringify(JSON.parse(body), null, 2);
+        } catch {
+            // Not JSON; print as is
+        }
+        const failing = remainingFailures > 0;
+        if (failing) remainingFailures -= 1;
+
+        console.log(`--- #${received} ${request.method} ${request.url} -> ${failing ? 500 : 200} (${new Date().toISOString()})`);
+        console.log(printed);
+        response.writeHead(failing ? 500 : 200, { 'Content-Type': 'text/plain' });
+        response.end(failing ? 'failing on purpose' : 'ok');
+    });
+});
+
+server.listen(Number(values.port), '127.0.0.1', () => {
+    console.log(`HTTP sink listening on http://127.0.0.1:${values.port}${remainingFailures > 0 ? `, failing the first ${remainingFailures} request(s)` : ''}`);
+});
+
+process.once('SIGINT', () => server.close());